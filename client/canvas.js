@@ -1,4 +1,29 @@
 
+import { TileRenderer } from "./tile-renderer.js";
+import {
+    DEFAULT_POLYGON_SIDES,
+    DEFAULT_RECT_RADIUS,
+    DEFAULT_STAR_INNER_RATIO,
+    DEFAULT_STAR_POINTS,
+    DEFAULT_STROKE_WIDTH,
+    canConnect,
+    connectorEndPoint,
+    connectorShape,
+    dashPattern,
+    drawArrowHeads,
+    isFilled,
+    isLineShape,
+    lineBox,
+    lineEndpoints,
+    nearestAnchor,
+    pickShapeOptions,
+    pickShapeStyle,
+    shapeContains,
+    shapeExtent,
+    shapeStrokeWidth,
+    traceShape,
+} from "./shapes.js";
+
 export class CanvasManager {
     /**
      * @param {Object} deps
@@ -6,13 +31,18 @@ export class CanvasManager {
      * @param {(progress:any)=>void} deps.onProgress callback for in-progress stroke fragments
      * @param {(op:any)=>void} deps.onCommit callback for finalized operations
      * @param {(t:{scale:number, pan:{x:number,y:number}})=>void} deps.onTransform transform observer
+     * @param {(payload:any)=>void} [deps.onShapeProgress] callback for in-flight shape transforms
+     * @param {(payload:any)=>void} [deps.onTextProgress] callback for in-flight text edits and moves
+     * @param {(assetId:string)=>string} [deps.assetUrl] where an uploaded image asset is served from
      */
-    constructor({ canvasHost, onProgress, onCommit, onTransform, onShapeProgress }) {
+    constructor({ canvasHost, onProgress, onCommit, onTransform, onShapeProgress, onTextProgress, assetUrl }) {
         this.canvasHost = canvasHost;
         this.onProgress = onProgress;
         this.onCommit = onCommit;
         this.onTransform = onTransform;
         this.onShapeProgress = onShapeProgress;
+        this.onTextProgress = onTextProgress;
+        this.assetUrl = assetUrl;
 
         this.mainCanvas = canvasHost.querySelector("#canvas");
         this.overlayCanvas = document.createElement("canvas");
@@ -29,15 +59,25 @@ export class CanvasManager {
         this.scale = 1;
         this.pan = { x: 0, y: 0 }; // CSS pixels
         this.operations = [];
+        // Committed content is drawn from cached tiles, see tile-renderer.js
+        this.strokeOps = new Map(); // stroke key -> stroke op
+        this.zOrder = new Map(); // element id -> z; strokes, shapes and texts share one stack
+        this.zTop = 0;
+        this.zBottom = 0;
+        this.tiles = new TileRenderer({ drawItem: (ctx, id) => this.drawElement(ctx, id) });
+        this.tilesPending = false;
         this.resizeObserver = new ResizeObserver(() => this.resize());
         this.resizeObserver.observe(this.canvasHost);
         this.resize();
 
         // Local drawing state
         this.active = false;
-        this.tool = "brush"; // brush | eraser
+        this.tool = "brush"; // brush | eraser | pan | shape | text | select
         this.color = "#1f2937";
         this.size = 8;
+        this.pressureEnabled = true; // brush width follows pen pressure (or simulated pressure)
+        this.eraserMode = "pixel"; // pixel: cut strokes along the path | object: delete whole elements
+        this.eraseTargets = new Set(); // ids the object eraser touched during the current drag
         this.localPoints = [];
         this.lastProgressAt = 0;
 
@@ -45,14 +85,54 @@ export class CanvasManager {
         this.remoteProgress = new Map(); // userId -> { points, color, size, composite }
 
         // Shape tool state
-        this.shapeType = "circle"; // circle | square | triangle
-        this.shapes = new Map(); // id -> { id, shape, x, y, width, height, color }
+        this.shapeType = "circle"; // see SHAPE_TYPES in shapes.js
+        // Type-specific fields given to new shapes (only the ones a type uses are kept)
+        this.shapeOptions = {
+            startArrow: "none",
+            endArrow: "triangle",
+            radius: DEFAULT_RECT_RADIUS,
+            points: DEFAULT_STAR_POINTS,
+            innerRatio: DEFAULT_STAR_INNER_RATIO,
+            sides: DEFAULT_POLYGON_SIDES,
+        };
+        // Style of new shapes; the outline color is the brush color
+        this.shapeStyle = { filled: false, fillColor: "#6366f1", strokeWidth: DEFAULT_STROKE_WIDTH, opacity: 1, dash: "solid" };
+        this.shapes = new Map(); // id -> { id, shape, x, y, width, height, color, ...options, ...style }
         this.selectedShapeId = null;
-        this.transformDraft = null; // { id, kind: 'move'|'resize', start, orig }
+        this.transformDraft = null; // { id, kind: 'move'|'move-text'|'resize', start, orig }
         this.draftCreate = null; // { shape, x, y, width, height, color }
 
+        // Connectors: arrows whose ends may be bound to shapes (see shapes.js)
+        this.connectors = new Map(); // id -> { id, from, to, color, ...style }
+        this.draftConnector = null; // { from, to } while dragging out a new connector
+
+        // Images: uploaded assets stretched over a box and rotated (degrees) about its center
+        this.images = new Map(); // id -> { id, assetId, x, y, width, height, rotation }
+        this.imageCache = new Map(); // assetId -> { el: HTMLImageElement, loaded }
+
+        // Text tool state
+        this.fontSize = 24;
+        this.texts = new Map(); // id -> { id, text, x, y, fontSize, color }
+        this.selectedTextId = null;
+        this.textEditor = null; // { el, id, draft } while a textarea is open
+        this.editingTextId = null; // existing text hidden from the canvas while edited
+        this.remoteTextDrafts = new Map(); // userId -> { text, x, y, fontSize, color }
+
+        // Select tool state
+        this.selection = new Set(); // ids of selected shapes, images, texts and strokes
+        this.deletedIds = new Set(); // element ids hidden by delete ops
+
+        // Viewers get a read-only canvas: panning and zooming only
+        this.readOnly = false;
+        this.readOnlyRole = false;
+
+        // History preview: show only the first N operations of the log (null: all of them)
+        this.historyCount = null;
+
         // Animation loop for overlay redraw
         const loop = () => {
+            // Finish tiles that didn't fit in the previous frame's budget
+            if (this.tilesPending) this.redrawAll();
             this.redrawOverlayLayer();
             this.raf = requestAnimationFrame(loop);
         };
@@ -93,10 +173,37 @@ export class CanvasManager {
     }
 
     /** Tool and style setters. */
-    setTool(tool) { this.tool = tool; this.updateCursorClasses(); }
+    setTool(tool) {
+        if (tool !== this.tool) {
+            this.finishTextEdit();
+            if (tool !== "select") this.clearSelection();
+        }
+        this.tool = tool;
+        this.updateCursorClasses();
+    }
+    /** Read-only mode (viewer role): every pointer drag pans, nothing is edited. Also on while previewing history. */
+    setReadOnly(readOnly) {
+        this.readOnlyRole = !!readOnly;
+        this.readOnly = this.readOnlyRole || this.historyCount !== null;
+        if (this.readOnly) {
+            this.finishTextEdit();
+            this.clearSelection();
+            this.active = false;
+            this.transformDraft = null;
+            this.draftCreate = null;
+            this.draftConnector = null;
+        }
+        this.updateCursorClasses();
+    }
+    /** Per-brush pressure: when off, brush strokes are drawn at a constant width. */
+    setPressureEnabled(enabled) { this.pressureEnabled = !!enabled; }
+    setEraserMode(mode) { this.eraserMode = mode === "object" ? "object" : "pixel"; }
     setColor(color) { this.color = color; }
     setSize(size) { this.size = size; }
     setShapeType(shape) { this.shapeType = shape || "circle"; }
+    setShapeOption(key, value) { this.shapeOptions[key] = value; }
+    setShapeStyle(key, value) { this.shapeStyle[key] = value; }
+    setFontSize(size) { this.fontSize = Math.max(8, Number(size) || 24); }
     /** Scale bounds are clamped for stability. */
     setScale(scale) {
         this.scale = Math.max(0.25, Math.min(4, scale));
@@ -120,6 +227,8 @@ export class CanvasManager {
         this.ctx.setTransform(sx, 0, 0, sy, tx, ty);
         this.overlayCtx.setTransform(sx, 0, 0, sy, tx, ty);
         this.onTransform?.({ scale: this.scale, pan: { ...this.pan } });
+        // Keep an open text editor glued to its world position
+        this.positionTextEditor?.();
         // Redraw committed content under new transform
         this.redrawAll();
     }
@@ -130,6 +239,21 @@ export class CanvasManager {
         this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
     }
 
+    /**
+     * Before another page is shown: finish our own edit (it still lands on the
+     * page it was made on) and drop other users' drafts, which belong there too.
+     */
+    leavePage() {
+        this.finishTextEdit();
+        this.clearSelection();
+        this.active = false;
+        this.transformDraft = null;
+        this.draftCreate = null;
+        this.draftConnector = null;
+        this.remoteProgress.clear();
+        this.remoteTextDrafts.clear();
+    }
+
     // Bind all pointer and wheel interactions.
     bindPointerEvents() {
         const el = this.overlayCanvas;
@@ -173,11 +297,24 @@ export class CanvasManager {
     }
 
     onPointerDown(e) {
-        const isPan = e.button === 1 || this.tool === "pan" || this.spacePressed || (e.button === 0 && e.altKey);
+        const isPan = this.readOnly || e.button === 1 || this.tool === "pan" || this.spacePressed || (e.button === 0 && e.altKey);
         if (isPan) {
             const p = this.getPoint(e);
-            // If hand tool is active and user presses on a shape, move that instead of panning
-            if (this.tool === "pan") {
+            // If hand tool is active and user presses on a text or shape, move that instead of panning
+            if (this.tool === "pan" && !this.readOnly) {
+                const textHit = this.hitTestText(p.x, p.y);
+                if (textHit) {
+                    this.selectedTextId = textHit;
+                    const t = this.texts.get(textHit);
+                    this.transformDraft = {
+                        id: textHit,
+                        kind: "move-text",
+                        start: p,
+                        orig: { x: t.x, y: t.y },
+                    };
+                    this.active = true;
+                    return;
+                }
                 const hit = this.hitTestShape(p.x, p.y);
                 if (hit) {
                     this.selectedShapeId = hit;
@@ -200,17 +337,36 @@ export class CanvasManager {
         }
         if (e.button !== 0 && e.pointerType !== "touch") return;
         const p = this.getPoint(e);
+        if (this.tool === "text") {
+            // Click an existing text to edit it, or empty space to start a new one
+            e.preventDefault();
+            const hit = this.hitTestText(p.x, p.y);
+            this.beginTextEdit(p, hit);
+            return;
+        }
+        if (this.tool === "select") {
+            this.onSelectPointerDown(e, p);
+            return;
+        }
+        this.selectedTextId = null;
+        if (this.tool === "shape" && this.shapeType === "connector") {
+            // Drag from one shape (or point) to another
+            const end = this.connectorEndAt(p);
+            this.draftConnector = { from: end, to: end };
+            this.active = true;
+            return;
+        }
         if (this.tool === "shape") {
             // Start drag-to-create
-            this.draftCreate = { shape: this.shapeType, x: p.x, y: p.y, width: 0, height: 0, color: this.color };
+            this.draftCreate = { shape: this.shapeType, x: p.x, y: p.y, width: 0, height: 0, color: this.color, ...pickShapeOptions(this.shapeType, this.shapeOptions), ...this.shapeStyle };
             this.active = true;
             return;
         }
-        // 'select' tool not used; selection/resize handled via Hand or shape creation.
         // Default drawing (brush/eraser)
         this.overlayCanvas.setPointerCapture?.(e.pointerId);
         this.active = true;
-        this.localPoints = [p];
+        this.localPoints = [this.withPressure(e, p)];
+        if (this.tool === "eraser" && this.eraserMode === "object") this.collectEraseTargets(p, p);
     }
 
     onPointerMove(e) {
@@ -223,6 +379,11 @@ export class CanvasManager {
         if (!this.active) return;
         const p = this.getPoint(e);
 
+        if (this.draftConnector) {
+            this.draftConnector.to = this.connectorEndAt(p, this.draftConnector.from.shapeId);
+            return;
+        }
+
         // Creating a shape
         if (this.draftCreate) {
             this.draftCreate.width = p.x - this.draftCreate.x;
@@ -233,13 +394,17 @@ export class CanvasManager {
         // Transforming a selected element
         if (this.transformDraft) {
             const draft = this.transformDraft;
-            if (draft.kind === "move") {
+            if (draft.kind === "marquee" || draft.kind === "move-selection" || draft.kind === "resize" || draft.kind === "rotate") {
+                this.onSelectPointerMove(p);
+            } else if (draft.kind === "move") {
                 const dx = p.x - draft.start.x;
                 const dy = p.y - draft.start.y;
                 const s = this.shapes.get(draft.id);
                 if (s) {
                     s.x = draft.orig.x + dx;
                     s.y = draft.orig.y + dy;
+                    this.refreshElement(draft.id);
+                    this.redrawAll();
                     // Throttled ephemeral progress
                     const now = performance.now();
                     if (!this._lastShapeProgressAt || (now - this._lastShapeProgressAt) > 16) {
@@ -247,6 +412,19 @@ export class CanvasManager {
                         this.onShapeProgress?.({ id: draft.id, x: s.x, y: s.y });
                     }
                 }
+            } else if (draft.kind === "move-text") {
+                const t = this.texts.get(draft.id);
+                if (t) {
+                    t.x = draft.orig.x + (p.x - draft.start.x);
+                    t.y = draft.orig.y + (p.y - draft.start.y);
+                    this.refreshElement(draft.id);
+                    const now = performance.now();
+                    if (!this._lastTextProgressAt || (now - this._lastTextProgressAt) > 16) {
+                        this._lastTextProgressAt = now;
+                        this.onTextProgress?.({ id: draft.id, x: t.x, y: t.y });
+                    }
+                    this.redrawAll();
+                }
             }
             return;
         }
@@ -254,17 +432,11 @@ export class CanvasManager {
         // Brush/eraser
         const prev = this.localPoints[this.localPoints.length - 1];
         if (!prev || distance(prev, p) >= 0.5 * this.devicePixelRatio) {
-            this.localPoints.push(p);
+            this.localPoints.push(this.withPressure(e, p, prev));
         }
-        // Immediate live erase: draw last segment directly on main canvas
-        if (this.tool === "eraser" && this.localPoints.length >= 2) {
-            const pts = this.localPoints.slice(-3);
-            this.drawStroke(this.ctx, {
-                points: pts,
-                color: this.color,
-                size: this.size,
-                composite: "destination-out",
-            });
+        // The object eraser marks what it touches; the pixel eraser only cuts on release
+        if (this.tool === "eraser" && this.eraserMode === "object" && this.localPoints.length >= 2) {
+            this.collectEraseTargets(this.localPoints[this.localPoints.length - 2], p);
         }
         // Throttle progress events (60 Hz cap)
         const now = performance.now();
@@ -282,6 +454,13 @@ export class CanvasManager {
     onPointerUp(_e) {
         if (this.panning) { this.panning = false; this.panStart = null; this.updateCursorClasses(); return; }
 
+        if (this.draftConnector) {
+            this.finishConnector();
+            this.draftConnector = null;
+            this.active = false;
+            return;
+        }
+
         // Finish creating a shape
         if (this.draftCreate) {
             const d = this.normalizeRect(this.draftCreate);
@@ -289,11 +468,14 @@ export class CanvasManager {
             if (Math.abs(d.width) < 2 && Math.abs(d.height) < 2) {
                 const cx = d.x, cy = d.y;
                 const s = Math.max(1, this.size);
-                const op = { type: "shape", shape: d.shape, x: cx - s / 2, y: cy - s / 2, width: s, height: s, color: d.color };
+                // A line keeps its direction along the x axis
+                const h = isLineShape(d) ? 0 : s;
+                const op = { type: "shape", ...d, x: cx - s / 2, y: cy - h / 2, width: s, height: h };
+                if (isLineShape(d)) { op.flipX = false; op.flipY = false; }
                 this.applyCommit(op);
                 this.onCommit?.(op);
             } else {
-                const op = { type: "shape", shape: d.shape, x: d.x, y: d.y, width: d.width, height: d.height, color: d.color };
+                const op = { type: "shape", ...d };
                 this.applyCommit(op);
                 this.onCommit?.(op);
             }
@@ -304,9 +486,19 @@ export class CanvasManager {
 
         // Finish transforming element
         if (this.transformDraft) {
+            const kind = this.transformDraft.kind;
+            if (kind === "marquee" || kind === "move-selection" || kind === "resize" || kind === "rotate") {
+                this.onSelectPointerUp();
+                this.transformDraft = null;
+                this.active = false;
+                return;
+            }
             const id = this.transformDraft.id;
             const s = this.shapes.get(id);
-            if (s) {
+            const t = this.transformDraft.kind === "move-text" ? this.texts.get(id) : null;
+            if (t) {
+                this.onCommit?.({ type: "text:update", targetId: id, x: t.x, y: t.y });
+            } else if (s) {
                 const op = { type: "shape:update", targetId: id, x: s.x, y: s.y, width: s.width, height: s.height, color: s.color };
                 this.onCommit?.(op);
             }
@@ -317,7 +509,11 @@ export class CanvasManager {
 
         if (!this.active) return;
         this.active = false;
-        const points = simplifyPoints(this.localPoints);
+        if (this.tool === "eraser") {
+            this.finishErase();
+            return;
+        }
+        const points = capPoints(simplifyPoints(this.localPoints), MAX_STROKE_POINTS);
         this.drawStroke(this.ctx, {
             points,
             color: this.color,
@@ -337,8 +533,8 @@ export class CanvasManager {
     // Cursor class toggles for different tools and states.
     updateCursorClasses(forceGrabbing) {
         const host = this.canvasHost;
-        host.classList.remove("cursor-brush", "cursor-eraser", "cursor-pan", "cursor-pan-grabbing");
-        const isPanMode = this.tool === "pan" || this.spacePressed;
+        host.classList.remove("cursor-brush", "cursor-eraser", "cursor-pan", "cursor-pan-grabbing", "cursor-text", "cursor-select");
+        const isPanMode = this.readOnly || this.tool === "pan" || this.spacePressed;
         if (forceGrabbing || (this.panning && this.panStart)) {
             host.classList.add("cursor-pan", "cursor-pan-grabbing");
             host.style.cursor = ""; // use CSS grabbing
@@ -349,6 +545,16 @@ export class CanvasManager {
             host.style.cursor = ""; // use CSS grab
             return;
         }
+        if (this.tool === "text") {
+            host.classList.add("cursor-text");
+            host.style.cursor = "text";
+            return;
+        }
+        if (this.tool === "select") {
+            host.classList.add("cursor-select");
+            host.style.cursor = "default";
+            return;
+        }
         // For drawing tools, hide OS cursor; self-cursor overlay renders instead
         host.style.cursor = "none";
         if (this.tool === "eraser") { host.classList.add("cursor-eraser"); } else { host.classList.add("cursor-brush"); }
@@ -368,23 +574,42 @@ export class CanvasManager {
             const d = this.normalizeRect(this.draftCreate);
             this.drawShapeOutline(this.overlayCtx, d, { dashed: true });
         }
+        if (this.draftConnector) this.drawConnectorDraft(this.overlayCtx);
 
-        // Selection overlay removed per request
+        // Select tool: outlines, resize handles and marquee
+        if (this.tool === "select") this.drawSelectionOverlay(this.overlayCtx);
 
-        // Local in-progress stroke
-        // For brush we preview on overlay; for eraser we erase directly on main canvas in onPointerMove
-        if (this.localPoints.length >= 2 && this.tool !== "eraser") {
-            this.drawStroke(this.overlayCtx, {
-                points: this.localPoints,
-                color: this.color,
-                size: this.size,
-                composite: this.tool === "eraser" ? "destination-out" : "source-over",
-            });
+        // Outside the select tool, a selected text gets a light outline
+        if (this.tool !== "select" && this.hasSelectedText() && this.selectedTextId !== this.editingTextId) {
+            const b = this.measureTextBounds(this.texts.get(this.selectedTextId));
+            if (b) {
+                this.overlayCtx.save();
+                this.overlayCtx.strokeStyle = "#6366f1";
+                this.overlayCtx.lineWidth = 1 / this.scale;
+                this.overlayCtx.setLineDash([3 / this.scale, 3 / this.scale]);
+                this.overlayCtx.strokeRect(b.x - 2, b.y - 2, b.width + 4, b.height + 4);
+                this.overlayCtx.restore();
+            }
+        }
+
+        // Remote texts being typed
+        for (const [, draft] of this.remoteTextDrafts) {
+            this.drawText(this.overlayCtx, draft);
+        }
+
+        // Local in-progress stroke (an eraser shows the path it sweeps)
+        if (this.localPoints.length >= 2) {
+            if (this.tool === "eraser") this.drawEraserTrail(this.overlayCtx, { points: this.localPoints, size: this.size });
+            else this.drawStroke(this.overlayCtx, { points: this.localPoints, color: this.color, size: this.size, composite: "source-over" });
         }
 
         // Remote in-progress strokes
-        for (const [, progress] of this.remoteProgress) {
-            if (progress.points.length >= 2) {
+        for (const [userId, progress] of this.remoteProgress) {
+            if (progress.composite === "destination-out") {
+                // An eraser that hit nothing commits nothing, so its trail just fades out
+                if (performance.now() - progress.updatedAt > ERASER_TRAIL_TTL_MS) { this.remoteProgress.delete(userId); continue; }
+                if (progress.points.length >= 2) this.drawEraserTrail(this.overlayCtx, progress);
+            } else if (progress.points.length >= 2) {
                 this.drawStroke(this.overlayCtx, progress);
             }
         }
@@ -393,6 +618,10 @@ export class CanvasManager {
     // Draw a smoothed polyline stroke with quadratic curves.
     drawStroke(ctx, { points, color, size, composite }) {
         if (!points || points.length < 2) return;
+        if (Number.isFinite(points[0].p)) {
+            this.drawPressureStroke(ctx, { points, color, size, composite });
+            return;
+        }
         ctx.save();
         ctx.lineWidth = size; // size in world units; transform scales it
         ctx.strokeStyle = color;
@@ -413,7 +642,11 @@ export class CanvasManager {
     applyCommit(op) {
         if (op.type === "stroke") {
             this.operations.push(op);
-            this.drawStroke(this.ctx, op);
+            const key = strokeKey(op, this.operations.length - 1);
+            this.strokeOps.set(key, op);
+            this.zOrder.set(key, ++this.zTop);
+            this.refreshElement(key);
+            this.redrawAll();
             // Clear any remote progress for that user if provided
             if (op.userId && this.remoteProgress.has(op.userId)) {
                 this.remoteProgress.delete(op.userId);
@@ -425,9 +658,17 @@ export class CanvasManager {
             if (op.id) {
                 // Server-ack shape: dedupe any matching local placeholder
                 const localId = this.findMatchingLocalShapeId(norm);
-                if (localId) this.shapes.delete(localId);
+                if (localId) {
+                    this.shapes.delete(localId);
+                    this.zOrder.delete(localId);
+                    this.tiles.removeItem(localId);
+                    // Drop the placeholder op too so later rebuilds don't resurrect it
+                    this.operations = this.operations.filter((o) => o.id !== localId);
+                }
                 this.operations.push(op);
                 this.shapes.set(op.id, { ...norm, id: op.id });
+                this.zOrder.set(op.id, ++this.zTop);
+                this.refreshElement(op.id);
                 this.redrawAll();
             } else {
                 // Local create: assign temporary id so redraws persist
@@ -435,17 +676,145 @@ export class CanvasManager {
                 const localOp = { ...op, id: tempId };
                 this.operations.push(localOp);
                 this.shapes.set(tempId, { ...norm, id: tempId });
+                this.zOrder.set(tempId, ++this.zTop);
+                this.refreshElement(tempId);
                 this.redrawAll();
             }
+        } else if (op.type === "text") {
+            if (op.userId) this.remoteTextDrafts.delete(op.userId);
+            if (op.id) {
+                // Server-ack text: replace the matching local placeholder
+                const localId = this.findMatchingLocalTextId(op);
+                if (localId) {
+                    this.texts.delete(localId);
+                    this.zOrder.delete(localId);
+                    this.tiles.removeItem(localId);
+                    this.operations = this.operations.filter((o) => o.id !== localId);
+                    if (this.selectedTextId === localId) this.selectedTextId = op.id;
+                }
+                this.operations.push(op);
+                this.texts.set(op.id, normalizeText(op));
+                this.zOrder.set(op.id, ++this.zTop);
+                this.refreshElement(op.id);
+            } else {
+                const tempId = `local-${Math.random().toString(36).slice(2)}`;
+                const localOp = { ...op, id: tempId };
+                this.operations.push(localOp);
+                this.texts.set(tempId, normalizeText(localOp));
+                this.zOrder.set(tempId, ++this.zTop);
+                this.refreshElement(tempId);
+                this.selectedTextId = tempId;
+            }
+            this.redrawAll();
+        } else if (op.type === "connector") {
+            if (op.id) {
+                // Server-ack connector: replace the matching local placeholder
+                const localId = this.findMatchingLocalConnectorId(op);
+                if (localId) {
+                    this.connectors.delete(localId);
+                    this.zOrder.delete(localId);
+                    this.tiles.removeItem(localId);
+                    this.operations = this.operations.filter((o) => o.id !== localId);
+                }
+                this.operations.push(op);
+                this.connectors.set(op.id, normalizeConnector(op));
+                this.zOrder.set(op.id, ++this.zTop);
+                this.refreshElement(op.id);
+            } else {
+                const tempId = `local-${Math.random().toString(36).slice(2)}`;
+                const localOp = { ...op, id: tempId };
+                this.operations.push(localOp);
+                this.connectors.set(tempId, normalizeConnector(localOp));
+                this.zOrder.set(tempId, ++this.zTop);
+                this.refreshElement(tempId);
+            }
+            this.redrawAll();
+        } else if (op.type === "image") {
+            if (op.id) {
+                // Server-ack image: replace the matching local placeholder
+                const localId = this.findMatchingLocalImageId(op);
+                if (localId) {
+                    this.images.delete(localId);
+                    this.zOrder.delete(localId);
+                    this.tiles.removeItem(localId);
+                    this.operations = this.operations.filter((o) => o.id !== localId);
+                }
+                this.operations.push(op);
+                this.images.set(op.id, normalizeImage(op));
+                this.zOrder.set(op.id, ++this.zTop);
+                this.refreshElement(op.id);
+            } else {
+                const tempId = `local-${Math.random().toString(36).slice(2)}`;
+                const localOp = { ...op, id: tempId };
+                this.operations.push(localOp);
+                this.images.set(tempId, normalizeImage(localOp));
+                this.zOrder.set(tempId, ++this.zTop);
+                this.refreshElement(tempId);
+            }
+            this.redrawAll();
+        } else if (op.type === "delete") {
+            if (op.userId) this.remoteProgress.delete(op.userId);
+            this.operations.push(op);
+            for (const id of op.targetIds || []) {
+                this.detachConnectors(id);
+                this.deletedIds.add(id);
+                this.connectors.delete(id);
+                this.images.delete(id);
+                this.shapes.delete(id);
+                this.texts.delete(id);
+                this.zOrder.delete(id);
+                this.selection.delete(id);
+                this.refreshElement(id);
+            }
+            if (this.selectedTextId && !this.texts.has(this.selectedTextId)) this.selectedTextId = null;
+            this.redrawAll();
+        } else if (op.type === "text:update") {
+            this.operations.push(op);
+            const t = this.texts.get(op.targetId);
+            if (t) applyTextUpdate(t, op);
+            this.refreshElement(op.targetId);
+            this.redrawAll();
         } else if (op.type === "shape:update") {
             this.operations.push(op);
             const s = this.shapes.get(op.targetId);
-            if (s) {
-                if (Number.isFinite(op.x)) s.x = op.x;
-                if (Number.isFinite(op.y)) s.y = op.y;
-                if (Number.isFinite(op.width) && op.width > 0) s.width = op.width;
-                if (Number.isFinite(op.height) && op.height > 0) s.height = op.height;
-                if (typeof op.color === "string") s.color = op.color;
+            if (s) applyShapeUpdate(s, op);
+            this.refreshElement(op.targetId);
+            this.redrawAll();
+        } else if (op.type === "image:update") {
+            this.operations.push(op);
+            const img = this.images.get(op.targetId);
+            if (img) applyImageUpdate(img, op);
+            this.refreshElement(op.targetId);
+            this.redrawAll();
+        } else if (op.type === "order") {
+            this.operations.push(op);
+            for (const id of this.restack(op)) this.refreshElement(id);
+            this.redrawAll();
+        } else if (op.type === "revert") {
+            // Only ever applied once acked (sent straight to the server), so no placeholder to replace
+            this.operations.push(op);
+            this.rebuildElements();
+            this.redrawAll();
+        } else if (op.type === "erase") {
+            if (op.userId) this.remoteProgress.delete(op.userId);
+            if (op.id) {
+                // Server-ack erase: our local preview used placeholder piece ids, so replay instead
+                const local = this.operations.findIndex((o) => o.type === "erase" && o.id?.startsWith("local-") && sameCutTargets(o, op));
+                if (local !== -1) {
+                    this.operations.splice(local, 1);
+                    this.operations.push(op);
+                    this.rebuildElements();
+                    this.redrawAll();
+                    return;
+                }
+                this.operations.push(op);
+            } else {
+                op = { ...op, id: `local-${Math.random().toString(36).slice(2)}` };
+                this.operations.push(op);
+            }
+            for (const id of this.applyCuts(op)) {
+                this.selection.delete(id);
+                this.refreshElement(id);
             }
             this.redrawAll();
         }
@@ -453,19 +822,13 @@ export class CanvasManager {
 
     // Merge a remote in-progress fragment into a cached path per user.
     applyProgress(userId, progress) {
-        if (progress.composite === "destination-out") {
-            // Remote eraser should immediately affect the main canvas
-            this.drawStroke(this.ctx, progress);
-            // Clear any in-progress cache for that user
-            this.remoteProgress.delete(userId);
-            return;
-        }
         const entry = this.remoteProgress.get(userId) || { points: [] };
         const next = {
             points: mergePoints(entry.points, progress.points),
             color: progress.color,
             size: progress.size,
             composite: progress.composite,
+            updatedAt: performance.now(),
         };
         this.remoteProgress.set(userId, next);
     }
@@ -474,22 +837,118 @@ export class CanvasManager {
     renderSnapshot(snapshot) {
         if (!snapshot || !Array.isArray(snapshot.operations)) return;
         this.operations = snapshot.operations.slice();
-        // Rebuild shapes map
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    /** Drop a single operation (remote undo) and redraw. */
+    removeOperation(id) {
+        const index = this.operations.findIndex((op) => op.id === id);
+        if (index === -1) return;
+        this.operations.splice(index, 1);
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    /** Reinsert an operation at its history position (remote redo) and redraw. */
+    restoreOperation(op, index) {
+        const at = Math.max(0, Math.min(this.operations.length, Number(index) || 0));
+        this.operations.splice(at, 0, op);
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    /** Drop every operation authored by userId and redraw. */
+    removeOperationsByUser(userId) {
+        this.operations = this.operations.filter((op) => op.userId !== userId);
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    /** Drop all operations (board cleared) and redraw. */
+    clearOperations() {
+        this.operations = [];
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    /**
+     * Show the board as it was after the first `count` operations of the log,
+     * read-only, or the live board again with null. Changes keep arriving in
+     * the log meanwhile; the caller moves or ends the preview.
+     */
+    previewHistory(count) {
+        this.historyCount = count === null ? null : Math.max(0, Math.min(this.operations.length, Math.floor(count)));
+        this.setReadOnly(this.readOnlyRole);
+        this.rebuildElements();
+        this.redrawAll();
+    }
+
+    // Derive the final elements and their stacking by replaying ops in history order.
+    // Revert ops are resolved first (they swap the ops before them for an earlier set).
+    // Each new element lands on top; order ops restack; delete ops hide their targets;
+    // erase ops replace strokes by the pieces left between the eraser's cuts.
+    rebuildElements() {
         this.shapes.clear();
-        for (const op of this.operations) {
-            if (op.type === "shape") {
+        this.texts.clear();
+        this.connectors.clear();
+        this.images.clear();
+        this.strokeOps.clear();
+        this.deletedIds.clear();
+        this.zOrder.clear();
+        this.zTop = 0;
+        this.zBottom = 0;
+        const history = this.historyCount === null ? this.operations : this.operations.slice(0, this.historyCount);
+        resolveReverts(history).forEach((op, i) => {
+            if (op.type === "delete") {
+                for (const id of op.targetIds || []) {
+                    this.detachConnectors(id, { refresh: false });
+                    this.deletedIds.add(id);
+                    this.connectors.delete(id);
+                    this.images.delete(id);
+                    this.shapes.delete(id);
+                    this.texts.delete(id);
+                    this.zOrder.delete(id);
+                }
+            } else if (op.type === "stroke") {
+                const key = strokeKey(op, i);
+                this.strokeOps.set(key, op);
+                this.zOrder.set(key, ++this.zTop);
+            } else if (op.type === "order") {
+                this.restack(op);
+            } else if (op.type === "erase") {
+                this.applyCuts(op);
+            } else if (op.type === "text") {
+                if (op.id) {
+                    this.texts.set(op.id, normalizeText(op));
+                    this.zOrder.set(op.id, ++this.zTop);
+                }
+            } else if (op.type === "text:update" && this.texts.has(op.targetId)) {
+                applyTextUpdate(this.texts.get(op.targetId), op);
+            } else if (op.type === "shape") {
                 const s = this.normalizeIncomingShape(op);
-                if (s && s.id) this.shapes.set(s.id, s);
+                if (s && s.id) {
+                    this.shapes.set(s.id, s);
+                    this.zOrder.set(s.id, ++this.zTop);
+                }
             } else if (op.type === "shape:update" && op.targetId && this.shapes.has(op.targetId)) {
-                const s = this.shapes.get(op.targetId);
-                if (Number.isFinite(op.x)) s.x = op.x;
-                if (Number.isFinite(op.y)) s.y = op.y;
-                if (Number.isFinite(op.width) && op.width > 0) s.width = op.width;
-                if (Number.isFinite(op.height) && op.height > 0) s.height = op.height;
-                if (typeof op.color === "string") s.color = op.color;
+                applyShapeUpdate(this.shapes.get(op.targetId), op);
+            } else if (op.type === "connector" && op.id) {
+                this.connectors.set(op.id, normalizeConnector(op));
+                this.zOrder.set(op.id, ++this.zTop);
+            } else if (op.type === "image" && op.id) {
+                this.images.set(op.id, normalizeImage(op));
+                this.zOrder.set(op.id, ++this.zTop);
+            } else if (op.type === "image:update" && this.images.has(op.targetId)) {
+                applyImageUpdate(this.images.get(op.targetId), op);
             }
+        });
+        this.reindexElements();
+        // Forget selected elements that no longer exist
+        for (const id of Array.from(this.selection)) {
+            if (!this.getElementBounds(id)) this.selection.delete(id);
         }
-        this.redrawAll();
+        if (this.selectedTextId && !this.texts.has(this.selectedTextId)) this.selectedTextId = null;
     }
 
     /** Export only the main (committed) layer as a PNG data URL. */
@@ -504,21 +963,271 @@ export class CanvasManager {
 }
 
 CanvasManager.prototype.redrawAll = function () {
-    // Clear and replay under current transform
-    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-    this.ctx.clearRect(0, 0, this.mainCanvas.width, this.mainCanvas.height);
-    // Restore transform for drawing
     const d = this.devicePixelRatio;
+    this.tilesPending = this.tiles.render(this.ctx, {
+        scale: this.scale,
+        pan: this.pan,
+        dpr: d,
+        width: this.mainCanvas.width,
+        height: this.mainCanvas.height,
+    });
+    // Keep the world transform for previews drawn straight onto the main canvas (live erasing)
     this.ctx.setTransform(this.scale * d, 0, 0, this.scale * d, this.pan.x * d, this.pan.y * d);
-    // 1) Draw strokes in order
-    for (const op of this.operations) {
-        if (op.type === "stroke") this.drawStroke(this.ctx, op);
+}
+
+// --- Tiled rendering ---------------------------------------------------------
+
+// Draw one element into a tile (callback of the TileRenderer).
+CanvasManager.prototype.drawElement = function (ctx, id) {
+    // Marked by the object eraser: faded until the delete is committed
+    const faded = this.eraseTargets.has(id);
+    if (faded) { ctx.save(); ctx.globalAlpha = 0.25; }
+    const op = this.strokeOps.get(id);
+    if (op) this.drawStroke(ctx, op);
+    else if (this.shapes.has(id)) this.drawShape(ctx, this.shapes.get(id));
+    else if (this.connectors.has(id)) this.drawShape(ctx, this.connectorGeometry(id));
+    else if (this.images.has(id)) this.drawImage(ctx, this.images.get(id));
+    // The text being edited is shown by its textarea instead
+    else if (id !== this.editingTextId) this.drawText(ctx, this.texts.get(id));
+    if (faded) ctx.restore();
+};
+
+// Re-register an element after it changed, moved in the stack or disappeared,
+// so the tiles it covered - before and after - are redrawn.
+CanvasManager.prototype.refreshElement = function (id) {
+    const z = this.zOrder.get(id);
+    if (z === undefined) { this.tiles.removeItem(id); return; }
+    const s = this.shapes.get(id);
+    const t = this.texts.get(id);
+    const op = this.strokeOps.get(id);
+    const c = this.connectors.has(id) ? this.connectorGeometry(id) : null;
+    const img = this.images.get(id);
+    let bounds = null;
+    if (s) bounds = shapeExtent(s);
+    else if (t) bounds = padRect(this.measureTextBounds(t), 4);
+    else if (c) bounds = shapeExtent(c);
+    else if (img) bounds = padRect(imageBounds(img), 1);
+    else if (op && !this.deletedIds.has(id)) bounds = strokeBounds(op);
+    this.tiles.setItem(id, z, bounds);
+    // Connectors bound to a shape follow it
+    if (s) for (const cid of this.connectorsOf(id)) this.refreshElement(cid);
+};
+
+// Rebuild the spatial index from scratch (after a snapshot or history rewrite).
+CanvasManager.prototype.reindexElements = function () {
+    this.tiles.reset();
+    for (const id of this.zOrder.keys()) this.refreshElement(id);
+};
+
+// Apply an order op: move its targets to the top or bottom of the stack,
+// keeping their relative order. Returns the ids that moved.
+CanvasManager.prototype.restack = function (op) {
+    const ids = (op.targetIds || []).filter((id) => this.zOrder.has(id));
+    ids.sort((a, b) => this.zOrder.get(a) - this.zOrder.get(b));
+    if (op.position === "back") {
+        for (let i = ids.length - 1; i >= 0; i--) this.zOrder.set(ids[i], --this.zBottom);
+    } else {
+        for (const id of ids) this.zOrder.set(id, ++this.zTop);
     }
-    // 2) Draw final shapes state on top
-    const shapesMap = this.shapes || new Map();
-    for (const [, shape] of shapesMap) {
-        this.drawShape(this.ctx, shape);
+    return ids;
+};
+
+// Strokes are keyed by id; legacy ones without an id by their log position.
+function strokeKey(op, index) {
+    return op.id || `stroke-${index}`;
+}
+
+// Must match resolveReverts in server/drawing-state.js: each revert swaps the
+// ops before it for those it lists in opIds (the ops in effect right after op
+// toId when it was made). Older reverts without opIds use the ops in effect
+// right after toId, as long as that op is still in the log.
+function resolveReverts(operations) {
+    const reverts = operations.filter((op) => op.type === "revert");
+    if (reverts.length === 0) return operations;
+    const targets = new Set(reverts.filter((op) => !Array.isArray(op.opIds)).map((op) => op.toId));
+    let effective = [];
+    const seen = []; // every non-revert op so far
+    const at = new Map(); // target op id -> effective ops right after it
+    for (const op of operations) {
+        if (op.type !== "revert") {
+            effective.push(op);
+            seen.push(op);
+        } else if (Array.isArray(op.opIds)) {
+            const kept = new Set(op.opIds);
+            effective = seen.filter((o) => kept.has(o.id));
+        } else if (op.toId === null) {
+            effective = [];
+        } else if (at.has(op.toId)) {
+            effective = at.get(op.toId).slice();
+        }
+        if (targets.has(op.id)) at.set(op.id, effective.slice());
+    }
+    return effective;
+}
+
+function strokeBounds(op) {
+    if (!op.points?.length) return null;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const pt of op.points) {
+        minX = Math.min(minX, pt.x); minY = Math.min(minY, pt.y);
+        maxX = Math.max(maxX, pt.x); maxY = Math.max(maxY, pt.y);
     }
+    const r = (op.size || 1) / 2;
+    return { x: minX - r, y: minY - r, width: maxX - minX + 2 * r, height: maxY - minY + 2 * r };
+}
+
+function padRect(r, pad) {
+    if (!r) return null;
+    return { x: r.x - pad, y: r.y - pad, width: r.width + 2 * pad, height: r.height + 2 * pad };
+}
+
+const TEXT_FONT_FAMILY = "Inter, system-ui, sans-serif";
+const TEXT_LINE_HEIGHT = 1.3;
+// Remote eraser trails disappear this long after their last progress fragment.
+const ERASER_TRAIL_TTL_MS = 400;
+// The server rejects committed strokes with more points than this.
+const MAX_STROKE_POINTS = 10000;
+// Screen distance between an image's top edge and its rotate handle.
+const IMAGE_ROTATE_HANDLE_OFFSET = 24;
+// Newly placed images are scaled down to at most this share of the visible area.
+const IMAGE_MAX_VIEW_FRACTION = 0.6;
+
+// Normalize a text op into the texts map record.
+function normalizeText(op) {
+    return {
+        id: op.id,
+        text: String(op.text ?? ""),
+        x: op.x,
+        y: op.y,
+        fontSize: Math.max(8, Number(op.fontSize) || 16),
+        color: op.color || "#1f2937",
+        fontFamily: op.fontFamily,
+    };
+}
+
+// Apply a (partial) text:update onto a text record.
+function applyTextUpdate(t, op) {
+    if (typeof op.text === "string") t.text = op.text;
+    if (Number.isFinite(op.x)) t.x = op.x;
+    if (Number.isFinite(op.y)) t.y = op.y;
+    if (Number.isFinite(op.fontSize) && op.fontSize > 0) t.fontSize = op.fontSize;
+    if (typeof op.color === "string") t.color = op.color;
+}
+
+function applyShapeUpdate(s, op) {
+    // Lines and arrows may be flat in one direction
+    const minExtent = isLineShape(s) ? 0 : Number.MIN_VALUE;
+    if (Number.isFinite(op.x)) s.x = op.x;
+    if (Number.isFinite(op.y)) s.y = op.y;
+    if (Number.isFinite(op.width) && op.width >= minExtent) s.width = op.width;
+    if (Number.isFinite(op.height) && op.height >= minExtent) s.height = op.height;
+    if (typeof op.color === "string") s.color = op.color;
+    Object.assign(s, pickShapeOptions(s.shape, op), pickShapeStyle(op));
+}
+
+// Resize handles of a shape: the box corners, or both ends of a line.
+function shapeHandles(shape) {
+    if (isLineShape(shape)) {
+        const { a, b } = lineEndpoints(shape);
+        return [{ k: "start", ...a }, { k: "end", ...b }];
+    }
+    const { x, y, width: w, height: h } = shape;
+    return [
+        { k: "nw", x, y },
+        { k: "ne", x: x + w, y },
+        { k: "sw", x, y: y + h },
+        { k: "se", x: x + w, y: y + h },
+    ];
+}
+
+// Box of a shape, plus which corners a line joins.
+function shapeGeometry(s) {
+    const g = { x: s.x, y: s.y, width: s.width, height: s.height };
+    if (isLineShape(s)) { g.flipX = !!s.flipX; g.flipY = !!s.flipY; }
+    return g;
+}
+
+function normalizeImage(op) {
+    return {
+        id: op.id,
+        assetId: op.assetId,
+        x: op.x,
+        y: op.y,
+        width: op.width,
+        height: op.height,
+        rotation: Number.isFinite(op.rotation) ? op.rotation : 0,
+    };
+}
+
+// Apply a (partial) image:update, or an image's shape:progress, onto an image record.
+function applyImageUpdate(img, op) {
+    if (Number.isFinite(op.x)) img.x = op.x;
+    if (Number.isFinite(op.y)) img.y = op.y;
+    if (Number.isFinite(op.width) && op.width > 0) img.width = op.width;
+    if (Number.isFinite(op.height) && op.height > 0) img.height = op.height;
+    if (Number.isFinite(op.rotation)) img.rotation = op.rotation;
+}
+
+// Turn a vector by `rad` radians (clockwise on screen).
+function rotateVector(v, rad) {
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos };
+}
+
+// World position of a point given relative to an image's center in its own (unrotated) frame.
+function imagePoint(img, local) {
+    const v = rotateVector(local, (img.rotation * Math.PI) / 180);
+    return { x: img.x + img.width / 2 + v.x, y: img.y + img.height / 2 + v.y };
+}
+
+// Axis-aligned box around an image's rotated corners.
+function imageBounds(img) {
+    const w = img.width / 2, h = img.height / 2;
+    const corners = [{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }].map((c) => imagePoint(img, c));
+    const xs = corners.map((c) => c.x), ys = corners.map((c) => c.y);
+    const x = Math.min(...xs), y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// Corner handles of an image plus the rotate handle above its top edge
+// (offset in screen pixels, hence the scale).
+function imageHandles(img, scale) {
+    const w = img.width / 2, h = img.height / 2;
+    return [
+        { k: "nw", ...imagePoint(img, { x: -w, y: -h }) },
+        { k: "ne", ...imagePoint(img, { x: w, y: -h }) },
+        { k: "sw", ...imagePoint(img, { x: -w, y: h }) },
+        { k: "se", ...imagePoint(img, { x: w, y: h }) },
+        { k: "rotate", ...imagePoint(img, { x: 0, y: -h - IMAGE_ROTATE_HANDLE_OFFSET / scale }) },
+    ];
+}
+
+// Box of an image resized by dragging one corner handle to p. The opposite
+// corner stays put and the aspect ratio is kept; the rotation is unchanged.
+function resizeImage(orig, handle, p) {
+    const sx = handle.includes("w") ? -1 : 1;
+    const sy = handle.includes("n") ? -1 : 1;
+    const rad = (orig.rotation * Math.PI) / 180;
+    const fixed = imagePoint(orig, { x: (-sx * orig.width) / 2, y: (-sy * orig.height) / 2 });
+    // Pointer offset from the fixed corner, in the image's own frame
+    const v = rotateVector({ x: p.x - fixed.x, y: p.y - fixed.y }, -rad);
+    const k = Math.max(1 / Math.min(orig.width, orig.height), (sx * v.x) / orig.width, (sy * v.y) / orig.height);
+    const width = orig.width * k, height = orig.height * k;
+    const c = rotateVector({ x: (sx * width) / 2, y: (sy * height) / 2 }, rad);
+    return { x: fixed.x + c.x - width / 2, y: fixed.y + c.y - height / 2, width, height };
+}
+
+// Keep only the fields a connector is drawn from.
+function normalizeConnector(op) {
+    return {
+        id: op.id,
+        from: { ...op.from },
+        to: { ...op.to },
+        color: op.color || "#1f2937",
+        startArrow: op.startArrow,
+        endArrow: op.endArrow,
+        ...pickShapeStyle(op),
+    };
 }
 
 function distance(a, b) {
@@ -544,6 +1253,16 @@ function simplifyPoints(points) {
     return simplified;
 }
 
+// Evenly thin out a point list to at most max points, keeping both ends.
+function capPoints(points, max) {
+    if (points.length <= max) return points;
+    const step = (points.length - 1) / (max - 1);
+    const out = [];
+    for (let i = 0; i < max - 1; i++) out.push(points[Math.round(i * step)]);
+    out.push(points[points.length - 1]);
+    return out;
+}
+
 function mergePoints(existing, incoming) {
     if (!existing || existing.length === 0) return incoming.slice();
     if (!incoming || incoming.length === 0) return existing.slice();
@@ -561,53 +1280,72 @@ function mergePoints(existing, incoming) {
 
 
 
-// Apply remote in-flight shape transform
+// Apply remote in-flight shape (or image) transform
 CanvasManager.prototype.applyShapeProgress = function (payload) {
     if (!payload || !payload.id) return;
     const s = this.shapes.get(payload.id);
-    if (!s) return;
-    if (Number.isFinite(payload.x)) s.x = payload.x;
-    if (Number.isFinite(payload.y)) s.y = payload.y;
-    if (Number.isFinite(payload.width) && payload.width > 0) s.width = payload.width;
-    if (Number.isFinite(payload.height) && payload.height > 0) s.height = payload.height;
+    const img = this.images.get(payload.id);
+    if (s) applyShapeUpdate(s, payload);
+    else if (img) applyImageUpdate(img, payload);
+    else return;
+    this.refreshElement(payload.id);
     this.redrawAll();
 };
 
-// Apply remote in-flight text transform
+// Apply remote in-flight text transform or edit.
+// payload: { userId, id, x?, y?, fontSize?, text? } for existing texts, or
+// { userId, draft: true, done?, text, x, y, fontSize, color } while a new text is typed.
 CanvasManager.prototype.applyTextProgress = function (payload) {
-    if (!payload || !payload.id) return;
+    if (!payload) return;
+    if (payload.draft) {
+        if (payload.done || !payload.text) this.remoteTextDrafts.delete(payload.userId);
+        else this.remoteTextDrafts.set(payload.userId, normalizeText(payload));
+        return;
+    }
+    if (!payload.id) return;
     const t = this.texts.get(payload.id);
     if (!t) return;
     if (Number.isFinite(payload.x)) t.x = payload.x;
     if (Number.isFinite(payload.y)) t.y = payload.y;
     if (Number.isFinite(payload.fontSize) && payload.fontSize > 0) t.fontSize = payload.fontSize;
+    if (typeof payload.text === "string" && payload.text) t.text = payload.text;
+    this.refreshElement(t.id);
     this.redrawAll();
 };
+
+// Draw a (possibly multi-line) text with its top-left at (x, y).
+CanvasManager.prototype.drawText = function (ctx, t) {
+    if (!t || !t.text) return;
+    const fontSize = Math.max(8, Number(t.fontSize) || 16);
+    ctx.save();
+    ctx.font = `${fontSize}px ${t.fontFamily || TEXT_FONT_FAMILY}`;
+    ctx.fillStyle = t.color || "#1f2937";
+    ctx.textBaseline = "top";
+    const lines = t.text.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+        ctx.fillText(lines[i], t.x, t.y + i * fontSize * TEXT_LINE_HEIGHT);
+    }
+    ctx.restore();
+};
+
 // Compute approximate text bounds in world coordinates for hit testing.
 CanvasManager.prototype.measureTextBounds = function (t) {
     if (!t || typeof t.text !== "string") return null;
-    const d = this.devicePixelRatio;
     this.ctx.save();
     const fontSize = Math.max(8, Number(t.fontSize ?? t.size) || 16);
-    this.ctx.font = `${fontSize}px ${t.fontFamily || "Inter, system-ui, sans-serif"}`;
-    const metrics = this.ctx.measureText(t.text);
+    this.ctx.font = `${fontSize}px ${t.fontFamily || TEXT_FONT_FAMILY}`;
+    const lines = t.text.split("\n");
+    let width = 0;
+    for (const line of lines) width = Math.max(width, this.ctx.measureText(line).width);
     this.ctx.restore();
-    const width = metrics.width;
-    const height = fontSize * 1.3;
+    const height = fontSize * TEXT_LINE_HEIGHT * lines.length;
     const x = t.x;
     const y = t.y;
     return { x, y, width, height };
 };
 
 CanvasManager.prototype.hitTestText = function (x, y) {
-    // Iterate and pick last hit (top-most among text layer)
-    let hit = null;
-    for (const [id, t] of this.texts) {
-        const b = this.measureTextBounds(t);
-        if (!b) continue;
-        if (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) hit = id;
-    }
-    return hit;
+    return this.hitTestTopmost(x, y, (id) => this.texts.has(id));
 };
 
 // Public helpers for resizing selected text from UI
@@ -624,89 +1362,164 @@ CanvasManager.prototype.updateSelectedTextFontSize = function (size) {
     const next = Math.max(8, Number(size) || 16);
     if (t.fontSize === next) return;
     t.fontSize = next;
+    this.refreshElement(t.id);
     this.redrawAll();
     this.onCommit?.({ type: "text:update", targetId: t.id, fontSize: next });
 };
+CanvasManager.prototype.updateSelectedTextColor = function (color) {
+    if (!this.hasSelectedText() || typeof color !== "string") return;
+    const t = this.texts.get(this.selectedTextId);
+    if (t.color === color) return;
+    t.color = color;
+    this.refreshElement(t.id);
+    this.redrawAll();
+    this.onCommit?.({ type: "text:update", targetId: t.id, color });
+};
+
+// Open an inline textarea to create a text at world point p, or edit text `id`.
+CanvasManager.prototype.beginTextEdit = function (p, id) {
+    this.finishTextEdit();
+    const existing = id ? this.texts.get(id) : null;
+    const draft = existing
+        ? { text: existing.text, x: existing.x, y: existing.y, fontSize: existing.fontSize, color: existing.color }
+        : { text: "", x: p.x, y: p.y, fontSize: this.fontSize, color: this.color };
+    const el = document.createElement("textarea");
+    el.className = "text-editor";
+    el.spellcheck = false;
+    el.value = draft.text;
+    this.canvasHost.appendChild(el);
+    this.textEditor = { el, id: existing ? existing.id : null, draft };
+    this.editingTextId = existing ? existing.id : null;
+    this.selectedTextId = existing ? existing.id : null;
+    this.positionTextEditor();
+    if (existing) this.refreshElement(existing.id);
+    this.redrawAll();
+
+    el.addEventListener("input", () => {
+        draft.text = el.value;
+        this.positionTextEditor();
+        const now = performance.now();
+        if (!this._lastTextProgressAt || (now - this._lastTextProgressAt) > 50) {
+            this._lastTextProgressAt = now;
+            if (this.textEditor?.id) this.onTextProgress?.({ id: this.textEditor.id, text: draft.text });
+            else this.onTextProgress?.({ draft: true, ...draft });
+        }
+    });
+    el.addEventListener("keydown", (e) => {
+        // Keep typing out of global shortcuts (undo, space-to-pan)
+        e.stopPropagation();
+        if (e.key === "Escape") { e.preventDefault(); this.finishTextEdit(true); }
+        else if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); this.finishTextEdit(); }
+    });
+    el.addEventListener("keyup", (e) => e.stopPropagation());
+    el.addEventListener("blur", () => this.finishTextEdit());
+    // Focus after the pointer sequence so the canvas press doesn't steal it back
+    setTimeout(() => el.focus(), 0);
+};
+
+// Close the inline editor, committing a new text or a text:update unless cancelled.
+CanvasManager.prototype.finishTextEdit = function (cancel) {
+    const ed = this.textEditor;
+    if (!ed) return;
+    this.textEditor = null;
+    this.editingTextId = null;
+    ed.el.remove();
+    const text = ed.draft.text.replace(/\s+$/, "");
+    if (!ed.id) this.onTextProgress?.({ draft: true, done: true });
+    if (!cancel && text) {
+        if (ed.id) {
+            const t = this.texts.get(ed.id);
+            if (t && t.text !== text) {
+                t.text = text;
+                this.onCommit?.({ type: "text:update", targetId: ed.id, text });
+            }
+        } else {
+            const op = { type: "text", text, x: ed.draft.x, y: ed.draft.y, fontSize: ed.draft.fontSize, color: ed.draft.color };
+            this.applyCommit(op);
+            this.onCommit?.(op);
+        }
+    } else if (ed.id) {
+        // Cancelled (or emptied): tell peers to drop the live preview
+        const t = this.texts.get(ed.id);
+        if (t) this.onTextProgress?.({ id: ed.id, text: t.text });
+    }
+    if (ed.id) this.refreshElement(ed.id);
+    this.redrawAll();
+};
+
+// Place the textarea over the text's world position at the current zoom.
+CanvasManager.prototype.positionTextEditor = function () {
+    const ed = this.textEditor;
+    if (!ed) return;
+    const { el, draft } = ed;
+    const fontPx = draft.fontSize * this.scale;
+    el.style.left = `${this.pan.x + draft.x * this.scale}px`;
+    el.style.top = `${this.pan.y + draft.y * this.scale}px`;
+    el.style.font = `${fontPx}px ${TEXT_FONT_FAMILY}`;
+    el.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    el.style.color = draft.color;
+    const lines = (el.value || " ").split("\n");
+    el.rows = lines.length;
+    el.style.width = `${Math.max(4, ...lines.map((l) => l.length)) * fontPx * 0.62 + fontPx}px`;
+};
+
+// Try to link a just-acknowledged text from server to a previous local placeholder.
+CanvasManager.prototype.findMatchingLocalTextId = function (op) {
+    for (const [id, t] of this.texts) {
+        if (!id.startsWith('local-')) continue;
+        if (t.text === op.text && Math.abs(t.x - op.x) < 1 && Math.abs(t.y - op.y) < 1) return id;
+    }
+    return null;
+};
 
 // Draw final shape geometry at current transform.
 CanvasManager.prototype.drawShape = function (ctx, op) {
     if (!op || !op.shape) return;
     // Support legacy center+size or new x,y,width,height (x,y top-left)
-    let x = op.x, y = op.y, w = op.width, h = op.height;
-    if (!Number.isFinite(w) || !Number.isFinite(h)) {
-        const size = Math.max(1, Number(op.size) || 16);
-        w = size; h = size; x = (op.x ?? 0) - size / 2; y = (op.y ?? 0) - size / 2;
-    }
+    const shape = Number.isFinite(op.width) && Number.isFinite(op.height) ? op : this.normalizeIncomingShape(op);
     ctx.save();
-    ctx.strokeStyle = op.color || "#1f2937";
-    ctx.lineWidth = 2;
+    if (Number.isFinite(shape.opacity)) ctx.globalAlpha = shape.opacity;
+    ctx.strokeStyle = shape.color || "#1f2937";
+    ctx.lineWidth = shapeStrokeWidth(shape);
     ctx.beginPath();
-    if (op.shape === "circle") {
-        const cx = x + w / 2, cy = y + h / 2;
-        const r = Math.min(w, h) / 2;
-        ctx.arc(cx, cy, r, 0, Math.PI * 2);
-        ctx.stroke();
-    } else if (op.shape === "square") {
-        // Use strokeRect for crisp rectangle outline
-        ctx.strokeRect(x, y, w, h);
-    } else if (op.shape === "triangle") {
-        // Upward equilateral triangle inside the box
-        const cx = x + w / 2, cy = y + h / 2;
-        const size = Math.min(w, h);
-        const hh = (Math.sqrt(3) / 2) * size;
-        const p1 = { x: cx, y: cy - (2 / 3) * hh };
-        const p2 = { x: cx - size / 2, y: cy + (1 / 3) * hh };
-        const p3 = { x: cx + size / 2, y: cy + (1 / 3) * hh };
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.lineTo(p3.x, p3.y);
-        ctx.closePath();
-        ctx.stroke();
+    traceShape(ctx, shape);
+    if (isFilled(shape)) {
+        ctx.fillStyle = shape.fillColor;
+        ctx.fill();
     }
+    ctx.setLineDash(dashPattern(shape));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    drawArrowHeads(ctx, shape, ctx.lineWidth);
     ctx.restore();
 }
 
 // Draw a temporary outline for in-progress shape creation.
 CanvasManager.prototype.drawShapeOutline = function (ctx, op, { dashed } = {}) {
-    const { x, y, width: w, height: h } = op;
     ctx.save();
     if (dashed) ctx.setLineDash([4, 4]);
     ctx.strokeStyle = op.color || "#1f2937";
     ctx.lineWidth = 1;
-    if (op.shape === "circle") {
-        const cx = x + w / 2, cy = y + h / 2, r = Math.min(w, h) / 2;
-        ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
-    } else if (op.shape === "square") {
-        ctx.strokeRect(x, y, w, h);
-    } else if (op.shape === "triangle") {
-        const cx = x + w / 2, cy = y + h / 2;
-        const size = Math.min(w, h);
-        const hh = (Math.sqrt(3) / 2) * size;
-        const p1 = { x: cx, y: cy - (2 / 3) * hh };
-        const p2 = { x: cx - size / 2, y: cy + (1 / 3) * hh };
-        const p3 = { x: cx + size / 2, y: cy + (1 / 3) * hh };
-        ctx.beginPath(); ctx.moveTo(p1.x, p1.y); ctx.lineTo(p2.x, p2.y); ctx.lineTo(p3.x, p3.y); ctx.closePath(); ctx.stroke();
-    }
+    ctx.beginPath();
+    traceShape(ctx, op);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    drawArrowHeads(ctx, op, 2, "transparent");
     ctx.restore();
 }
 
 CanvasManager.prototype.drawSelection = function (ctx, shape) {
     const { x, y, width: w, height: h } = shape;
     ctx.save();
-    // selection rectangle
+    // selection rectangle (lines only get their end handles)
     ctx.strokeStyle = "#6366f1";
     ctx.lineWidth = 1;
     ctx.setLineDash([3, 3]);
-    ctx.strokeRect(x, y, w, h);
+    if (!isLineShape(shape)) ctx.strokeRect(x, y, w, h);
     // handles (keep ~8px on screen)
     const s = Math.max(6, Math.min(12, 8 / this.scale));
     const half = s / 2;
-    const pts = [
-        { k: "nw", x, y },
-        { k: "ne", x: x + w, y },
-        { k: "sw", x, y: y + h },
-        { k: "se", x: x + w, y: y + h },
-    ];
+    const pts = shapeHandles(shape);
     ctx.setLineDash([]);
     ctx.fillStyle = "#ffffff";
     ctx.strokeStyle = "#6366f1";
@@ -722,47 +1535,54 @@ CanvasManager.prototype.drawSelection = function (ctx, shape) {
 CanvasManager.prototype.normalizeIncomingShape = function (op) {
     if (!op) return null;
     const color = op.color || "#1f2937";
+    const options = { ...pickShapeOptions(op.shape, op), ...pickShapeStyle(op) };
     if (Number.isFinite(op.width) && Number.isFinite(op.height)) {
-        return { id: op.id, shape: op.shape, x: op.x, y: op.y, width: op.width, height: op.height, color };
+        return { id: op.id, shape: op.shape, x: op.x, y: op.y, width: op.width, height: op.height, color, ...options };
     }
     const size = Math.max(1, Number(op.size) || 16);
-    return { id: op.id, shape: op.shape, x: (op.x ?? 0) - size / 2, y: (op.y ?? 0) - size / 2, width: size, height: size, color };
+    return { id: op.id, shape: op.shape, x: (op.x ?? 0) - size / 2, y: (op.y ?? 0) - size / 2, width: size, height: size, color, ...options };
 }
 
 // Normalize drag draft to top-left box and clamp minimal size.
+// Lines and arrows keep the drag direction in flipX/flipY and may be flat.
 CanvasManager.prototype.normalizeRect = function (draft) {
+    const options = { ...pickShapeOptions(draft.shape, draft), ...pickShapeStyle(draft) };
+    if (isLineShape(draft)) {
+        const box = lineBox(draft, { x: draft.x + draft.width, y: draft.y + draft.height });
+        return { shape: draft.shape, color: draft.color, ...options, ...box };
+    }
     const x1 = draft.x, y1 = draft.y, x2 = draft.x + draft.width, y2 = draft.y + draft.height;
     const x = Math.min(x1, x2), y = Math.min(y1, y2);
     const w = Math.max(1, Math.abs(x2 - x1)), h = Math.max(1, Math.abs(y2 - y1));
-    return { shape: draft.shape, x, y, width: w, height: h, color: draft.color };
+    return { shape: draft.shape, x, y, width: w, height: h, color: draft.color, ...options };
 }
 
 // Return the id of the top-most shape under a point (if any).
 CanvasManager.prototype.hitTestShape = function (x, y) {
-    // Iterate in insertion order and pick last hit (top-most among shapes layer)
-    let hit = null;
-    for (const [id, s] of this.shapes) {
-        if (x >= s.x && x <= s.x + s.width && y >= s.y && y <= s.y + s.height) hit = id;
-    }
-    return hit;
+    return this.hitTestTopmost(x, y, (id) => this.shapes.has(id));
 }
 
 // Return which resize handle (if any) is under the point.
 CanvasManager.prototype.hitTestHandle = function (shape, x, y) {
     if (!shape) return null;
+    return this.handleAt(shapeHandles(shape), x, y);
+}
+
+// Return which image handle (a corner or "rotate") is under the point.
+CanvasManager.prototype.hitTestImageHandle = function (img, x, y) {
+    if (!img) return null;
+    return this.handleAt(imageHandles(img, this.scale), x, y);
+};
+
+CanvasManager.prototype.handleAt = function (handles, x, y) {
     const s = Math.max(6, Math.min(12, 8 / this.scale));
     const half = s / 2;
-    const boxes = [
-        { k: "nw", x: shape.x, y: shape.y },
-        { k: "ne", x: shape.x + shape.width, y: shape.y },
-        { k: "sw", x: shape.x, y: shape.y + shape.height },
-        { k: "se", x: shape.x + shape.width, y: shape.y + shape.height },
-    ].map(p => ({ k: p.k, x: p.x - half, y: p.y - half, w: s, h: s }));
+    const boxes = handles.map(p => ({ k: p.k, x: p.x - half, y: p.y - half, w: s, h: s }));
     for (const b of boxes) {
         if (x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) return b.k;
     }
     return null;
-}
+};
 
 // Try to link a just-acknowledged shape from server to a previous local placeholder.
 CanvasManager.prototype.findMatchingLocalShapeId = function (shape) {
@@ -782,3 +1602,756 @@ CanvasManager.prototype.findMatchingLocalShapeId = function (shape) {
 }
 
 
+// --- Select tool -----------------------------------------------------------
+
+// World-space bounds of any element (shape, image, text or stroke), or null.
+CanvasManager.prototype.getElementBounds = function (id) {
+    const s = this.shapes.get(id);
+    if (s) return { x: s.x, y: s.y, width: s.width, height: s.height };
+    const img = this.images.get(id);
+    if (img) return imageBounds(img);
+    const t = this.texts.get(id);
+    if (t) return this.measureTextBounds(t);
+    if (this.deletedIds.has(id)) return null;
+    return this.tiles.getBounds(id);
+};
+
+// Return the id of the top-most visible (non-eraser) stroke under a point.
+CanvasManager.prototype.hitTestStroke = function (x, y) {
+    return this.hitTestTopmost(x, y, (id) => this.strokeOps.has(id));
+};
+
+// Top-most element of any kind under a point, by stacking order.
+CanvasManager.prototype.hitTestElement = function (x, y) {
+    return this.hitTestTopmost(x, y);
+};
+
+// Walk the elements near a point from the top of the stack down and return
+// the first one (passing the optional filter) that the point actually hits.
+// See elementHit for what counts as a hit for each kind.
+CanvasManager.prototype.hitTestTopmost = function (x, y, filter) {
+    const p = { x, y };
+    const slop = 4 / this.scale;
+    const candidates = this.tiles.query({ x: x - slop, y: y - slop, width: 2 * slop, height: 2 * slop });
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        const id = candidates[i].id;
+        if ((!filter || filter(id)) && this.elementHit(id, p, slop)) return id;
+    }
+    return null;
+};
+
+// Whether point p lies within `slop` of element id. Closed shapes count their
+// whole outline area, lines and arrows their segment, texts and images their box
+// and strokes the area their line covers. Legacy eraser strokes
+// and strokes without an id are never hit.
+CanvasManager.prototype.elementHit = function (id, p, slop) {
+    const inBox = (b) => !!b && p.x >= b.x - slop && p.x <= b.x + b.width + slop && p.y >= b.y - slop && p.y <= b.y + b.height + slop;
+    const s = this.shapes.get(id);
+    if (s) return shapeContains(s, p, slop);
+    if (this.connectors.has(id)) {
+        const c = this.connectorGeometry(id);
+        return !!c && shapeContains(c, p, slop);
+    }
+    const img = this.images.get(id);
+    if (img) {
+        // Test in the image's own frame, where its box is axis-aligned
+        const v = rotateVector({ x: p.x - img.x - img.width / 2, y: p.y - img.y - img.height / 2 }, (-img.rotation * Math.PI) / 180);
+        return Math.abs(v.x) <= img.width / 2 + slop && Math.abs(v.y) <= img.height / 2 + slop;
+    }
+    const t = this.texts.get(id);
+    if (t) return inBox(this.measureTextBounds(t));
+    const op = this.strokeOps.get(id);
+    if (!op || !op.id || op.composite === "destination-out") return false;
+    const pts = op.points || [];
+    const r = (op.size || 1) / 2 + slop;
+    for (let k = 0; k < pts.length - 1; k++) {
+        if (distanceToSegment(p, pts[k], pts[k + 1]) <= r) return true;
+    }
+    return false;
+};
+
+/** Move the selected elements to the top ("front") or bottom ("back") of the stack. */
+CanvasManager.prototype.reorderSelection = function (position) {
+    const targetIds = Array.from(this.selection).filter((id) => !id.startsWith("local-"));
+    if (targetIds.length === 0) return;
+    const op = { type: "order", targetIds, position: position === "back" ? "back" : "front" };
+    this.applyCommit(op);
+    this.onCommit?.(op);
+};
+
+/** Whether the selection holds a shape, whose style can then be edited. */
+CanvasManager.prototype.hasSelectedShapes = function () {
+    for (const id of this.selection) if (this.shapes.has(id)) return true;
+    return false;
+};
+
+/** Style of the first selected shape, defaults filled in, or null. */
+CanvasManager.prototype.getSelectedShapeStyle = function () {
+    for (const id of this.selection) {
+        const s = this.shapes.get(id);
+        if (!s) continue;
+        return {
+            color: s.color,
+            filled: !!s.filled,
+            fillColor: s.fillColor ?? this.shapeStyle.fillColor,
+            strokeWidth: shapeStrokeWidth(s),
+            opacity: s.opacity ?? 1,
+            dash: s.dash ?? "solid",
+        };
+    }
+    return null;
+};
+
+/**
+ * Restyle every selected shape, committing one shape:update per shape that changes.
+ * @param {Object} patch outline `color` and/or style fields (fillColor, filled, strokeWidth, opacity, dash)
+ */
+CanvasManager.prototype.updateSelectedShapeStyle = function (patch) {
+    const changes = pickShapeStyle(patch);
+    if (typeof patch.color === "string") changes.color = patch.color;
+    let changed = false;
+    for (const id of this.selection) {
+        const s = this.shapes.get(id);
+        if (!s || id.startsWith("local-")) continue;
+        const diff = {};
+        for (const [key, value] of Object.entries(changes)) if (s[key] !== value) diff[key] = value;
+        if (Object.keys(diff).length === 0) continue;
+        Object.assign(s, diff);
+        this.refreshElement(id);
+        this.onCommit?.({ type: "shape:update", targetId: id, ...diff });
+        changed = true;
+    }
+    if (changed) this.redrawAll();
+};
+
+CanvasManager.prototype.hasSelection = function () { return this.selection.size > 0; };
+
+CanvasManager.prototype.clearSelection = function () {
+    this.selection.clear();
+    if (this.tool === "select") this.selectedTextId = null;
+};
+
+// Keep the text-specific selection (font size/color UI) in step with the select tool.
+CanvasManager.prototype.syncSelectedText = function () {
+    const only = this.selection.size === 1 ? Array.from(this.selection)[0] : null;
+    this.selectedTextId = only && this.texts.has(only) ? only : null;
+};
+
+CanvasManager.prototype.onSelectPointerDown = function (e, p) {
+    this.overlayCanvas.setPointerCapture?.(e.pointerId);
+    this.active = true;
+    // Corner handles of a single selected shape or image start a resize,
+    // the handle above an image a rotation
+    if (this.selection.size === 1) {
+        const id = Array.from(this.selection)[0];
+        const shape = this.shapes.get(id);
+        const image = this.images.get(id);
+        const handle = shape ? this.hitTestHandle(shape, p.x, p.y) : this.hitTestImageHandle(image, p.x, p.y);
+        if (handle) {
+            this.transformDraft = { kind: handle === "rotate" ? "rotate" : "resize", id, handle, orig: { ...(shape || image) } };
+            return;
+        }
+    }
+    const hit = this.hitTestElement(p.x, p.y);
+    if (hit) {
+        if (e.shiftKey) {
+            if (this.selection.has(hit)) this.selection.delete(hit); else this.selection.add(hit);
+        } else if (!this.selection.has(hit)) {
+            this.selection = new Set([hit]);
+        }
+        this.syncSelectedText();
+        // Drag moves every selected shape, image and text (strokes stay put)
+        const origs = new Map();
+        for (const id of this.selection) {
+            const el = this.shapes.get(id) || this.images.get(id) || this.texts.get(id);
+            if (el) origs.set(id, { x: el.x, y: el.y });
+        }
+        this.transformDraft = { kind: "move-selection", start: p, origs, moved: false };
+        return;
+    }
+    // Empty space: rubber-band selection (shift extends the current one)
+    if (!e.shiftKey) this.selection.clear();
+    this.syncSelectedText();
+    this.transformDraft = { kind: "marquee", start: p, current: p, base: new Set(this.selection) };
+};
+
+CanvasManager.prototype.onSelectPointerMove = function (p) {
+    const draft = this.transformDraft;
+    if (draft.kind === "marquee") {
+        draft.current = p;
+        const m = rectFromPoints(draft.start, p);
+        const next = new Set(draft.base);
+        for (const id of this.selectableIds()) {
+            const b = this.getElementBounds(id);
+            if (b && rectsIntersect(m, b)) next.add(id);
+        }
+        this.selection = next;
+        this.syncSelectedText();
+        return;
+    }
+    const now = performance.now();
+    const emit = !this._lastShapeProgressAt || (now - this._lastShapeProgressAt) > 16;
+    if (emit) this._lastShapeProgressAt = now;
+    if (draft.kind === "move-selection") {
+        const dx = p.x - draft.start.x;
+        const dy = p.y - draft.start.y;
+        draft.moved = draft.moved || dx !== 0 || dy !== 0;
+        for (const [id, orig] of draft.origs) {
+            const el = this.shapes.get(id) || this.images.get(id) || this.texts.get(id);
+            if (!el) continue;
+            el.x = orig.x + dx;
+            el.y = orig.y + dy;
+            this.refreshElement(id);
+            if (!emit) continue;
+            if (this.shapes.has(id) || this.images.has(id)) this.onShapeProgress?.({ id, x: el.x, y: el.y });
+            else this.onTextProgress?.({ id, x: el.x, y: el.y });
+        }
+        this.redrawAll();
+    } else if (draft.kind === "resize" && this.images.has(draft.id)) {
+        const img = this.images.get(draft.id);
+        Object.assign(img, resizeImage(draft.orig, draft.handle, p));
+        this.refreshElement(img.id);
+        if (emit) this.onShapeProgress?.({ id: img.id, x: img.x, y: img.y, width: img.width, height: img.height });
+        this.redrawAll();
+    } else if (draft.kind === "rotate") {
+        const img = this.images.get(draft.id);
+        if (!img) return;
+        const cx = img.x + img.width / 2, cy = img.y + img.height / 2;
+        // The handle sits above the center, so pointing straight up is 0 degrees
+        let deg = Math.round((Math.atan2(p.y - cy, p.x - cx) * 180) / Math.PI + 90);
+        if (deg > 180) deg -= 360;
+        img.rotation = deg;
+        this.refreshElement(img.id);
+        if (emit) this.onShapeProgress?.({ id: img.id, rotation: img.rotation });
+        this.redrawAll();
+    } else if (draft.kind === "resize") {
+        const s = this.shapes.get(draft.id);
+        if (!s) return;
+        const o = draft.orig;
+        if (isLineShape(o)) {
+            // The other end of a line stays fixed
+            const { a, b } = lineEndpoints(o);
+            Object.assign(s, draft.handle === "start" ? lineBox(p, b) : lineBox(a, p));
+        } else {
+            // The corner opposite the grabbed handle stays fixed
+            const fx = draft.handle.includes("w") ? o.x + o.width : o.x;
+            const fy = draft.handle.includes("n") ? o.y + o.height : o.y;
+            const box = rectFromPoints({ x: fx, y: fy }, p);
+            s.x = box.x; s.y = box.y;
+            s.width = Math.max(1, box.width); s.height = Math.max(1, box.height);
+        }
+        this.refreshElement(s.id);
+        if (emit) this.onShapeProgress?.({ id: s.id, ...shapeGeometry(s) });
+        this.redrawAll();
+    }
+};
+
+CanvasManager.prototype.onSelectPointerUp = function () {
+    const draft = this.transformDraft;
+    if (draft.kind === "move-selection" && draft.moved) {
+        for (const id of draft.origs.keys()) {
+            if (id.startsWith("local-")) continue;
+            const s = this.shapes.get(id);
+            const img = this.images.get(id);
+            const t = this.texts.get(id);
+            if (s) this.onCommit?.({ type: "shape:update", targetId: id, x: s.x, y: s.y, width: s.width, height: s.height, color: s.color });
+            else if (img) this.onCommit?.({ type: "image:update", targetId: id, x: img.x, y: img.y });
+            else if (t) this.onCommit?.({ type: "text:update", targetId: id, x: t.x, y: t.y });
+        }
+    } else if ((draft.kind === "resize" || draft.kind === "rotate") && this.images.has(draft.id)) {
+        const img = this.images.get(draft.id);
+        if (!img.id.startsWith("local-")) {
+            const op = draft.kind === "rotate"
+                ? { type: "image:update", targetId: img.id, rotation: img.rotation }
+                : { type: "image:update", targetId: img.id, x: img.x, y: img.y, width: img.width, height: img.height };
+            this.onCommit?.(op);
+        }
+    } else if (draft.kind === "resize") {
+        const s = this.shapes.get(draft.id);
+        if (s && !s.id.startsWith("local-")) {
+            this.onCommit?.({ type: "shape:update", targetId: s.id, ...shapeGeometry(s), color: s.color });
+        }
+    }
+};
+
+// Ids of everything the select tool can pick (server-acknowledged only).
+CanvasManager.prototype.selectableIds = function () {
+    const ids = [];
+    for (const [id, op] of this.strokeOps) {
+        if (op.id && op.composite !== "destination-out" && this.zOrder.has(id)) ids.push(id);
+    }
+    for (const id of this.shapes.keys()) if (!id.startsWith("local-")) ids.push(id);
+    for (const id of this.texts.keys()) if (!id.startsWith("local-")) ids.push(id);
+    for (const id of this.connectors.keys()) if (!id.startsWith("local-")) ids.push(id);
+    for (const id of this.images.keys()) if (!id.startsWith("local-")) ids.push(id);
+    return ids;
+};
+
+/** Delete every selected element via a single delete op. */
+CanvasManager.prototype.deleteSelection = function () {
+    const targetIds = Array.from(this.selection).filter((id) => !id.startsWith("local-"));
+    this.selection.clear();
+    this.syncSelectedText();
+    if (targetIds.length === 0) return;
+    const op = { type: "delete", targetIds };
+    this.applyCommit(op);
+    this.onCommit?.(op);
+};
+
+CanvasManager.prototype.drawSelectionOverlay = function (ctx) {
+    const draft = this.transformDraft;
+    const only = this.selection.size === 1 ? Array.from(this.selection)[0] : null;
+    if (this.shapes.has(only)) this.drawSelection(ctx, this.shapes.get(only));
+    else if (this.images.has(only)) this.drawImageSelection(ctx, this.images.get(only));
+    else {
+        ctx.save();
+        ctx.strokeStyle = "#6366f1";
+        ctx.lineWidth = 1 / this.scale;
+        ctx.setLineDash([3 / this.scale, 3 / this.scale]);
+        for (const id of this.selection) {
+            const b = this.getElementBounds(id);
+            if (b) ctx.strokeRect(b.x - 2, b.y - 2, b.width + 4, b.height + 4);
+        }
+        ctx.restore();
+    }
+    if (draft && draft.kind === "marquee") {
+        const m = rectFromPoints(draft.start, draft.current);
+        ctx.save();
+        ctx.fillStyle = "rgba(99, 102, 241, 0.08)";
+        ctx.strokeStyle = "#6366f1";
+        ctx.lineWidth = 1 / this.scale;
+        ctx.fillRect(m.x, m.y, m.width, m.height);
+        ctx.strokeRect(m.x, m.y, m.width, m.height);
+        ctx.restore();
+    }
+};
+
+// --- Pressure ---------------------------------------------------------------
+// Brush points carry a pressure p in 0..1 that scales their width between
+// PRESSURE_MIN_WIDTH and the full brush size. Must match server/export.js.
+const PRESSURE_MIN_WIDTH = 0.25;
+
+// Attach a pressure to a brush point: the pen's own reading, or for mice and
+// touch a simulated one that thins the line as the pointer speeds up.
+CanvasManager.prototype.withPressure = function (e, p, prev) {
+    if (this.tool !== "brush" || !this.pressureEnabled) return p;
+    let pressure;
+    if (e.pointerType === "pen" && e.pressure > 0) {
+        pressure = e.pressure;
+    } else if (!prev || !Number.isFinite(prev.p)) {
+        pressure = 0.5;
+    } else {
+        const dt = Math.max(1, p.t - prev.t);
+        const speed = (distance(p, prev) * this.scale) / dt; // screen px per ms
+        // Ease towards the target so the width doesn't flicker between events
+        pressure = prev.p * 0.7 + (1 / (1 + speed * 0.6)) * 0.3;
+    }
+    return { ...p, p: Math.round(Math.max(0, Math.min(1, pressure)) * 1000) / 1000 };
+};
+
+// Variable-width stroke: fill a disc at every sample of the smoothed path and a
+// quad between neighbours. All are wound clockwise, so the nonzero fill is their union.
+CanvasManager.prototype.drawPressureStroke = function (ctx, { points, color, size, composite }) {
+    const flat = flattenPressurePoints(points);
+    const radius = (pt) => (size * (PRESSURE_MIN_WIDTH + (1 - PRESSURE_MIN_WIDTH) * pt.p)) / 2;
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.globalCompositeOperation = composite || "source-over";
+    ctx.beginPath();
+    for (const pt of flat) {
+        const r = radius(pt);
+        ctx.moveTo(pt.x + r, pt.y);
+        ctx.arc(pt.x, pt.y, r, 0, Math.PI * 2);
+    }
+    for (let i = 0; i < flat.length - 1; i++) {
+        const a = flat[i], b = flat[i + 1];
+        const len = distance(a, b);
+        if (len === 0) continue;
+        const nx = (b.y - a.y) / len, ny = -(b.x - a.x) / len;
+        const ra = radius(a), rb = radius(b);
+        ctx.moveTo(a.x + nx * ra, a.y + ny * ra);
+        ctx.lineTo(b.x + nx * rb, b.y + ny * rb);
+        ctx.lineTo(b.x - nx * rb, b.y - ny * rb);
+        ctx.lineTo(a.x - nx * ra, a.y - ny * ra);
+        ctx.closePath();
+    }
+    ctx.fill();
+    ctx.restore();
+};
+
+// Sample the same midpoint-quadratic curve drawStroke uses, interpolating pressure.
+function flattenPressurePoints(points) {
+    const at = (pt) => (Number.isFinite(pt.p) ? pt.p : 1);
+    const out = [{ x: points[0].x, y: points[0].y, p: at(points[0]) }];
+    let cur = out[0];
+    for (let i = 1; i < points.length - 1; i++) {
+        const ctrl = { x: points[i].x, y: points[i].y, p: at(points[i]) };
+        const end = { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2, p: (at(points[i]) + at(points[i + 1])) / 2 };
+        const steps = Math.max(2, Math.ceil((distance(cur, ctrl) + distance(ctrl, end)) / 2));
+        for (let k = 1; k <= steps; k++) {
+            const t = k / steps, u = 1 - t;
+            out.push({
+                x: u * u * cur.x + 2 * u * t * ctrl.x + t * t * end.x,
+                y: u * u * cur.y + 2 * u * t * ctrl.y + t * t * end.y,
+                p: u * u * cur.p + 2 * u * t * ctrl.p + t * t * end.p,
+            });
+        }
+        cur = end;
+    }
+    const last = points[points.length - 1];
+    out.push({ x: last.x, y: last.y, p: at(last) });
+    return out;
+}
+
+// --- Erasers ----------------------------------------------------------------
+// The object eraser deletes every element its path touches with one delete op.
+// The pixel eraser commits an erase op: for each stroke it crosses, the pieces
+// left outside the eraser path, which replace that stroke at its place in the stack.
+
+// Mark the elements touched by the eraser segment a-b for the object eraser.
+CanvasManager.prototype.collectEraseTargets = function (a, b) {
+    const r = this.size / 2;
+    const step = Math.max(1, r / 2);
+    const n = Math.max(1, Math.ceil(distance(a, b) / step));
+    let changed = false;
+    for (const { id } of this.tiles.query(padRect(rectFromPoints(a, b), r))) {
+        // Placeholders can't be deleted until the server has acknowledged them
+        if (this.eraseTargets.has(id) || id.startsWith("local-")) continue;
+        for (let k = 0; k <= n; k++) {
+            const q = { x: a.x + ((b.x - a.x) * k) / n, y: a.y + ((b.y - a.y) * k) / n };
+            if (this.elementHit(id, q, r)) {
+                this.eraseTargets.add(id);
+                this.refreshElement(id);
+                changed = true;
+                break;
+            }
+        }
+    }
+    if (changed) this.redrawAll();
+};
+
+// Commit the eraser drag that just ended.
+CanvasManager.prototype.finishErase = function () {
+    const path = this.localPoints;
+    this.localPoints = [];
+    if (this.eraserMode === "object") {
+        const targetIds = Array.from(this.eraseTargets);
+        this.eraseTargets.clear();
+        if (targetIds.length === 0) return;
+        const op = { type: "delete", targetIds };
+        this.applyCommit(op);
+        this.onCommit?.(op);
+        return;
+    }
+    const cuts = this.computeCuts(path.length === 1 ? [path[0], path[0]] : path, this.size / 2);
+    if (cuts.length === 0) return;
+    const op = { type: "erase", cuts };
+    this.applyCommit(op);
+    this.onCommit?.(op);
+};
+
+// Cut every stroke crossed by an eraser path of the given radius.
+// Returns [{ targetId, pieces: [[{x,y}...], ...] }], one entry per stroke touched.
+CanvasManager.prototype.computeCuts = function (path, radius) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const pt of path) {
+        minX = Math.min(minX, pt.x); minY = Math.min(minY, pt.y);
+        maxX = Math.max(maxX, pt.x); maxY = Math.max(maxY, pt.y);
+    }
+    const area = padRect({ x: minX, y: minY, width: maxX - minX, height: maxY - minY }, radius);
+    const cuts = [];
+    for (const { id } of this.tiles.query(area)) {
+        const op = this.strokeOps.get(id);
+        if (!op || !op.id || id.startsWith("local-") || op.composite === "destination-out") continue;
+        const pieces = cutStroke(op.points || [], path, radius);
+        if (pieces) cuts.push({ targetId: id, pieces });
+    }
+    return cuts;
+};
+
+// Replace the strokes named by an erase op with its pieces. Returns the ids
+// that appeared or disappeared.
+CanvasManager.prototype.applyCuts = function (op) {
+    const changed = [];
+    (op.cuts || []).forEach((cut, i) => {
+        const target = this.strokeOps.get(cut.targetId);
+        const z = this.zOrder.get(cut.targetId);
+        if (!target || z === undefined) return;
+        this.zOrder.delete(cut.targetId);
+        this.deletedIds.add(cut.targetId);
+        changed.push(cut.targetId);
+        (cut.pieces || []).forEach((points, k) => {
+            const id = erasePieceId(op.id, i, k);
+            this.strokeOps.set(id, { type: "stroke", id, points, color: target.color, size: target.size, composite: target.composite, userId: target.userId });
+            this.zOrder.set(id, z);
+            changed.push(id);
+        });
+    });
+    return changed;
+};
+
+// Eraser paths are previewed as a translucent trail; nothing is erased until commit.
+CanvasManager.prototype.drawEraserTrail = function (ctx, { points, size }) {
+    this.drawStroke(ctx, { points, size, color: "rgba(148, 163, 184, 0.35)", composite: "source-over" });
+};
+
+// Must match erasePieceId in server/drawing-state.js.
+function erasePieceId(opId, cutIndex, pieceIndex) {
+    return `${opId}.${cutIndex}.${pieceIndex}`;
+}
+
+function sameCutTargets(a, b) {
+    const x = a.cuts || [], y = b.cuts || [];
+    return x.length === y.length && x.every((cut, i) => cut.targetId === y[i].targetId);
+}
+
+// Split a stroke's points into the runs that lie outside the eraser path.
+// Returns null when the path doesn't touch the stroke. Segments near the path
+// are resampled first so the cut ends land close to the eraser's edge.
+function cutStroke(points, path, radius) {
+    const step = Math.max(1, radius / 2);
+    const dense = [];
+    for (let i = 0; i < points.length; i++) {
+        const b = { x: points[i].x, y: points[i].y };
+        if (Number.isFinite(points[i].p)) b.p = points[i].p;
+        const a = dense[dense.length - 1];
+        if (a) {
+            const len = distance(a, b);
+            if (len > step && Math.min(distanceToPath(a, path), distanceToPath(b, path)) <= radius + len) {
+                const n = Math.ceil(len / step);
+                for (let k = 1; k < n; k++) {
+                    const q = { x: a.x + ((b.x - a.x) * k) / n, y: a.y + ((b.y - a.y) * k) / n };
+                    if (b.p !== undefined) q.p = a.p + ((b.p - a.p) * k) / n;
+                    dense.push(q);
+                }
+            }
+        }
+        dense.push(b);
+    }
+    const pieces = [];
+    let run = [];
+    let touched = false;
+    for (const pt of dense) {
+        if (distanceToPath(pt, path) <= radius) {
+            touched = true;
+            if (run.length >= 2) pieces.push(capPoints(run, MAX_STROKE_POINTS));
+            run = [];
+        } else {
+            run.push(pt);
+        }
+    }
+    if (!touched) return null;
+    if (run.length >= 2) pieces.push(capPoints(run, MAX_STROKE_POINTS));
+    return pieces;
+}
+
+function distanceToPath(p, path) {
+    if (path.length === 1) return distance(p, path[0]);
+    let best = Infinity;
+    for (let i = 0; i < path.length - 1; i++) best = Math.min(best, distanceToSegment(p, path[i], path[i + 1]));
+    return best;
+}
+
+function rectFromPoints(a, b) {
+    return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) };
+}
+
+function rectsIntersect(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    let t = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// --- Connectors --------------------------------------------------------------
+// A connector end is bound to the closed shape it starts or ends on, at the
+// anchor nearest to the pointer, and follows that shape as it moves (locally
+// and through remote shape:progress). Deleting the shape detaches the end,
+// leaving it where the anchor last was.
+
+// The arrow shape a connector draws as right now, or null.
+CanvasManager.prototype.connectorGeometry = function (id) {
+    const c = this.connectors.get(id);
+    return c ? connectorShape(c, (shapeId) => this.shapes.get(shapeId)) : null;
+};
+
+// Ids of the connectors with an end bound to shape id.
+CanvasManager.prototype.connectorsOf = function (shapeId) {
+    const ids = [];
+    for (const [id, c] of this.connectors) {
+        if (c.from.shapeId === shapeId || c.to.shapeId === shapeId) ids.push(id);
+    }
+    return ids;
+};
+
+// Turn the ends bound to a shape that is going away into free points.
+CanvasManager.prototype.detachConnectors = function (shapeId, { refresh = true } = {}) {
+    const s = this.shapes.get(shapeId);
+    if (!s) return;
+    for (const id of this.connectorsOf(shapeId)) {
+        const c = this.connectors.get(id);
+        for (const key of ["from", "to"]) {
+            if (c[key].shapeId !== shapeId) continue;
+            const p = connectorEndPoint(c[key], () => s);
+            c[key] = p ? { x: p.x, y: p.y } : {};
+        }
+        if (refresh) this.refreshElement(id);
+    }
+};
+
+// Connector end under a world point: the nearest anchor of the top-most
+// (acknowledged) closed shape there, or the point itself.
+CanvasManager.prototype.connectorEndAt = function (p, excludeShapeId) {
+    const id = this.hitTestTopmost(p.x, p.y, (sid) => {
+        const s = this.shapes.get(sid);
+        return !!s && sid !== excludeShapeId && !sid.startsWith("local-") && canConnect(s);
+    });
+    if (id) return { shapeId: id, anchor: nearestAnchor(this.shapes.get(id), p) };
+    return { x: p.x, y: p.y };
+};
+
+// Commit the connector being dragged out, unless it has no length.
+CanvasManager.prototype.finishConnector = function () {
+    const { from, to } = this.draftConnector;
+    const { strokeWidth, opacity, dash } = this.shapeStyle;
+    const op = { type: "connector", from, to, color: this.color, startArrow: this.shapeOptions.startArrow, endArrow: this.shapeOptions.endArrow, strokeWidth, opacity, dash };
+    const g = connectorShape(op, (id) => this.shapes.get(id));
+    if (!g || Math.hypot(g.width, g.height) < 2) return;
+    this.applyCommit(op);
+    this.onCommit?.(op);
+};
+
+CanvasManager.prototype.drawConnectorDraft = function (ctx) {
+    const { from, to } = this.draftConnector;
+    const g = connectorShape({ from, to, color: this.color, startArrow: this.shapeOptions.startArrow, endArrow: this.shapeOptions.endArrow }, (id) => this.shapes.get(id));
+    if (!g) return;
+    this.drawShapeOutline(ctx, g, { dashed: true });
+    // Mark the bound ends
+    ctx.save();
+    ctx.fillStyle = "#6366f1";
+    for (const end of [from, to]) {
+        if (typeof end.shapeId !== "string") continue;
+        const q = connectorEndPoint(end, (id) => this.shapes.get(id));
+        if (!q) continue;
+        ctx.beginPath();
+        ctx.arc(q.x, q.y, 4 / this.scale, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+};
+
+// Try to link a just-acknowledged connector to the local placeholder it replaces.
+CanvasManager.prototype.findMatchingLocalConnectorId = function (op) {
+    const key = JSON.stringify([op.from, op.to]);
+    for (const [id, c] of this.connectors) {
+        if (id.startsWith("local-") && JSON.stringify([c.from, c.to]) === key) return id;
+    }
+    return null;
+};
+
+// --- Images ------------------------------------------------------------------
+// Images reference an uploaded asset by id. The bitmap loads once per asset and
+// a placeholder box stands in until it arrives; tiles under every image using
+// the asset are redrawn when it does.
+
+// The asset's image element and whether it has loaded, starting the download on first use.
+CanvasManager.prototype.loadImage = function (assetId) {
+    let entry = this.imageCache.get(assetId);
+    if (entry) return entry;
+    const el = new Image();
+    entry = { el, loaded: false };
+    this.imageCache.set(assetId, entry);
+    // Served with CORS headers, so drawing it does not taint the canvas
+    el.crossOrigin = "anonymous";
+    el.onload = () => {
+        entry.loaded = true;
+        for (const [id, img] of this.images) if (img.assetId === assetId) this.refreshElement(id);
+        this.redrawAll();
+    };
+    el.onerror = () => console.warn('[canvas] image asset failed to load', { assetId });
+    el.src = this.assetUrl ? this.assetUrl(assetId) : "";
+    return entry;
+};
+
+CanvasManager.prototype.drawImage = function (ctx, img) {
+    if (!img) return;
+    const { el, loaded } = this.loadImage(img.assetId);
+    const w = img.width, h = img.height;
+    ctx.save();
+    ctx.translate(img.x + w / 2, img.y + h / 2);
+    ctx.rotate((img.rotation * Math.PI) / 180);
+    if (loaded) {
+        ctx.drawImage(el, -w / 2, -h / 2, w, h);
+    } else {
+        ctx.fillStyle = "#e5e7eb";
+        ctx.strokeStyle = "#9ca3af";
+        ctx.lineWidth = 1;
+        ctx.fillRect(-w / 2, -h / 2, w, h);
+        ctx.strokeRect(-w / 2, -h / 2, w, h);
+    }
+    ctx.restore();
+};
+
+// Rotated outline, corner handles and the rotate handle of a selected image.
+CanvasManager.prototype.drawImageSelection = function (ctx, img) {
+    const handles = imageHandles(img, this.scale);
+    const corners = handles.filter((p) => p.k !== "rotate");
+    const rotate = handles.find((p) => p.k === "rotate");
+    const top = imagePoint(img, { x: 0, y: -img.height / 2 });
+    ctx.save();
+    ctx.strokeStyle = "#6366f1";
+    ctx.lineWidth = 1 / this.scale;
+    ctx.setLineDash([3 / this.scale, 3 / this.scale]);
+    ctx.beginPath();
+    // nw, ne, se, sw
+    for (const p of [corners[0], corners[1], corners[3], corners[2]]) ctx.lineTo(p.x, p.y);
+    ctx.closePath();
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(rotate.x, rotate.y);
+    ctx.stroke();
+    const s = Math.max(6, Math.min(12, 8 / this.scale));
+    const half = s / 2;
+    ctx.setLineDash([]);
+    ctx.fillStyle = "#ffffff";
+    for (const p of corners) {
+        ctx.beginPath();
+        ctx.rect(p.x - half, p.y - half, s, s);
+        ctx.fill(); ctx.stroke();
+    }
+    ctx.beginPath();
+    ctx.arc(rotate.x, rotate.y, half, 0, Math.PI * 2);
+    ctx.fill(); ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * Place an uploaded image centered on a world point and commit it. Images
+ * larger than most of the view are scaled down, keeping their aspect ratio.
+ * @param {string} assetId
+ * @param {{x:number, y:number}} center world point
+ * @param {{width:number, height:number}} size natural size of the image
+ */
+CanvasManager.prototype.placeImage = function (assetId, center, size) {
+    const viewW = this.mainCanvas.width / this.devicePixelRatio / this.scale;
+    const viewH = this.mainCanvas.height / this.devicePixelRatio / this.scale;
+    const w0 = Math.max(1, size.width || 0), h0 = Math.max(1, size.height || 0);
+    const k = Math.min(1, (viewW * IMAGE_MAX_VIEW_FRACTION) / w0, (viewH * IMAGE_MAX_VIEW_FRACTION) / h0);
+    const width = w0 * k, height = h0 * k;
+    const op = { type: "image", assetId, x: center.x - width / 2, y: center.y - height / 2, width, height, rotation: 0 };
+    this.applyCommit(op);
+    this.onCommit?.(op);
+};
+
+// Try to link a just-acknowledged image to the local placeholder it replaces.
+CanvasManager.prototype.findMatchingLocalImageId = function (op) {
+    for (const [id, img] of this.images) {
+        if (!id.startsWith("local-") || img.assetId !== op.assetId) continue;
+        if (Math.abs(img.x - op.x) < 0.5 && Math.abs(img.y - op.y) < 0.5) return id;
+    }
+    return null;
+};
@@ -0,0 +1,157 @@
+// Checkpoints panel: named copies of the board kept with the room (see
+// DrawingState.createCheckpoint on the server). Selecting one shows how far the
+// board has moved on since, counted in operations. Restoring one replaces the
+// board for everyone, so only the owner can; unlike a history restore it is a
+// reset, not an op, and cannot be undone (save another checkpoint first).
+
+export class CheckpointPanel {
+    /**
+     * @param {Object} deps
+     * @param {import("./websocket.js").RealtimeClient} deps.client
+     * @param {Object} deps.elements panel, list, diffLabel, saveBtn, restoreBtn, closeBtn
+     * @param {()=>boolean} deps.canSave whether the user may save checkpoints
+     * @param {()=>boolean} deps.canRestore whether the user may restore them
+     */
+    constructor({ client, elements, canSave, canRestore }) {
+        this.client = client;
+        this.el = elements;
+        this.canSave = canSave;
+        this.canRestore = canRestore;
+        this.checkpoints = []; // summaries, oldest first
+        this.selectedId = null;
+        this.diff = null; // { id, added, removed, unchanged } for the selected checkpoint
+
+        const { list, saveBtn, restoreBtn, closeBtn } = this.el;
+        if (list) list.addEventListener("click", (e) => {
+            const item = e.target.closest("[data-checkpoint-id]");
+            if (item) this.select(item.dataset.checkpointId);
+        });
+        if (saveBtn) saveBtn.addEventListener("click", () => this.save());
+        if (restoreBtn) restoreBtn.addEventListener("click", () => this.restore());
+        if (closeBtn) closeBtn.addEventListener("click", () => this.close());
+    }
+
+    get isOpen() {
+        return !!this.el.panel && !this.el.panel.hidden;
+    }
+
+    open() {
+        if (!this.el.panel || this.isOpen) return;
+        this.el.panel.hidden = false;
+        this.refresh();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.el.panel.hidden = true;
+        this.selectedId = null;
+        this.diff = null;
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    /** Reload the list from the server (after a snapshot, the list may have changed). */
+    refresh() {
+        if (!this.isOpen) return;
+        this.client.listCheckpoints((res) => {
+            if (!res?.ok) return;
+            this.checkpoints = res.checkpoints;
+            if (!this.checkpoints.some((c) => c.id === this.selectedId)) {
+                this.selectedId = null;
+                this.diff = null;
+            }
+            this.render();
+            if (this.selectedId) this.select(this.selectedId);
+        });
+    }
+
+    /** A checkpoint someone just saved (checkpoint:created). */
+    add(checkpoint) {
+        if (!checkpoint || this.checkpoints.some((c) => c.id === checkpoint.id)) return;
+        this.checkpoints.push(checkpoint);
+        this.render();
+    }
+
+    /** Ask for a name and save the current board under it. */
+    save() {
+        if (!this.canSave()) return;
+        const name = window.prompt("Name this checkpoint", `Checkpoint ${new Date().toLocaleString()}`);
+        if (!name || !name.trim()) return;
+        this.client.createCheckpoint(name.trim(), (res) => {
+            if (!res?.ok) {
+                window.alert(`Could not save the checkpoint: ${res?.error || "unknown error"}`);
+                return;
+            }
+            this.open();
+            this.add(res.checkpoint);
+            this.select(res.checkpoint.id);
+        });
+    }
+
+    /** Select a checkpoint and fetch how the board differs from it. */
+    select(id) {
+        this.selectedId = id;
+        if (this.diff?.id !== id) this.diff = null;
+        this.render();
+        this.client.diffCheckpoint(id, (res) => {
+            if (this.selectedId !== id) return;
+            this.diff = res?.ok ? res : null;
+            this.render();
+        });
+    }
+
+    /** Put the board back to the selected checkpoint, for everyone. */
+    restore() {
+        const checkpoint = this.checkpoints.find((c) => c.id === this.selectedId);
+        if (!checkpoint || !this.canRestore()) return;
+        if (!window.confirm(`Replace the board for everyone with "${checkpoint.name}"? This cannot be undone.`)) return;
+        this.client.restoreCheckpoint(checkpoint.id, (res) => {
+            if (!res?.ok) {
+                window.alert(`Could not restore the checkpoint: ${res?.error || "unknown error"}`);
+                return;
+            }
+            this.select(checkpoint.id);
+        });
+    }
+
+    render() {
+        const { list, diffLabel, restoreBtn, saveBtn } = this.el;
+        if (list) {
+            list.innerHTML = "";
+            if (this.checkpoints.length === 0) {
+                const empty = document.createElement("li");
+                empty.className = "checkpoint-empty";
+                empty.textContent = "No checkpoints yet";
+                list.appendChild(empty);
+            }
+            // Newest first
+            for (const checkpoint of this.checkpoints.slice().reverse()) {
+                const li = document.createElement("li");
+                li.className = "checkpoint-item";
+                li.classList.toggle("is-selected", checkpoint.id === this.selectedId);
+                li.dataset.checkpointId = checkpoint.id;
+                const name = document.createElement("span");
+                name.className = "checkpoint-name";
+                name.textContent = checkpoint.name;
+                const meta = document.createElement("span");
+                meta.className = "checkpoint-meta";
+                const count = `${checkpoint.operations} operation${checkpoint.operations === 1 ? "" : "s"}`;
+                meta.textContent = `${new Date(checkpoint.createdAt).toLocaleString()} · ${count}`;
+                li.appendChild(name); li.appendChild(meta);
+                list.appendChild(li);
+            }
+        }
+        if (diffLabel) {
+            diffLabel.textContent = !this.selectedId
+                ? ""
+                : this.diff
+                    ? (this.diff.added || this.diff.removed ? `Since then: +${this.diff.added} / −${this.diff.removed} operations` : "Same as the board")
+                    : "Comparing…";
+        }
+        if (saveBtn) saveBtn.disabled = !this.canSave();
+        if (restoreBtn) restoreBtn.disabled = !this.selectedId || !this.canRestore();
+    }
+}
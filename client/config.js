@@ -0,0 +1,84 @@
+// Where the Codraw server lives. By default it is the origin that served the
+// page; a client hosted elsewhere (or pointed at a staging server) names its
+// server with, in order of precedence:
+//   <meta name="codraw-server" content="...">      baked into the page
+//   ./config.json -> { "serverUrl": "..." }        next to the page, or answered by the server
+// A link may pick another server with ?server=https://draw.example.com, but
+// only one the page already trusts: its own origin, the configured server, or
+// one listed in config.json's "allowedServers". The socket.io client script is
+// loaded from the chosen server, so an arbitrary origin from a link would run
+// its code on this page (with the stored sessions and tokens); others are ignored.
+// Only the origin of the URL is used; socket.io and the HTTP routes live at fixed paths.
+
+const CONFIG_TIMEOUT_MS = 3000;
+
+let serverUrlPromise = null;
+let socketIoPromise = null;
+
+/** Base URL of the Codraw server (an origin, no trailing slash). Resolved once per page. */
+export function getServerUrl() {
+    serverUrlPromise ??= resolveServerUrl();
+    return serverUrlPromise;
+}
+
+/**
+ * Load the socket.io client script from the server (once) and resolve to its `io` function.
+ * @param {string} serverUrl
+ */
+export function loadSocketIo(serverUrl) {
+    socketIoPromise ??= new Promise((resolve, reject) => {
+        if (window.io) { resolve(window.io); return; }
+        const script = document.createElement("script");
+        script.src = `${serverUrl}/socket.io/socket.io.js`;
+        script.onload = () => (window.io ? resolve(window.io) : reject(new Error("The server did not provide a socket.io client")));
+        script.onerror = () => {
+            // Allow a later retry instead of caching the failure
+            socketIoPromise = null;
+            script.remove();
+            reject(new Error(`Could not reach ${serverUrl}`));
+        };
+        document.head.appendChild(script);
+    });
+    return socketIoPromise;
+}
+
+async function resolveServerUrl() {
+    const fromQuery = toOrigin(new URLSearchParams(window.location.search).get("server"));
+    const fromMeta = toOrigin(document.querySelector('meta[name="codraw-server"]')?.getAttribute("content"));
+    // config.json is only needed without a meta tag, or to check a ?server= against
+    const config = fromMeta && !fromQuery ? {} : await fetchConfig();
+    const configured = fromMeta || toOrigin(config.serverUrl) || window.location.origin;
+    if (!fromQuery || fromQuery === configured) return configured;
+    const allowed = [window.location.origin, ...(Array.isArray(config.allowedServers) ? config.allowedServers : [])];
+    if (allowed.some((url) => toOrigin(url) === fromQuery)) return fromQuery;
+    console.warn('[client] ignoring ?server= that is not an allowed server', fromQuery);
+    return configured;
+}
+
+// ./config.json, or {} when there is none (static hosts answer 404).
+async function fetchConfig() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG_TIMEOUT_MS);
+    try {
+        const res = await fetch("./config.json", { cache: "no-store", signal: controller.signal });
+        if (!res.ok) return {};
+        const body = await res.json();
+        return body && typeof body === "object" ? body : {};
+    } catch {
+        return {};
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function toOrigin(value) {
+    if (typeof value !== "string" || !value.trim()) return null;
+    try {
+        const url = new URL(value.trim(), window.location.href);
+        if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+        return url.origin;
+    } catch {
+        console.warn('[client] ignoring invalid server URL', value);
+        return null;
+    }
+}
@@ -0,0 +1,91 @@
+// Lobby: create a board, join one by link or id, or reopen a recent one.
+import { createRoom, fetchRoomInfo } from "./websocket.js";
+import { getRecentRooms, forgetRoom } from "./recent-rooms.js";
+
+const createRoomForm = document.getElementById("createRoomForm");
+const roomNameInput = document.getElementById("roomNameInput");
+const joinRoomForm = document.getElementById("joinRoomForm");
+const joinRoomInput = document.getElementById("joinRoomInput");
+const recentRooms = document.getElementById("recentRooms");
+const recentEmpty = document.getElementById("recentEmpty");
+
+// Carry other query params (e.g. a sign-in ?token=) through to the board.
+function boardUrl(roomId) {
+    const params = new URLSearchParams(window.location.search);
+    params.set("roomId", roomId);
+    return `./index.html?${params.toString()}`;
+}
+
+// Accept a bare id or any link containing ?roomId=...
+function parseRoomId(value) {
+    const text = value.trim();
+    try {
+        const fromUrl = new URL(text, window.location.href).searchParams.get("roomId");
+        if (fromUrl) return fromUrl;
+    } catch { /* not a URL */ }
+    return text;
+}
+
+if (createRoomForm) createRoomForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const button = createRoomForm.querySelector("button");
+    button.disabled = true;
+    try {
+        const { roomId } = await createRoom({ name: roomNameInput?.value || "" });
+        window.location.href = boardUrl(roomId);
+    } catch (err) {
+        console.error('[client] create room failed', err);
+        alert(err?.message || "Could not create a board");
+        button.disabled = false;
+    }
+});
+
+if (joinRoomForm) joinRoomForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const roomId = parseRoomId(joinRoomInput?.value || "");
+    if (roomId) window.location.href = boardUrl(roomId);
+});
+
+function renderRecent() {
+    const rooms = getRecentRooms();
+    recentRooms.innerHTML = "";
+    if (recentEmpty) recentEmpty.hidden = rooms.length > 0;
+    for (const room of rooms) {
+        const li = document.createElement("li");
+        const link = document.createElement("a");
+        link.className = "recent-room";
+        link.href = boardUrl(room.roomId);
+        const name = document.createElement("span");
+        name.className = "recent-room-name";
+        name.textContent = room.name || room.roomId;
+        const detail = document.createElement("span");
+        detail.className = "recent-room-detail";
+        detail.textContent = `Visited ${formatAgo(room.visitedAt)}`;
+        link.appendChild(name); link.appendChild(detail);
+        li.appendChild(link);
+        recentRooms.appendChild(li);
+        // Fill in live details; rooms that were garbage collected drop off the list.
+        fetchRoomInfo(room.roomId).then((info) => {
+            if (!info) {
+                forgetRoom(room.roomId);
+                li.remove();
+                if (recentEmpty) recentEmpty.hidden = recentRooms.children.length > 0;
+                return;
+            }
+            if (info.name) name.textContent = info.name;
+            const here = info.users > 0 ? `${info.users} online · ` : "";
+            detail.textContent = `${here}Visited ${formatAgo(room.visitedAt)}`;
+        }).catch((err) => console.warn('[client] room lookup failed', room.roomId, err?.message));
+    }
+}
+
+function formatAgo(ts) {
+    const minutes = Math.round((Date.now() - ts) / 60000);
+    if (!Number.isFinite(minutes) || minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} d ago`;
+}
+
+renderRecent();
@@ -1,22 +1,39 @@
 // App entry: wires UI, canvas rendering, and realtime sync together.
 import { CanvasManager } from "./canvas.js";
 import { RealtimeClient } from "./websocket.js";
+import { rememberRoom, forgetRoom } from "./recent-rooms.js";
+import { Timeline } from "./timeline.js";
+import { CheckpointPanel } from "./checkpoints.js";
+import { PageSwitcher } from "./pages.js";
 
 // Grab references to UI elements we interact with.
 const canvasHost = document.getElementById("canvasHost");
 const colorPicker = document.getElementById("colorPicker");
 const sizeSlider = document.getElementById("sizeSlider");
 const sizeLabel = document.getElementById("sizeLabel");
+const fontSizeSelect = document.getElementById("fontSizeSelect");
+const eraserModeSelect = document.getElementById("eraserModeSelect");
+const pressureToggle = document.getElementById("pressureToggle");
+const shapeStyleControls = document.getElementById("shapeStyleControls");
+const shapeFillToggle = document.getElementById("shapeFillToggle");
+const shapeFillColor = document.getElementById("shapeFillColor");
+const shapeStrokeWidth = document.getElementById("shapeStrokeWidth");
+const shapeOpacity = document.getElementById("shapeOpacity");
+const shapeDashSelect = document.getElementById("shapeDashSelect");
 
 const railAllButtons = Array.from(document.querySelectorAll('.left-rail .rail-btn'));
 const cursorLayer = document.getElementById("cursorLayer");
 const userList = document.getElementById("userList");
+const connectionStatus = document.getElementById("connectionStatus");
 
 const reactionBtn = document.getElementById("reactionBtn");
 const reactionPalette = document.getElementById("reactionPalette");
 const reactionsLayer = document.getElementById("reactionsLayer");
 const usersBtn = document.getElementById("usersBtn");
 const usersDropdown = document.getElementById("usersDropdown");
+const boardMenuBtn = document.getElementById("boardMenuBtn");
+const boardMenu = document.getElementById("boardMenu");
+const boardImportInput = document.getElementById("boardImportInput");
 const zoomInBtn = document.getElementById("zoomIn");
 const zoomOutBtn = document.getElementById("zoomOut");
 const zoomValueEl = document.getElementById("zoomValue");
@@ -27,11 +44,91 @@ const shapesSubrail = document.getElementById("shapesSubrail");
 const railBox = document.querySelector(".left-rail .rail-box");
 const clearAllBtn = document.getElementById("clearAllBtn");
 const splash = document.getElementById("splash");
+const historyPanel = document.getElementById("historyPanel");
+const checkpointPanel = document.getElementById("checkpointPanel");
 
 let selfUser = null;
 const userIdToCursorEl = new Map();
 const userIdToUser = new Map();
 
+// Room roles (owner/editor/viewer) as last sent by the server.
+let permissions = { ownerId: null, roles: {}, defaultRole: "editor" };
+
+function roleOf(userId) {
+    if (userId && userId === permissions.ownerId) return "owner";
+    return permissions.roles[userId] || permissions.defaultRole;
+}
+
+function canEdit() {
+    return roleOf(selfUser?.userId) !== "viewer";
+}
+
+// Reflect our own role in the UI: CSS hides controls per role (body[data-role]),
+// and viewers get a read-only canvas with the hand tool.
+function setPermissions(next) {
+    if (next) permissions = { ownerId: next.ownerId ?? null, roles: next.roles || {}, defaultRole: next.defaultRole || "editor" };
+    const role = roleOf(selfUser?.userId);
+    document.body.dataset.role = role;
+    canvas.setReadOnly(role === "viewer");
+    if (role === "viewer") {
+        railAllButtons.forEach((b) => b.classList.toggle("is-active", b.getAttribute("data-tool") === "pan"));
+        canvas.setTool("pan"); currentTool = "pan";
+    }
+}
+
+// Last DrawingState.version we have applied. Deltas must arrive in sequence;
+// on a gap we ask for one full snapshot and ignore deltas until it arrives.
+let boardVersion = 0;
+let resyncPending = false;
+
+function applyVersioned(version, apply) {
+    if (!Number.isFinite(version)) { apply(); timeline.refresh(); return; }
+    if (resyncPending || version <= boardVersion) return;
+    if (version !== boardVersion + 1) {
+        console.warn('[client] version gap, requesting snapshot', { have: boardVersion, got: version });
+        resyncPending = true;
+        client.requestSnapshot();
+        return;
+    }
+    apply();
+    boardVersion = version;
+    timeline.refresh();
+}
+
+function applySnapshot(snapshot) {
+    canvas.renderSnapshot(snapshot);
+    boardVersion = Number(snapshot?.version) || 0;
+    resyncPending = false;
+    timeline.refresh();
+    checkpoints.refresh();
+}
+
+// Apply one catch-up change (same shape as the live delta events).
+function applyChange(change) {
+    const { version } = change;
+    if (change.kind === "add") applyVersioned(version, () => canvas.applyCommit(change.op));
+    else if (change.kind === "remove") applyVersioned(version, () => canvas.removeOperation(change.id));
+    else if (change.kind === "restore") applyVersioned(version, () => canvas.restoreOperation(change.op, change.index));
+    else if (change.kind === "removeByUser") applyVersioned(version, () => canvas.removeOperationsByUser(change.userId));
+    else if (change.kind === "clear") applyVersioned(version, () => canvas.clearOperations());
+    else if (change.kind === "checkpoint") applyVersioned(version, () => checkpoints.add(change.checkpoint));
+}
+
+// Room comes from ?roomId=...; without one, index.html has already sent us to the lobby.
+const urlParams = new URLSearchParams(window.location.search);
+const roomId = urlParams.get("roomId") || undefined;
+// ?page=... opens that page first; it follows the page shown so links land on it.
+const initialPageId = urlParams.get("page") || undefined;
+
+// A sign-in link may carry ?token=...; the client remembers it, so drop it from
+// the address bar to keep it out of shared links and history.
+const authToken = urlParams.get("token") || undefined;
+if (authToken) {
+    urlParams.delete("token");
+    const query = urlParams.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+}
+
 function setZoomLabel(scale) {
     if (zoomValueEl) zoomValueEl.textContent = `${Math.round(scale * 100)}%`;
 }
@@ -42,44 +139,190 @@ const canvas = new CanvasManager({
     onProgress: (progress) => client.sendProgress(progress),
     onCommit: (op) => client.sendCommit(op),
     onShapeProgress: (payload) => client.sendShapeProgress(payload),
+    onTextProgress: (payload) => client.sendTextProgress(payload),
+    assetUrl: (assetId) => client.assetUrl(assetId),
     // Avoid referencing canvas during constructor time; use provided scale
     onTransform: ({ scale }) => setZoomLabel(scale),
 });
 
 // Handles socket lifecycle and event fan-out to our handlers.
 const client = new RealtimeClient({
-    onInit: ({ user, snapshot, users }) => {
+    roomId,
+    pageId: initialPageId,
+    token: authToken,
+    getVersion: () => boardVersion,
+    onAuthError: (err) => {
+        alert(`Could not join the board: ${err?.message || "authentication failed"}`);
+        if (err?.message === "Room not found" && roomId) {
+            forgetRoom(roomId);
+            window.location.href = "./lobby.html";
+        }
+    },
+    onInit: ({ user, room, snapshot, changes, users, permissions: roomPermissions, pages: roomPages, pageId }) => {
         selfUser = user;
+        if (room) {
+            rememberRoom(room.roomId, room.name);
+            if (room.name) document.title = `${room.name} · CO Draw`;
+        }
+        setPermissions(roomPermissions);
+        pages.setPages(roomPages, pageId);
+        setPageParam(pageId);
         renderPresence(users);
-        canvas.renderSnapshot(snapshot);
+        if (snapshot) {
+            applySnapshot(snapshot);
+        } else if (Array.isArray(changes)) {
+            // Reconnected: replay only what we missed while offline.
+            console.log('[client] catching up', { from: boardVersion, changes: changes.length });
+            changes.forEach(applyChange);
+        }
     },
     onProgress: ({ userId, ...progress }) => {
         if (userId === selfUser?.userId) return;
         canvas.applyProgress(userId, progress);
     },
-    onCommit: (op) => {
-        canvas.applyCommit(op);
+    onCommit: (op, version) => {
+        applyVersioned(version, () => canvas.applyCommit(op));
     },
     onState: (snapshot) => {
         console.log('[client] state:full received', { version: snapshot?.version, opCount: snapshot?.operations?.length });
-        canvas.renderSnapshot(snapshot);
+        applySnapshot(snapshot);
     },
-    onPresenceJoin: ({ user }) => addPresence(user),
-    onPresenceLeave: ({ userId }) => removePresence(userId),
+    onOpRemoved: ({ version, id }) => applyVersioned(version, () => canvas.removeOperation(id)),
+    onOpRestored: ({ version, op, index }) => applyVersioned(version, () => canvas.restoreOperation(op, index)),
+    onOpsRemovedByUser: ({ version, userId }) => applyVersioned(version, () => canvas.removeOperationsByUser(userId)),
+    onOpsCleared: ({ version }) => applyVersioned(version, () => canvas.clearOperations()),
+    onPresenceJoin: ({ user }) => { addPresence(user); pages.render(); },
+    onPresenceLeave: ({ userId }) => { removePresence(userId); pages.render(); },
     onCursor: ({ userId, x, y, color }) => updateCursor(userId, x, y, color),
     onReaction: ({ emoji }) => spawnReaction(emoji),
     onShapeProgress: ({ userId, ...payload }) => {
         if (userId === selfUser?.userId) return;
         canvas.applyShapeProgress?.(payload);
     },
+    onTextProgress: (payload) => {
+        if (payload.userId === selfUser?.userId) return;
+        canvas.applyTextProgress(payload);
+    },
+    onPermissions: (next) => {
+        setPermissions(next);
+        renderPresence(Array.from(userIdToUser.values()));
+        checkpoints.render();
+        timeline.refresh();
+        pages.render();
+    },
+    // Saving a checkpoint leaves the canvas alone but still takes a version
+    onCheckpoint: ({ version, checkpoint }) => applyVersioned(version, () => checkpoints.add(checkpoint)),
+    onPages: ({ pages: roomPages }) => {
+        pages.setPages(roomPages);
+        // The page we were on was deleted; show the first one instead
+        if (pages.nameOf(client.pageId) === null && roomPages?.length) switchToPage(roomPages[0].id);
+        else renderPresence(Array.from(userIdToUser.values()));
+    },
+    onPresencePage: ({ userId, pageId }) => {
+        const user = userIdToUser.get(userId);
+        if (!user) return;
+        userIdToUser.set(userId, { ...user, pageId });
+        if (pageId !== client.pageId) removeCursor(userId);
+        renderPresence(Array.from(userIdToUser.values()));
+        pages.render();
+    },
+    onError: ({ message }) => console.warn('[client] server error', message),
+    onStatus: renderConnectionStatus,
 });
 
+// History panel (opened from the board menu); restoring commits a revert op,
+// which rolls the board back for everyone, so only the owner may.
+const timeline = new Timeline({
+    canvas,
+    elements: {
+        panel: historyPanel,
+        slider: document.getElementById("historySlider"),
+        label: document.getElementById("historyLabel"),
+        playBtn: document.getElementById("historyPlayBtn"),
+        speedSelect: document.getElementById("historySpeed"),
+        restoreBtn: document.getElementById("historyRestoreBtn"),
+        closeBtn: document.getElementById("historyCloseBtn"),
+    },
+    onRestore: (op) => client.sendCommit(op),
+    canRestore: () => roleOf(selfUser?.userId) === "owner",
+});
+
+// Named checkpoints (board menu); only the owner may restore one.
+const checkpoints = new CheckpointPanel({
+    client,
+    elements: {
+        panel: checkpointPanel,
+        list: document.getElementById("checkpointList"),
+        diffLabel: document.getElementById("checkpointDiff"),
+        saveBtn: document.getElementById("checkpointSaveBtn"),
+        restoreBtn: document.getElementById("checkpointRestoreBtn"),
+        closeBtn: document.getElementById("checkpointCloseBtn"),
+    },
+    canSave: () => canEdit(),
+    canRestore: () => roleOf(selfUser?.userId) === "owner",
+});
+
+// Page switcher (top bar). Pages are shared; which one we look at is ours alone.
+const pages = new PageSwitcher({
+    elements: {
+        button: document.getElementById("pageBtn"),
+        label: document.getElementById("pageLabel"),
+        menu: document.getElementById("pageMenu"),
+        list: document.getElementById("pageList"),
+        addBtn: document.getElementById("pageAddBtn"),
+    },
+    getUsers: () => Array.from(userIdToUser.values()),
+    canEdit: () => canEdit(),
+    canDelete: () => roleOf(selfUser?.userId) === "owner",
+    onSwitch: (pageId) => switchToPage(pageId),
+    onCreate: (name) => client.createPage(name, (res) => {
+        if (!res?.ok) window.alert(`Could not add the page: ${res?.error || "unknown error"}`);
+        else switchToPage(res.page.id);
+    }),
+    onRename: (pageId, name) => client.renamePage(pageId, name, (res) => {
+        if (!res?.ok) window.alert(`Could not rename the page: ${res?.error || "unknown error"}`);
+    }),
+    onDelete: (pageId) => client.deletePage(pageId, (res) => {
+        if (!res?.ok) window.alert(`Could not delete the page: ${res?.error || "unknown error"}`);
+    }),
+});
+
+// Show another page: settle what is in flight here, then load the page's board.
+// Cursors and drafts from the old page go; the new page's arrive as people move.
+function switchToPage(pageId) {
+    timeline.close();
+    checkpoints.close();
+    canvas.leavePage();
+    client.switchPage(pageId, (res) => {
+        if (!res?.ok) {
+            console.warn('[client] page switch failed', res);
+            return;
+        }
+        for (const userId of Array.from(userIdToCursorEl.keys())) removeCursor(userId);
+        applySnapshot(res.snapshot);
+        if (selfUser) {
+            const self = userIdToUser.get(selfUser.userId);
+            if (self) userIdToUser.set(selfUser.userId, { ...self, pageId: res.pageId });
+        }
+        pages.setCurrent(res.pageId);
+        setPageParam(res.pageId);
+        renderPresence(Array.from(userIdToUser.values()));
+    });
+}
+
+// Keep ?page= in the address bar in step with the page shown.
+function setPageParam(pageId) {
+    if (!pageId || urlParams.get("page") === pageId) return;
+    urlParams.set("page", pageId);
+    window.history.replaceState(null, "", `${window.location.pathname}?${urlParams.toString()}${window.location.hash}`);
+}
+
 railAllButtons.forEach((btn) => {
     btn.addEventListener("click", () => {
         railAllButtons.forEach(b => b.classList.remove("is-active"));
         btn.classList.add("is-active");
         const tool = btn.getAttribute("data-tool");
-        if (tool) { canvas.setTool(tool); currentTool = tool; updateSelfCursorAppearance(); }
+        if (tool && (canEdit() || tool === "pan")) { canvas.setTool(tool); currentTool = tool; updateSelfCursorAppearance(); }
     });
 });
 
@@ -88,6 +331,61 @@ if (colorPicker) colorPicker.addEventListener("input", (e) => {
     canvas.setColor(value);
     updateSelfCursorAppearance();
 });
+// Recolor the selected text or shapes once the picker settles (not on every drag tick)
+if (colorPicker) colorPicker.addEventListener("change", (e) => {
+    if (canvas.hasSelectedText()) canvas.updateSelectedTextColor(e.target.value);
+    if (canvas.hasSelectedShapes()) canvas.updateSelectedShapeStyle({ color: e.target.value });
+});
+
+if (fontSizeSelect) fontSizeSelect.addEventListener("change", (e) => {
+    const size = Number(e.target.value);
+    canvas.setFontSize(size);
+    if (canvas.hasSelectedText()) canvas.updateSelectedTextFontSize(size);
+});
+
+if (pressureToggle) pressureToggle.addEventListener("change", (e) => {
+    canvas.setPressureEnabled(e.target.checked);
+});
+
+// Shape style: sets the style of new shapes and restyles the selected ones
+function setShapeStyle(patch) {
+    for (const [key, value] of Object.entries(patch)) canvas.setShapeStyle(key, value);
+    if (canEdit() && canvas.hasSelectedShapes()) canvas.updateSelectedShapeStyle(patch);
+}
+// Shown while the shape tool is active or shapes are selected, starting from the selected shape's style
+function syncShapeStyleControls() {
+    if (!shapeStyleControls) return;
+    shapeStyleControls.hidden = !(canvas.tool === "shape" || canvas.hasSelectedShapes());
+    const style = canvas.getSelectedShapeStyle() || canvas.shapeStyle;
+    if (shapeFillToggle) shapeFillToggle.checked = style.filled;
+    if (shapeFillColor) shapeFillColor.value = style.fillColor;
+    if (shapeStrokeWidth) shapeStrokeWidth.value = String(style.strokeWidth);
+    if (shapeOpacity) shapeOpacity.value = String(Math.round(style.opacity * 100));
+    if (shapeDashSelect) shapeDashSelect.value = style.dash;
+}
+// Filling needs a fill color, so both travel together
+if (shapeFillToggle) shapeFillToggle.addEventListener("change", (e) => {
+    setShapeStyle({ filled: e.target.checked, fillColor: shapeFillColor?.value || canvas.shapeStyle.fillColor });
+});
+if (shapeFillColor) shapeFillColor.addEventListener("change", (e) => {
+    setShapeStyle({ fillColor: e.target.value });
+});
+if (shapeStrokeWidth) shapeStrokeWidth.addEventListener("change", (e) => {
+    const width = Math.max(1, Math.min(64, Math.round(Number(e.target.value)) || 2));
+    e.target.value = String(width);
+    setShapeStyle({ strokeWidth: width });
+});
+if (shapeOpacity) shapeOpacity.addEventListener("change", (e) => {
+    setShapeStyle({ opacity: Number(e.target.value) / 100 });
+});
+if (shapeDashSelect) shapeDashSelect.addEventListener("change", (e) => {
+    setShapeStyle({ dash: e.target.value });
+});
+
+// Eraser mode: "pixel" cuts strokes along the path, "object" removes whole elements
+if (eraserModeSelect) eraserModeSelect.addEventListener("change", (e) => {
+    canvas.setEraserMode(e.target.value);
+});
 
 if (sizeSlider) sizeSlider.addEventListener("input", (e) => {
     const size = Number(e.target.value);
@@ -101,12 +399,19 @@ const topRedoBtn = document.getElementById("topRedoBtn");
 if (topUndoBtn) topUndoBtn.addEventListener("click", () => client.sendUndo());
 if (topRedoBtn) topRedoBtn.addEventListener("click", () => client.sendRedo());
 
+// Stacking order of the selected elements
+const bringFrontBtn = document.getElementById("bringFrontBtn");
+const sendBackBtn = document.getElementById("sendBackBtn");
+if (bringFrontBtn) bringFrontBtn.addEventListener("click", () => canvas.reorderSelection("front"));
+if (sendBackBtn) sendBackBtn.addEventListener("click", () => canvas.reorderSelection("back"));
+
 // Settings popover toggle
 if (settingsBtn && brushSubrail) {
     settingsBtn.addEventListener("click", (e) => {
         e.preventDefault(); e.stopPropagation();
         // Close other subrails to avoid overlap
         if (shapesSubrail) { shapesSubrail.hidden = true; shapesBtn?.classList.remove('is-active'); }
+        if (brushSubrail.hidden) syncShapeStyleControls();
         brushSubrail.hidden = !brushSubrail.hidden;
         settingsBtn.classList.toggle('is-active', !brushSubrail.hidden);
     });
@@ -135,6 +440,17 @@ if (shapesBtn && shapesSubrail) {
         // Ensure tool is shape when opening
         canvas.setTool("shape"); currentTool = "shape"; updateSelfCursorAppearance();
     });
+    // Options of the chosen type (arrowheads, corner radius, star points, polygon sides)
+    const shapeOptions = shapesSubrail.querySelector('.shape-options');
+    const showShapeOptions = (shape) => {
+        if (!shapeOptions) return;
+        let any = false;
+        shapeOptions.querySelectorAll('[data-for]').forEach(el => {
+            el.hidden = !el.getAttribute('data-for').split(' ').includes(shape);
+            any = any || !el.hidden;
+        });
+        shapeOptions.hidden = !any;
+    };
     // Shape selection
     shapesSubrail.addEventListener("click", (e) => {
         const btn = e.target.closest('[data-shape]');
@@ -149,6 +465,20 @@ if (shapesBtn && shapesSubrail) {
         shapesSubrail.querySelectorAll('[data-shape]').forEach(b => {
             b.classList.toggle('is-active', b === btn);
         });
+        showShapeOptions(shape);
+    });
+    shapesSubrail.addEventListener("change", (e) => {
+        const input = e.target.closest('[data-shape-option]');
+        if (!input) return;
+        const key = input.getAttribute('data-shape-option');
+        let value = input.value;
+        if (input.type === "number") {
+            value = Math.round(Number(value));
+            if (!Number.isFinite(value)) return;
+            value = Math.max(Number(input.min), Math.min(Number(input.max), value));
+            input.value = String(value);
+        }
+        canvas.setShapeOption(key, value);
     });
     // Close when clicking outside
     document.addEventListener("click", (e) => {
@@ -170,8 +500,28 @@ if (clearAllBtn) clearAllBtn.addEventListener("click", () => {
 });
 
 // Keyboard shortcuts
+// Keys typed into a field (a name prompt, the text editor, ...) are the field's own.
+function isTypingTarget(target) {
+    return !!target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
 window.addEventListener("keydown", (e) => {
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === "z") {
+    if (isTypingTarget(e.target)) return;
+    if (e.key === "Escape" && canvas.hasSelection()) {
+        canvas.clearSelection();
+    } else if (e.key === "Escape" && timeline.isOpen) {
+        timeline.close();
+    } else if (e.key === "Escape" && checkpoints.isOpen) {
+        checkpoints.close();
+    } else if (e.key === "Escape" && pages.isOpen) {
+        pages.close();
+    } else if (!canEdit()) {
+        return;
+    } else if ((e.key === "Delete" || e.key === "Backspace") && canvas.hasSelection()) {
+        e.preventDefault(); canvas.deleteSelection();
+    } else if ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.code === "BracketRight" || e.code === "BracketLeft") && canvas.hasSelection()) {
+        e.preventDefault(); canvas.reorderSelection(e.code === "BracketRight" ? "front" : "back");
+    } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === "z") {
         e.preventDefault(); client.sendUndo();
     } else if (((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "y") || ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "z")) {
         e.preventDefault(); client.sendRedo();
@@ -188,7 +538,8 @@ document.addEventListener("pointermove", (e) => {
     client.sendCursor({ x: worldX, y: worldY, color: selfUser?.color });
     // Self cursor overlay (size-aware)
     const isPan = canvasHost.classList.contains('cursor-pan') || canvasHost.classList.contains('cursor-pan-grabbing');
-    if (isPan) { hideSelfCursor(); return; }
+    const isNativeCursor = canvasHost.classList.contains('cursor-text') || canvasHost.classList.contains('cursor-select');
+    if (isPan || isNativeCursor) { hideSelfCursor(); return; }
     ensureSelfCursor();
     positionSelfCursor(e.clientX - rect.left, e.clientY - rect.top);
     updateSelfCursorAppearance();
@@ -234,32 +585,109 @@ function updateSelfCursorAppearance() {
     }
 }
 
+const CONNECTION_LABELS = {
+    connecting: "Connecting…",
+    connected: "Connected",
+    reconnecting: "Reconnecting…",
+    offline: "Offline",
+};
+
+function renderConnectionStatus(status) {
+    if (!connectionStatus) return;
+    connectionStatus.dataset.status = status;
+    const label = connectionStatus.querySelector(".connection-label");
+    if (label) label.textContent = CONNECTION_LABELS[status] || status;
+    connectionStatus.title = status === "offline"
+        ? "Not connected; changes are kept and sent when the connection returns"
+        : CONNECTION_LABELS[status] || status;
+}
+
 function renderPresence(users) {
     userList.innerHTML = "";
+    // Drop cursors of anyone who left while we were away (e.g. after a reconnect)
+    const present = new Set(users.map((u) => u.userId));
+    for (const userId of Array.from(userIdToCursorEl.keys())) {
+        if (!present.has(userId)) removePresence(userId);
+    }
     users.forEach(addPresence);
 }
 
 function addPresence(user) {
+    if (userList.querySelector(`[data-user-id="${user.userId}"]`)) return;
     const li = document.createElement("li");
     li.className = "user-item";
     li.dataset.userId = user.userId;
-    const dot = document.createElement("span");
-    dot.className = "user-dot";
-    dot.style.background = user.color;
+    let badge;
+    if (user.avatar) {
+        badge = document.createElement("img");
+        badge.className = "user-avatar";
+        badge.src = user.avatar;
+        badge.alt = "";
+        badge.referrerPolicy = "no-referrer";
+        badge.style.borderColor = user.color;
+    } else {
+        badge = document.createElement("span");
+        badge.className = "user-dot";
+        badge.style.background = user.color;
+    }
     const name = document.createElement("span");
-    name.textContent = user.displayName;
-    li.appendChild(dot); li.appendChild(name);
+    name.className = "user-name";
+    name.textContent = user.userId === selfUser?.userId ? `${user.displayName} (you)` : user.displayName;
+    li.appendChild(badge); li.appendChild(name);
+    // Where everyone is, once there is more than one place to be
+    const pageName = pages.pages.length > 1 ? pages.nameOf(user.pageId) : null;
+    if (pageName !== null) {
+        const page = document.createElement("span");
+        page.className = "user-page";
+        page.textContent = pageName;
+        li.appendChild(page);
+    }
+    li.appendChild(createRoleControl(user));
     userList.appendChild(li);
     userIdToUser.set(user.userId, user);
 }
 
+// Role label, or a role picker when we own the room (for anyone but ourselves).
+function createRoleControl(user) {
+    const role = roleOf(user.userId);
+    const selfIsOwner = roleOf(selfUser?.userId) === "owner";
+    if (!selfIsOwner || role === "owner") {
+        const label = document.createElement("span");
+        label.className = "user-role";
+        label.textContent = role;
+        return label;
+    }
+    const select = document.createElement("select");
+    select.className = "user-role-select";
+    select.title = `Role of ${user.displayName}`;
+    for (const value of ["editor", "viewer"]) {
+        const opt = document.createElement("option");
+        opt.value = value; opt.textContent = value;
+        select.appendChild(opt);
+    }
+    select.value = role;
+    select.addEventListener("change", () => {
+        client.setRole(user.userId, select.value, (res) => {
+            if (!res?.ok) {
+                console.warn('[client] setRole failed', res);
+                select.value = roleOf(user.userId);
+            }
+        });
+    });
+    return select;
+}
+
 function removePresence(userId) {
     const el = userList.querySelector(`[data-user-id="${userId}"]`);
     el?.remove();
+    removeCursor(userId);
+    userIdToUser.delete(userId);
+}
+
+function removeCursor(userId) {
     const cursor = userIdToCursorEl.get(userId);
     cursor?.remove();
     userIdToCursorEl.delete(userId);
-    userIdToUser.delete(userId);
 }
 
 function updateCursor(userId, x, y, color) {
@@ -354,6 +782,134 @@ document.addEventListener("click", (e) => {
     if (!inside) usersDropdown.hidden = true;
 });
 
+// Board menu: JSON backup/restore and image export
+if (boardMenuBtn) boardMenuBtn.addEventListener("click", () => {
+    if (!boardMenu) return; boardMenu.hidden = !boardMenu.hidden;
+});
+document.addEventListener("click", (e) => {
+    if (!boardMenu || !boardMenuBtn) return;
+    const inside = boardMenu.contains(e.target) || boardMenuBtn.contains(e.target);
+    if (!inside) boardMenu.hidden = true;
+});
+let pendingImportMode = "append";
+if (boardMenu) boardMenu.addEventListener("click", async (e) => {
+    const item = e.target.closest('[data-action]');
+    if (!item) return;
+    const action = item.getAttribute('data-action');
+    boardMenu.hidden = true;
+    if (action === "history") {
+        timeline.open();
+    } else if (action === "checkpoints") {
+        checkpoints.open();
+    } else if (action === "export-json") {
+        try {
+            const doc = await client.fetchBoard();
+            const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+            downloadUrl(URL.createObjectURL(blob), `${client.roomId}.codraw.json`, true);
+        } catch (err) {
+            console.error('[client] export failed', err);
+        }
+    } else if (action === "export-svg") {
+        await client.ready;
+        downloadUrl(client.pageUrl("/export.svg"), `${client.roomId}.svg`);
+    } else if (action === "export-png") {
+        await client.ready;
+        downloadUrl(client.pageUrl("/export.png?scale=2"), `${client.roomId}.png`);
+    } else if (action === "import-append" || action === "import-replace") {
+        if (action === "import-replace" && !window.confirm("Replace the whole board for everyone?")) return;
+        pendingImportMode = action === "import-replace" ? "replace" : "append";
+        boardImportInput?.click();
+    }
+});
+if (boardImportInput) boardImportInput.addEventListener("change", async () => {
+    const file = boardImportInput.files?.[0];
+    boardImportInput.value = "";
+    if (!file) return;
+    try {
+        const doc = JSON.parse(await file.text());
+        const res = await client.importBoard(doc, pendingImportMode);
+        console.log('[client] import done', res);
+    } catch (err) {
+        console.error('[client] import failed', err);
+        window.alert(`Import failed: ${err.message}`);
+    }
+});
+
+// Images dropped or pasted onto the board: uploaded to the room's asset store,
+// then placed where they were dropped (pasted ones in the middle of the view).
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/svg+xml"];
+
+async function addImages(files, clientX, clientY) {
+    const images = files.filter((f) => f && IMAGE_TYPES.includes(f.type));
+    if (images.length === 0 || !canEdit()) return;
+    const at = canvas.getPoint({ clientX, clientY });
+    for (const [i, file] of images.entries()) {
+        try {
+            const [{ assetId }, size] = await Promise.all([client.uploadAsset(file), naturalSize(file)]);
+            // Several files fan out a little instead of landing on top of each other
+            canvas.placeImage(assetId, { x: at.x + i * 24, y: at.y + i * 24 }, size);
+        } catch (err) {
+            console.error('[client] image upload failed', err);
+            window.alert(`Could not add ${file.name || "the image"}: ${err.message}`);
+        }
+    }
+}
+
+// Pixel size of an image file (SVGs without one get the browser's default box).
+function naturalSize(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve({ width: img.naturalWidth || 300, height: img.naturalHeight || 150 });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("Unreadable image"));
+        };
+        img.src = url;
+    });
+}
+
+const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+canvasHost.addEventListener("dragover", (e) => {
+    if (!isFileDrag(e) || !canEdit()) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    canvasHost.classList.add("is-drop-target");
+});
+canvasHost.addEventListener("dragleave", (e) => {
+    if (!canvasHost.contains(e.relatedTarget)) canvasHost.classList.remove("is-drop-target");
+});
+canvasHost.addEventListener("drop", (e) => {
+    canvasHost.classList.remove("is-drop-target");
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    addImages(Array.from(e.dataTransfer.files), e.clientX, e.clientY);
+});
+document.addEventListener("paste", (e) => {
+    // Pasting into the text editor or a form field stays a normal paste
+    if (e.target.closest?.("input, textarea, [contenteditable]")) return;
+    const files = Array.from(e.clipboardData?.items || [])
+        .filter((item) => item.kind === "file")
+        .map((item) => item.getAsFile());
+    if (!files.some((f) => f && IMAGE_TYPES.includes(f.type))) return;
+    e.preventDefault();
+    const rect = canvasHost.getBoundingClientRect();
+    addImages(files, rect.left + rect.width / 2, rect.top + rect.height / 2);
+});
+
+function downloadUrl(href, filename, revoke) {
+    const a = document.createElement("a");
+    a.href = href;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    if (revoke) setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
+
 // Lightweight floating emoji animation.
 function spawnReaction(emoji) {
     const el = document.createElement("div");
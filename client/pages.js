@@ -0,0 +1,156 @@
+// Page switcher in the top bar: the room's pages, with a dot for each
+// collaborator on each page. Picking a page moves only us (the server sends
+// that page's board); adding, renaming and deleting pages change the room for
+// everyone and come back to every client as a new page list.
+
+export class PageSwitcher {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.elements button, label, menu, list, addBtn
+     * @param {()=>Object[]} deps.getUsers users present in the room, each with its pageId
+     * @param {()=>boolean} deps.canEdit whether the user may add and rename pages
+     * @param {()=>boolean} deps.canDelete whether the user may delete pages
+     * @param {(pageId:string)=>void} deps.onSwitch show another page
+     * @param {(name:string)=>void} deps.onCreate add a page
+     * @param {(pageId:string, name:string)=>void} deps.onRename
+     * @param {(pageId:string)=>void} deps.onDelete
+     */
+    constructor({ elements, getUsers, canEdit, canDelete, onSwitch, onCreate, onRename, onDelete }) {
+        this.el = elements;
+        this.getUsers = getUsers;
+        this.canEdit = canEdit;
+        this.canDelete = canDelete;
+        this.onSwitch = onSwitch;
+        this.onCreate = onCreate;
+        this.onRename = onRename;
+        this.onDelete = onDelete;
+        this.pages = []; // { id, name } in the room's order
+        this.currentId = null;
+
+        const { button, list, addBtn } = this.el;
+        if (button) button.addEventListener("click", () => this.toggle());
+        if (list) list.addEventListener("click", (e) => {
+            const item = e.target.closest("[data-page-id]");
+            if (!item) return;
+            const pageId = item.dataset.pageId;
+            const action = e.target.closest("[data-page-action]")?.dataset.pageAction;
+            if (action === "rename") this.rename(pageId);
+            else if (action === "delete") this.remove(pageId);
+            else {
+                this.close();
+                if (pageId !== this.currentId) this.onSwitch(pageId);
+            }
+        });
+        if (addBtn) addBtn.addEventListener("click", () => this.add());
+        document.addEventListener("click", (e) => {
+            if (!this.isOpen) return;
+            if (!this.el.menu.contains(e.target) && !button?.contains(e.target)) this.close();
+        });
+    }
+
+    get isOpen() {
+        return !!this.el.menu && !this.el.menu.hidden;
+    }
+
+    open() {
+        if (!this.el.menu || this.isOpen) return;
+        this.el.menu.hidden = false;
+        this.render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.el.menu.hidden = true;
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    setPages(pages, currentId = this.currentId) {
+        this.pages = Array.isArray(pages) ? pages.slice() : [];
+        this.currentId = currentId;
+        this.render();
+    }
+
+    setCurrent(pageId) {
+        this.currentId = pageId;
+        this.render();
+    }
+
+    /** Display name of a page, or null if the room has no such page. */
+    nameOf(pageId) {
+        return this.pages.find((p) => p.id === pageId)?.name ?? null;
+    }
+
+    add() {
+        if (!this.canEdit()) return;
+        const name = window.prompt("Name the new page", `Page ${this.pages.length + 1}`);
+        if (!name || !name.trim()) return;
+        this.onCreate(name.trim());
+    }
+
+    rename(pageId) {
+        const current = this.nameOf(pageId);
+        if (current === null || !this.canEdit()) return;
+        const name = window.prompt("Rename page", current);
+        if (!name || !name.trim() || name.trim() === current) return;
+        this.onRename(pageId, name.trim());
+    }
+
+    remove(pageId) {
+        const name = this.nameOf(pageId);
+        if (name === null || !this.canDelete() || this.pages.length < 2) return;
+        if (!window.confirm(`Delete "${name}" and everything drawn on it, for everyone? This cannot be undone.`)) return;
+        this.onDelete(pageId);
+    }
+
+    render() {
+        const { label, list, addBtn } = this.el;
+        if (label) label.textContent = this.nameOf(this.currentId) ?? "";
+        if (addBtn) addBtn.disabled = !this.canEdit();
+        if (!list) return;
+        list.innerHTML = "";
+        const users = this.getUsers();
+        for (const page of this.pages) {
+            const li = document.createElement("li");
+            li.className = "page-item";
+            li.classList.toggle("is-current", page.id === this.currentId);
+            li.dataset.pageId = page.id;
+            const name = document.createElement("span");
+            name.className = "page-name";
+            name.textContent = page.name;
+            li.appendChild(name);
+            // Who is looking at this page
+            const here = users.filter((u) => u.pageId === page.id);
+            const dots = document.createElement("span");
+            dots.className = "page-users";
+            for (const user of here) {
+                const dot = document.createElement("span");
+                dot.className = "page-user-dot";
+                dot.style.background = user.color;
+                dot.title = user.displayName;
+                dots.appendChild(dot);
+            }
+            li.appendChild(dots);
+            if (this.canEdit()) li.appendChild(actionButton("rename", "edit", `Rename ${page.name}`));
+            if (this.canDelete() && this.pages.length > 1) li.appendChild(actionButton("delete", "delete", `Delete ${page.name}`));
+            list.appendChild(li);
+        }
+    }
+}
+
+function actionButton(action, icon, title) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "page-action";
+    btn.dataset.pageAction = action;
+    btn.title = title;
+    const mi = document.createElement("span");
+    mi.className = "mi material-symbols-rounded";
+    mi.setAttribute("aria-hidden", "true");
+    mi.textContent = icon;
+    btn.appendChild(mi);
+    return btn;
+}
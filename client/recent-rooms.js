@@ -0,0 +1,31 @@
+// Rooms this browser has visited, most recent first, kept in localStorage.
+// Room ids act as invitations, so the lobby only lists rooms the user has
+// already been to rather than asking the server for every room.
+
+const RECENT_KEY = "codraw:recentRooms";
+const MAX_RECENT = 12;
+
+/** @returns {{ roomId: string, name: string, visitedAt: number }[]} */
+export function getRecentRooms() {
+    try {
+        const list = JSON.parse(window.localStorage.getItem(RECENT_KEY) || "[]");
+        return Array.isArray(list) ? list.filter((r) => r && typeof r.roomId === "string") : [];
+    } catch {
+        return [];
+    }
+}
+
+/** Move a room to the top of the list (adding it if needed). */
+export function rememberRoom(roomId, name = "") {
+    const rest = getRecentRooms().filter((r) => r.roomId !== roomId);
+    save([{ roomId, name, visitedAt: Date.now() }, ...rest].slice(0, MAX_RECENT));
+}
+
+/** Drop a room, e.g. once the server reports it no longer exists. */
+export function forgetRoom(roomId) {
+    save(getRecentRooms().filter((r) => r.roomId !== roomId));
+}
+
+function save(list) {
+    try { window.localStorage.setItem(RECENT_KEY, JSON.stringify(list)); } catch { /* storage unavailable */ }
+}
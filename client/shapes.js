@@ -0,0 +1,399 @@
+// Geometry of the board's shape types, shared by drawing, hit testing and bounds.
+// Every shape lives in a top-left box { x, y, width, height }:
+//   circle, square, triangle  legacy types (circle/triangle keep their aspect ratio)
+//   ellipse                   fills the box, independent radii
+//   rect                      rectangle with rounded corners (radius)
+//   star                      `points` tips, inner radius = innerRatio * outer
+//   polygon                   regular n-gon with `sides` corners
+//   line, arrow               from one corner of the box to the opposite one;
+//                             flipX/flipY pick the corners, arrows add startArrow/endArrow heads
+// Connectors are arrows whose ends are either free points { x, y } or bound to a
+// closed shape { shapeId, anchor }, anchor being the n/e/s/w point of its outline.
+// Any shape may also carry a style: `color` is the outline color, plus fillColor
+// and filled (closed shapes only), strokeWidth, opacity and dash.
+// Keep in sync with the export renderer in server/export.js.
+
+export const SHAPE_TYPES = ["circle", "square", "triangle", "ellipse", "rect", "star", "polygon", "line", "arrow"];
+export const ARROW_HEADS = ["none", "triangle", "open", "circle", "bar"];
+export const DASH_STYLES = ["solid", "dashed", "dotted"];
+export const SHAPE_STYLE_KEYS = ["fillColor", "filled", "strokeWidth", "opacity", "dash"];
+
+export const CONNECTOR_ANCHORS = ["n", "e", "s", "w"];
+
+export const DEFAULT_STROKE_WIDTH = 2;
+
+export const DEFAULT_RECT_RADIUS = 12;
+export const DEFAULT_STAR_POINTS = 5;
+export const DEFAULT_STAR_INNER_RATIO = 0.5;
+export const DEFAULT_POLYGON_SIDES = 6;
+
+// Optional fields each type carries on its shape op (see validateOperation on the server)
+const OPTION_KEYS = {
+    line: ["flipX", "flipY"],
+    arrow: ["flipX", "flipY", "startArrow", "endArrow"],
+    rect: ["radius"],
+    star: ["points", "innerRatio"],
+    polygon: ["sides"],
+};
+
+const ANCHOR_DIRECTIONS = { n: { x: 0, y: -1 }, e: { x: 1, y: 0 }, s: { x: 0, y: 1 }, w: { x: -1, y: 0 } };
+
+// Samples per full turn when curves are approximated by polygons (hit tests)
+const CURVE_SAMPLES = 48;
+
+export function isLineShape(s) {
+    return s?.shape === "line" || s?.shape === "arrow";
+}
+
+/** The optional fields of `source` that apply to shape type `shape`. */
+export function pickShapeOptions(shape, source) {
+    const out = {};
+    for (const key of OPTION_KEYS[shape] || []) {
+        if (source?.[key] !== undefined) out[key] = source[key];
+    }
+    return out;
+}
+
+/** The style fields set on `source`. */
+export function pickShapeStyle(source) {
+    const out = {};
+    for (const key of SHAPE_STYLE_KEYS) {
+        if (source?.[key] !== undefined) out[key] = source[key];
+    }
+    return out;
+}
+
+export function shapeStrokeWidth(s) {
+    return Number.isFinite(s.strokeWidth) ? s.strokeWidth : DEFAULT_STROKE_WIDTH;
+}
+
+/** Whether the shape's interior gets painted with its fillColor. */
+export function isFilled(s) {
+    return !!s.filled && !isLineShape(s) && typeof s.fillColor === "string";
+}
+
+/** Canvas line dash for a shape's outline (round caps turn the zero-length dashes into dots). */
+export function dashPattern(s) {
+    const w = shapeStrokeWidth(s);
+    if (s.dash === "dashed") return [w * 4, w * 3];
+    if (s.dash === "dotted") return [0, w * 2];
+    return [];
+}
+
+/** Box and flips of a line or arrow drawn from a to b. */
+export function lineBox(a, b) {
+    return {
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        width: Math.abs(b.x - a.x),
+        height: Math.abs(b.y - a.y),
+        flipX: b.x < a.x,
+        flipY: b.y < a.y,
+    };
+}
+
+/** Start and end point of a line or arrow. */
+export function lineEndpoints(s) {
+    const left = s.x, right = s.x + s.width, top = s.y, bottom = s.y + s.height;
+    return {
+        a: { x: s.flipX ? right : left, y: s.flipY ? bottom : top },
+        b: { x: s.flipX ? left : right, y: s.flipY ? top : bottom },
+    };
+}
+
+/** Arrowhead length for a given line width. */
+export function arrowHeadSize(lineWidth) {
+    return Math.max(10, lineWidth * 4);
+}
+
+/**
+ * Closed outline of a non-line shape as a point list (curves sampled).
+ * Returns null for lines and unknown types.
+ */
+export function shapePolygon(s) {
+    const { x, y, width: w, height: h } = s;
+    const cx = x + w / 2, cy = y + h / 2;
+    switch (s.shape) {
+        case "circle": {
+            const r = Math.min(w, h) / 2;
+            return ellipsePoints(cx, cy, r, r);
+        }
+        case "ellipse":
+            return ellipsePoints(cx, cy, w / 2, h / 2);
+        case "square":
+            return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+        case "rect":
+            return roundedRectPoints(x, y, w, h, rectRadius(s));
+        case "triangle":
+            return trianglePoints(s);
+        case "star":
+            return starPoints(s);
+        case "polygon":
+            return regularPolygonPoints(cx, cy, w / 2, h / 2, polygonSides(s));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Add the shape's outline to the current path of ctx (no beginPath/stroke).
+ * Curves use native arcs so they stay smooth at any zoom.
+ */
+export function traceShape(ctx, s) {
+    const { x, y, width: w, height: h } = s;
+    const cx = x + w / 2, cy = y + h / 2;
+    if (isLineShape(s)) {
+        const { a, b } = lineEndpoints(s);
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+    } else if (s.shape === "circle") {
+        const r = Math.min(w, h) / 2;
+        ctx.moveTo(cx + r, cy);
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    } else if (s.shape === "ellipse") {
+        ctx.moveTo(cx + w / 2, cy);
+        ctx.ellipse(cx, cy, w / 2, h / 2, 0, 0, Math.PI * 2);
+    } else if (s.shape === "rect") {
+        const r = rectRadius(s);
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + w, y, x + w, y + h, r);
+        ctx.arcTo(x + w, y + h, x, y + h, r);
+        ctx.arcTo(x, y + h, x, y, r);
+        ctx.arcTo(x, y, x + w, y, r);
+        ctx.closePath();
+    } else {
+        const pts = shapePolygon(s);
+        if (!pts) return;
+        ctx.moveTo(pts[0].x, pts[0].y);
+        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+        ctx.closePath();
+    }
+}
+
+/**
+ * Draw the heads of an arrow with the current strokeStyle. Triangle and circle
+ * heads are filled with `fill` (the stroke color by default).
+ */
+export function drawArrowHeads(ctx, s, lineWidth, fill) {
+    if (s.shape !== "arrow") return;
+    const { a, b } = lineEndpoints(s);
+    const size = arrowHeadSize(lineWidth);
+    drawHead(ctx, s.startArrow || "none", a, b, size, fill);
+    drawHead(ctx, s.endArrow || "triangle", b, a, size, fill);
+}
+
+/** Whether point p hits the shape: near a line, or inside (or within slop of) a closed outline. */
+export function shapeContains(s, p, slop, lineWidth = shapeStrokeWidth(s)) {
+    if (isLineShape(s)) {
+        const { a, b } = lineEndpoints(s);
+        return distanceToSegment(p, a, b) <= lineWidth / 2 + slop;
+    }
+    const pts = shapePolygon(s);
+    if (!pts) return false;
+    if (pointInPolygon(p, pts)) return true;
+    for (let i = 0; i < pts.length; i++) {
+        if (distanceToSegment(p, pts[i], pts[(i + 1) % pts.length]) <= lineWidth / 2 + slop) return true;
+    }
+    return false;
+}
+
+/** World-space area the shape can paint, including line width and arrowheads. */
+export function shapeExtent(s, lineWidth = shapeStrokeWidth(s)) {
+    let pad = lineWidth / 2 + 1;
+    if (s.shape === "arrow") pad += arrowHeadSize(lineWidth);
+    return { x: s.x - pad, y: s.y - pad, width: s.width + 2 * pad, height: s.height + 2 * pad };
+}
+
+/** Whether connectors can attach to the shape (closed shapes only). */
+export function canConnect(s) {
+    return !!s && !isLineShape(s) && shapePolygon(s) !== null;
+}
+
+/** Where an anchor sits: the outline point straight out from the center in its direction. */
+export function anchorPoint(s, anchor) {
+    const d = ANCHOR_DIRECTIONS[anchor] || ANCHOR_DIRECTIONS.e;
+    const c = { x: s.x + s.width / 2, y: s.y + s.height / 2 };
+    const pts = shapePolygon(s) || [];
+    let reach = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const t = rayHitsSegment(c, d, pts[i], pts[(i + 1) % pts.length]);
+        if (t !== null && t > reach) reach = t;
+    }
+    if (reach === 0) reach = Math.abs(d.x) * s.width / 2 + Math.abs(d.y) * s.height / 2;
+    return { x: c.x + d.x * reach, y: c.y + d.y * reach };
+}
+
+/** The anchor of s closest to p. */
+export function nearestAnchor(s, p) {
+    let best = CONNECTOR_ANCHORS[0];
+    let bestDist = Infinity;
+    for (const anchor of CONNECTOR_ANCHORS) {
+        const q = anchorPoint(s, anchor);
+        const dist = Math.hypot(q.x - p.x, q.y - p.y);
+        if (dist < bestDist) { bestDist = dist; best = anchor; }
+    }
+    return best;
+}
+
+/**
+ * Point of a connector end, or null when it is bound to a shape that can't be found.
+ * @param {{shapeId?:string, anchor?:string, x?:number, y?:number}} end
+ * @param {(id:string)=>Object|undefined} getShape
+ */
+export function connectorEndPoint(end, getShape) {
+    if (typeof end?.shapeId === "string") {
+        const s = getShape(end.shapeId);
+        return canConnect(s) ? anchorPoint(s, end.anchor) : null;
+    }
+    return Number.isFinite(end?.x) && Number.isFinite(end?.y) ? { x: end.x, y: end.y } : null;
+}
+
+/** A connector as the arrow shape it currently draws as (null while an end is unresolved). */
+export function connectorShape(c, getShape) {
+    const a = connectorEndPoint(c.from, getShape);
+    const b = connectorEndPoint(c.to, getShape);
+    if (!a || !b) return null;
+    return {
+        ...pickShapeStyle(c),
+        shape: "arrow",
+        color: c.color,
+        startArrow: c.startArrow,
+        endArrow: c.endArrow,
+        ...lineBox(a, b),
+    };
+}
+
+function rectRadius(s) {
+    const r = Number.isFinite(s.radius) ? s.radius : DEFAULT_RECT_RADIUS;
+    return Math.max(0, Math.min(r, s.width / 2, s.height / 2));
+}
+
+function polygonSides(s) {
+    return Number.isInteger(s.sides) ? s.sides : DEFAULT_POLYGON_SIDES;
+}
+
+// Upward equilateral triangle inside the box.
+function trianglePoints(s) {
+    const cx = s.x + s.width / 2, cy = s.y + s.height / 2;
+    const size = Math.min(s.width, s.height);
+    const hh = (Math.sqrt(3) / 2) * size;
+    return [
+        { x: cx, y: cy - (2 / 3) * hh },
+        { x: cx - size / 2, y: cy + (1 / 3) * hh },
+        { x: cx + size / 2, y: cy + (1 / 3) * hh },
+    ];
+}
+
+function starPoints(s) {
+    const n = Number.isInteger(s.points) ? s.points : DEFAULT_STAR_POINTS;
+    const ratio = Number.isFinite(s.innerRatio) ? s.innerRatio : DEFAULT_STAR_INNER_RATIO;
+    const cx = s.x + s.width / 2, cy = s.y + s.height / 2;
+    const rx = s.width / 2, ry = s.height / 2;
+    const pts = [];
+    for (let i = 0; i < n * 2; i++) {
+        const k = i % 2 === 0 ? 1 : ratio;
+        const angle = -Math.PI / 2 + (i * Math.PI) / n;
+        pts.push({ x: cx + Math.cos(angle) * rx * k, y: cy + Math.sin(angle) * ry * k });
+    }
+    return pts;
+}
+
+function regularPolygonPoints(cx, cy, rx, ry, n) {
+    const pts = [];
+    for (let i = 0; i < n; i++) {
+        const angle = -Math.PI / 2 + (i * 2 * Math.PI) / n;
+        pts.push({ x: cx + Math.cos(angle) * rx, y: cy + Math.sin(angle) * ry });
+    }
+    return pts;
+}
+
+function ellipsePoints(cx, cy, rx, ry) {
+    const pts = [];
+    for (let i = 0; i < CURVE_SAMPLES; i++) {
+        const angle = (i / CURVE_SAMPLES) * Math.PI * 2;
+        pts.push({ x: cx + Math.cos(angle) * rx, y: cy + Math.sin(angle) * ry });
+    }
+    return pts;
+}
+
+function roundedRectPoints(x, y, w, h, r) {
+    if (r <= 0) return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+    const corners = [
+        { cx: x + w - r, cy: y + r, start: -Math.PI / 2 },
+        { cx: x + w - r, cy: y + h - r, start: 0 },
+        { cx: x + r, cy: y + h - r, start: Math.PI / 2 },
+        { cx: x + r, cy: y + r, start: Math.PI },
+    ];
+    const steps = CURVE_SAMPLES / 4;
+    const pts = [];
+    for (const c of corners) {
+        for (let i = 0; i <= steps; i++) {
+            const angle = c.start + (i / steps) * (Math.PI / 2);
+            pts.push({ x: c.cx + Math.cos(angle) * r, y: c.cy + Math.sin(angle) * r });
+        }
+    }
+    return pts;
+}
+
+// One arrowhead with its tip at `tip`, pointing away from `from`.
+function drawHead(ctx, style, tip, from, size, fill) {
+    if (style === "none") return;
+    const len = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (len === 0) return;
+    const ux = (tip.x - from.x) / len, uy = (tip.y - from.y) / len; // along the line
+    const nx = -uy, ny = ux; // across it
+    const base = { x: tip.x - ux * size, y: tip.y - uy * size };
+    const half = size / 2;
+    ctx.beginPath();
+    if (style === "triangle") {
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(base.x + nx * half, base.y + ny * half);
+        ctx.lineTo(base.x - nx * half, base.y - ny * half);
+        ctx.closePath();
+        ctx.fillStyle = fill || ctx.strokeStyle;
+        ctx.fill();
+        ctx.stroke();
+    } else if (style === "open") {
+        ctx.moveTo(base.x + nx * half, base.y + ny * half);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.lineTo(base.x - nx * half, base.y - ny * half);
+        ctx.stroke();
+    } else if (style === "circle") {
+        ctx.arc(tip.x, tip.y, size * 0.3, 0, Math.PI * 2);
+        ctx.fillStyle = fill || ctx.strokeStyle;
+        ctx.fill();
+        ctx.stroke();
+    } else if (style === "bar") {
+        ctx.moveTo(tip.x + nx * half, tip.y + ny * half);
+        ctx.lineTo(tip.x - nx * half, tip.y - ny * half);
+        ctx.stroke();
+    }
+}
+
+// Distance t along the ray c + t*d (d a unit vector) where it crosses segment a-b, or null.
+function rayHitsSegment(c, d, a, b) {
+    const ex = b.x - a.x, ey = b.y - a.y;
+    const det = ex * d.y - d.x * ey;
+    if (det === 0) return null;
+    const wx = a.x - c.x, wy = a.y - c.y;
+    const t = (ex * wy - wx * ey) / det;
+    const u = (d.x * wy - d.y * wx) / det;
+    return t >= 0 && u >= 0 && u <= 1 ? t : null;
+}
+
+function pointInPolygon(p, pts) {
+    let inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const a = pts[i], b = pts[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    let t = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
@@ -0,0 +1,260 @@
+// Tiled renderer for the committed board content.
+// Every drawable element (stroke, shape, text) is registered with its world
+// bounds in a uniform-grid spatial index. The main canvas is composed from
+// cached raster tiles: each tile covers a fixed square of world space at a
+// zoom level (powers of two), and is rasterized only from the elements that
+// intersect it. Changing an element invalidates just the tiles under its old
+// and new bounds, so pans and zooms mostly blit cached bitmaps.
+//
+// Elements are drawn in ascending z (the stacking order kept by CanvasManager),
+// so an eraser stroke cuts whatever lies beneath it, whatever its kind.
+
+const TILE_PX = 256;             // tile size in device pixels
+const CELL_SIZE = 256;           // spatial index cell size in world units
+const MAX_CELLS_PER_ITEM = 1024; // bigger items live in a separate list
+const MAX_TILES = 320;           // cached tiles kept (LRU), ~80 MB worst case
+const FRAME_BUDGET_MS = 8;       // tile rasterization budget per frame
+const MIN_LEVEL = -4;
+const MAX_LEVEL = 4;
+
+export class TileRenderer {
+    /**
+     * @param {Object} deps
+     * @param {(ctx:CanvasRenderingContext2D, id:string)=>void} deps.drawItem
+     */
+    constructor({ drawItem }) {
+        this.drawItem = drawItem;
+        this.items = new Map(); // id -> { id, z, bounds, cells }
+        this.cells = new Map(); // "cx,cy" -> Set<id>
+        this.bigItems = new Set(); // ids spanning too many cells to index
+        this.tiles = new Map(); // "level:tx:ty" -> { canvas, level, rect } in LRU order
+        this.pool = []; // spare tile canvases
+    }
+
+    /** Forget every element and cached tile. */
+    reset() {
+        this.items.clear();
+        this.cells.clear();
+        this.bigItems.clear();
+        this.clearTiles();
+    }
+
+    clearTiles() {
+        for (const tile of this.tiles.values()) this.pool.push(tile.canvas);
+        this.tiles.clear();
+    }
+
+    /**
+     * Register, move or restack an element.
+     * @param {string} id
+     * @param {number} z stacking position, higher is drawn later
+     * @param {{x:number,y:number,width:number,height:number}|null} bounds null removes it
+     */
+    setItem(id, z, bounds) {
+        if (!bounds) { this.removeItem(id); return; }
+        const prev = this.items.get(id);
+        if (prev) {
+            this.unindex(prev);
+            this.invalidateRect(prev.bounds);
+        }
+        const item = { id, z, bounds, cells: null };
+        this.items.set(id, item);
+        this.index(item);
+        this.invalidateRect(bounds);
+    }
+
+    removeItem(id) {
+        const item = this.items.get(id);
+        if (!item) return;
+        this.unindex(item);
+        this.items.delete(id);
+        this.invalidateRect(item.bounds);
+    }
+
+    getBounds(id) {
+        return this.items.get(id)?.bounds ?? null;
+    }
+
+    /**
+     * Elements whose bounds intersect rect, in drawing order (bottom first).
+     * @param {{x:number,y:number,width:number,height:number}} rect
+     */
+    query(rect) {
+        const ids = new Set(this.bigItems);
+        const x0 = Math.floor(rect.x / CELL_SIZE), x1 = Math.floor((rect.x + rect.width) / CELL_SIZE);
+        const y0 = Math.floor(rect.y / CELL_SIZE), y1 = Math.floor((rect.y + rect.height) / CELL_SIZE);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (cell) for (const id of cell) ids.add(id);
+            }
+        }
+        const out = [];
+        for (const id of ids) {
+            const item = this.items.get(id);
+            if (!item) continue;
+            if (intersects(item.bounds, rect)) out.push(item);
+        }
+        out.sort((a, b) => a.z - b.z);
+        return out;
+    }
+
+    /** Drop cached tiles (at every level) that overlap a world rect. */
+    invalidateRect(rect) {
+        for (const [key, tile] of this.tiles) {
+            if (intersects(tile.rect, rect)) {
+                this.tiles.delete(key);
+                this.pool.push(tile.canvas);
+            }
+        }
+    }
+
+    /**
+     * Compose the visible part of the board onto ctx (whose transform is reset here).
+     * Tiles missing from the cache are rasterized within a time budget; until
+     * then cached tiles from other zoom levels stand in for them.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{ scale:number, pan:{x:number,y:number}, dpr:number, width:number, height:number }} view
+     *        width/height are the canvas size in device pixels
+     * @returns {boolean} true when some tiles are still pending (call again next frame)
+     */
+    render(ctx, { scale, pan, dpr, width, height }) {
+        const zoom = scale * dpr; // device pixels per world unit
+        const level = Math.max(MIN_LEVEL, Math.min(MAX_LEVEL, Math.ceil(Math.log2(zoom) - 1e-9)));
+        const tileWorld = TILE_PX / 2 ** level;
+        const view = {
+            x: -pan.x / scale,
+            y: -pan.y / scale,
+            width: width / zoom,
+            height: height / zoom,
+        };
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.imageSmoothingEnabled = true;
+        const blit = (tile) => {
+            const x = (tile.rect.x - view.x) * zoom;
+            const y = (tile.rect.y - view.y) * zoom;
+            const size = tile.rect.width * zoom;
+            ctx.drawImage(tile.canvas, x, y, size, size);
+        };
+
+        const tx0 = Math.floor(view.x / tileWorld), tx1 = Math.floor((view.x + view.width) / tileWorld);
+        const ty0 = Math.floor(view.y / tileWorld), ty1 = Math.floor((view.y + view.height) / tileWorld);
+        const wanted = [];
+        let missing = false;
+        for (let ty = ty0; ty <= ty1; ty++) {
+            for (let tx = tx0; tx <= tx1; tx++) {
+                const key = `${level}:${tx}:${ty}`;
+                const tile = this.tiles.get(key);
+                if (tile) {
+                    // Refresh LRU position
+                    this.tiles.delete(key);
+                    this.tiles.set(key, tile);
+                } else {
+                    missing = true;
+                }
+                wanted.push({ key, tx, ty, tile });
+            }
+        }
+
+        // Stand-ins from other levels, coarse to fine, underneath the real tiles
+        if (missing) {
+            const others = [];
+            for (const tile of this.tiles.values()) {
+                if (tile.level !== level && intersects(tile.rect, view)) others.push(tile);
+            }
+            others.sort((a, b) => a.level - b.level).forEach(blit);
+        }
+
+        const started = performance.now();
+        let pending = false;
+        for (const w of wanted) {
+            let tile = w.tile;
+            if (!tile) {
+                if (performance.now() - started > FRAME_BUDGET_MS) { pending = true; continue; }
+                tile = this.rasterize(level, w.tx, w.ty, tileWorld);
+                this.tiles.set(w.key, tile);
+            }
+            if (missing) {
+                // Cover the stand-ins exactly where this tile goes
+                const x = (tile.rect.x - view.x) * zoom, y = (tile.rect.y - view.y) * zoom, size = tile.rect.width * zoom;
+                ctx.clearRect(x, y, size, size);
+            }
+            blit(tile);
+        }
+        ctx.restore();
+        this.evict();
+        return pending;
+    }
+
+    // Draw one tile from the elements that intersect it.
+    rasterize(level, tx, ty, tileWorld) {
+        const rect = { x: tx * tileWorld, y: ty * tileWorld, width: tileWorld, height: tileWorld };
+        const canvas = this.pool.pop() || createTileCanvas();
+        const tctx = canvas.getContext("2d");
+        const z = 2 ** level;
+        tctx.setTransform(1, 0, 0, 1, 0, 0);
+        tctx.clearRect(0, 0, TILE_PX, TILE_PX);
+        tctx.setTransform(z, 0, 0, z, -rect.x * z, -rect.y * z);
+        tctx.lineCap = "round";
+        tctx.lineJoin = "round";
+        for (const item of this.query(rect)) {
+            // Level of detail: skip elements smaller than half a device pixel
+            if (Math.max(item.bounds.width, item.bounds.height) * z < 0.5) continue;
+            this.drawItem(tctx, item.id);
+        }
+        return { canvas, level, rect };
+    }
+
+    evict() {
+        while (this.tiles.size > MAX_TILES) {
+            const [key, tile] = this.tiles.entries().next().value;
+            this.tiles.delete(key);
+            this.pool.push(tile.canvas);
+        }
+        if (this.pool.length > 64) this.pool.length = 64;
+    }
+
+    index(item) {
+        const b = item.bounds;
+        const x0 = Math.floor(b.x / CELL_SIZE), x1 = Math.floor((b.x + b.width) / CELL_SIZE);
+        const y0 = Math.floor(b.y / CELL_SIZE), y1 = Math.floor((b.y + b.height) / CELL_SIZE);
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_CELLS_PER_ITEM) {
+            this.bigItems.add(item.id);
+            return;
+        }
+        item.cells = [];
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) { cell = new Set(); this.cells.set(key, cell); }
+                cell.add(item.id);
+                item.cells.push(key);
+            }
+        }
+    }
+
+    unindex(item) {
+        if (!item.cells) { this.bigItems.delete(item.id); return; }
+        for (const key of item.cells) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            cell.delete(item.id);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        item.cells = null;
+    }
+}
+
+function createTileCanvas() {
+    const canvas = document.createElement("canvas");
+    canvas.width = TILE_PX;
+    canvas.height = TILE_PX;
+    return canvas;
+}
+
+function intersects(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
@@ -0,0 +1,161 @@
+// Board history panel: scrub through the operation log, play the board's
+// evolution back, and restore an earlier point. While the panel is open the
+// canvas shows the board after the first `position` operations, read-only
+// (CanvasManager.previewHistory). Restoring sends a revert op, so the restore
+// is itself part of the history and can be undone like any other change.
+
+// Playback keeps the recorded pace between operations but cuts long pauses short.
+const MAX_STEP_DELAY_MS = 1500;
+const MIN_STEP_DELAY_MS = 30;
+// Pace for operations without timestamps
+const DEFAULT_STEP_DELAY_MS = 250;
+
+export class Timeline {
+    /**
+     * @param {Object} deps
+     * @param {import("./canvas.js").CanvasManager} deps.canvas
+     * @param {Object} deps.elements panel, slider, label, playBtn, speedSelect, restoreBtn, closeBtn
+     * @param {(op:{type:"revert", toId:string|null})=>void} deps.onRestore commit a revert op
+     * @param {()=>boolean} deps.canRestore whether the user may change the board
+     */
+    constructor({ canvas, elements, onRestore, canRestore }) {
+        this.canvas = canvas;
+        this.el = elements;
+        this.onRestore = onRestore;
+        this.canRestore = canRestore;
+        this.position = 0; // number of operations shown
+        this.total = 0; // log length when last rendered
+        this.timer = null; // pending playback step
+
+        const { slider, playBtn, speedSelect, restoreBtn, closeBtn } = this.el;
+        if (slider) slider.addEventListener("input", () => {
+            this.pause();
+            this.seek(Number(slider.value));
+        });
+        if (playBtn) playBtn.addEventListener("click", () => (this.timer ? this.pause() : this.play()));
+        if (speedSelect) speedSelect.addEventListener("change", () => {
+            // Apply the new speed from the next step on
+            if (this.timer) this.play();
+        });
+        if (restoreBtn) restoreBtn.addEventListener("click", () => this.restore());
+        if (closeBtn) closeBtn.addEventListener("click", () => this.close());
+    }
+
+    get isOpen() {
+        return !!this.el.panel && !this.el.panel.hidden;
+    }
+
+    /** Open the panel at the current board. */
+    open() {
+        if (!this.el.panel || this.isOpen) return;
+        this.el.panel.hidden = false;
+        this.total = this.canvas.operations.length;
+        this.seek(this.total);
+    }
+
+    /** Close the panel and show the live board again. */
+    close() {
+        if (!this.isOpen) return;
+        this.pause();
+        this.el.panel.hidden = true;
+        this.canvas.previewHistory(null);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    /**
+     * Keep the panel in step with the log after any change to it. A preview at
+     * the latest operation follows new ones; one further back stays put.
+     */
+    refresh() {
+        if (!this.isOpen) return;
+        const total = this.canvas.operations.length;
+        const atEnd = this.position >= this.total;
+        this.total = total;
+        this.seek(atEnd ? total : Math.min(this.position, total));
+    }
+
+    /** Show the board after the first `position` operations. */
+    seek(position) {
+        this.position = Math.max(0, Math.min(this.canvas.operations.length, position));
+        this.canvas.previewHistory(this.position);
+        this.render();
+    }
+
+    play() {
+        this.pause();
+        if (this.position >= this.canvas.operations.length) this.seek(0);
+        this.schedule();
+        this.render();
+    }
+
+    pause() {
+        if (!this.timer) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.render();
+    }
+
+    // Queue the next playback step, spaced like the operations were.
+    schedule() {
+        const ops = this.canvas.operations;
+        const prev = ops[this.position - 1];
+        const next = ops[this.position];
+        const gap = Number.isFinite(prev?.timestamp) && Number.isFinite(next?.timestamp)
+            ? Math.min(MAX_STEP_DELAY_MS, Math.max(0, next.timestamp - prev.timestamp))
+            : DEFAULT_STEP_DELAY_MS;
+        const speed = Number(this.el.speedSelect?.value) || 1;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.seek(this.position + 1);
+            if (this.position < this.canvas.operations.length) this.schedule();
+            this.render();
+        }, Math.max(MIN_STEP_DELAY_MS, gap / speed));
+    }
+
+    /** Restore the board to the previewed point, for everyone. */
+    restore() {
+        const target = this.restoreTarget();
+        if (target === undefined) return;
+        this.onRestore({ type: "revert", toId: target });
+        this.close();
+    }
+
+    // Id of the op to revert to (null: the empty board), or undefined when the
+    // previewed point cannot be restored: it is the current board, the user may
+    // not edit, or the op has no server id yet.
+    restoreTarget() {
+        const ops = this.canvas.operations;
+        if (this.position >= ops.length || !this.canRestore()) return undefined;
+        if (this.position === 0) return null;
+        const id = ops[this.position - 1].id;
+        return typeof id === "string" && !id.startsWith("local-") ? id : undefined;
+    }
+
+    render() {
+        const { slider, label, playBtn, restoreBtn } = this.el;
+        const ops = this.canvas.operations;
+        if (slider) {
+            slider.max = String(ops.length);
+            slider.value = String(this.position);
+        }
+        if (label) {
+            const op = ops[this.position - 1];
+            const when = this.position === 0
+                ? "Empty board"
+                : this.position === ops.length
+                    ? "Now"
+                    : Number.isFinite(op?.timestamp) ? new Date(op.timestamp).toLocaleString() : "";
+            label.textContent = `${this.position} / ${ops.length}${when ? ` · ${when}` : ""}`;
+        }
+        if (playBtn) {
+            const icon = playBtn.querySelector(".mi");
+            if (icon) icon.textContent = this.timer ? "pause" : "play_arrow";
+            playBtn.title = this.timer ? "Pause" : "Play back";
+        }
+        if (restoreBtn) restoreBtn.disabled = this.restoreTarget() === undefined;
+    }
+}
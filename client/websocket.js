@@ -1,8 +1,32 @@
 // Lightweight Socket.io client wrapper used by the app.
 // Exposes a narrow API for sending actions and registering handlers.
+// Also owns the resumable session: the server-issued sessionId is kept in
+// localStorage and sent in the handshake together with the last applied board
+// version, so a reconnect keeps the same identity and only receives what it missed.
+// A signed identity token (when the deployment issues them) is stored the same
+// way and sent in the handshake; the server then uses it instead of a guest identity.
+// The server is found through config.js. Sessions and tokens are remembered per
+// server, so a link pointing the client at another server never receives them.
+// A room has one or more pages; the socket is on one of them at a time, and
+// board events, commits and the per-room HTTP routes all concern that page.
+import { getServerUrl, loadSocketIo } from "./config.js";
+
+const SESSION_KEY = "codraw:session";
+const TOKEN_KEY = "codraw:token";
+// Offline commits are flushed in batches the server accepts (LIMITS.commitBatch),
+// one a second, which stays within its rate limit for draw:commitBatch.
+const OUTBOX_BATCH = 100;
+const OUTBOX_INTERVAL_MS = 1000;
+const OUTBOX_ACK_TIMEOUT_MS = 10_000;
+
 export class RealtimeClient {
     /**
      * @param {Object} deps
+     * @param {string} deps.roomId room to join; without one no connection is made
+     * @param {string} [deps.pageId] page to open first (the room's first page if absent or unknown)
+     * @param {()=>number} [deps.getVersion] last board version applied locally
+     * @param {string} [deps.token] identity token to use (and remember) instead of the stored one
+     * @param {(err:Error)=>void} [deps.onAuthError]
      * @param {(payload:any)=>void} [deps.onInit]
      * @param {(payload:any)=>void} [deps.onProgress]
      * @param {(payload:any)=>void} [deps.onCommit]
@@ -12,44 +36,181 @@ export class RealtimeClient {
      * @param {(payload:any)=>void} [deps.onCursor]
      * @param {(payload:any)=>void} [deps.onReaction]
      * @param {(payload:any)=>void} [deps.onShapeProgress]
+     * @param {(payload:any)=>void} [deps.onTextProgress]
+     * @param {(payload:{version:number, id:string})=>void} [deps.onOpRemoved]
+     * @param {(payload:{version:number, op:any, index:number})=>void} [deps.onOpRestored]
+     * @param {(payload:{version:number, userId:string})=>void} [deps.onOpsRemovedByUser]
+     * @param {(payload:{version:number})=>void} [deps.onOpsCleared]
+     * @param {(payload:{ownerId:string|null, roles:Object, defaultRole:string})=>void} [deps.onPermissions]
+     * @param {(payload:{version:number, checkpoint:Object})=>void} [deps.onCheckpoint]
+     * @param {(payload:{pages:{id:string, name:string}[]})=>void} [deps.onPages]
+     * @param {(payload:{userId:string, pageId:string})=>void} [deps.onPresencePage]
+     * @param {(payload:{message:string})=>void} [deps.onError]
+     * @param {(status:"connecting"|"connected"|"reconnecting"|"offline")=>void} [deps.onStatus]
      */
-    constructor({ onInit, onProgress, onCommit, onState, onPresenceJoin, onPresenceLeave, onCursor, onReaction, onShapeProgress }) {
-        this.handlers = { onInit, onProgress, onCommit, onState, onPresenceJoin, onPresenceLeave, onCursor, onReaction, onShapeProgress };
-        const globalIo = (typeof window !== 'undefined') ? window.io : undefined;
-        this.socket = globalIo
-            ? globalIo("https://codraw-production.up.railway.app", { path: "/socket.io" })
-            : createNoopSocket();
+    constructor({ roomId, pageId, getVersion, token, onAuthError, onInit, onProgress, onCommit, onState, onPresenceJoin, onPresenceLeave, onCursor, onReaction, onShapeProgress, onTextProgress, onOpRemoved, onOpRestored, onOpsRemovedByUser, onOpsCleared, onPermissions, onCheckpoint, onPages, onPresencePage, onError, onStatus }) {
+        this.handlers = { onAuthError, onInit, onProgress, onCommit, onState, onPresenceJoin, onPresenceLeave, onCursor, onReaction, onShapeProgress, onTextProgress, onOpRemoved, onOpRestored, onOpsRemovedByUser, onOpsCleared, onPermissions, onCheckpoint, onPages, onPresencePage, onError, onStatus };
+        this.getVersion = getVersion;
+        this.serverUrl = undefined; // known once `ready` resolves
+        this.roomId = roomId;
+        this.pageId = pageId; // confirmed by init and page switches
+        this.hasInit = false; // whether we ever received init (a version is meaningful)
+        this.outbox = []; // commits made while offline, flushed after the next init
+        this.flushing = false; // whether the outbox is being sent
+        this.status = null;
+        // Until the server is found everything is dropped, except commits (queued in the outbox).
+        this.socket = createNoopSocket();
+        this.ready = this.connect(token);
+    }
+
+    /** Find the server, load its socket.io client and open the connection. */
+    async connect(token) {
+        this.setStatus("connecting");
+        this.serverUrl = await getServerUrl();
+        this.sessionId = readStored(storageKey(SESSION_KEY, this.serverUrl));
+        if (token) writeStored(storageKey(TOKEN_KEY, this.serverUrl), token);
+        this.token = token || readStored(storageKey(TOKEN_KEY, this.serverUrl));
+        if (!this.roomId) return;
+        let io;
+        try {
+            io = await loadSocketIo(this.serverUrl);
+        } catch (err) {
+            console.warn('[client] realtime client unavailable', err?.message);
+            this.setStatus("offline");
+            return;
+        }
+        this.socket = io(this.serverUrl, {
+            path: "/socket.io",
+            query: { roomId: this.roomId },
+            // Evaluated on every (re)connect so the latest version is sent.
+            auth: (cb) => cb({
+                token: this.token,
+                sessionId: this.sessionId,
+                pageId: this.pageId,
+                version: this.hasInit ? this.getVersion?.() : undefined,
+            }),
+        });
         this.bind();
     }
 
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.handlers.onStatus?.(status);
+    }
+
     bind() {
         // Baseline event hooks. The server sends structured payloads we pass through.
         this.socket.on("connect", () => {
-            // noop; init will arrive separately
+            // init (snapshot or catch-up) will arrive separately
+            this.setStatus("connected");
+        });
+        // Lost connections are retried by socket.io until disconnect() is called
+        // or the server closes the socket itself.
+        this.socket.on("disconnect", () => this.setStatus(this.socket.active ? "reconnecting" : "offline"));
+        this.socket.io?.on?.("reconnect_attempt", () => this.setStatus("reconnecting"));
+        // Rejections from the server's auth middleware are not retried automatically.
+        this.socket.on("connect_error", (err) => {
+            if (!this.socket.active) {
+                console.warn('[client] connection rejected', err?.message);
+                if (this.token) {
+                    // A stale or revoked token: forget it and retry (as a guest, if allowed).
+                    this.token = undefined;
+                    removeStored(storageKey(TOKEN_KEY, this.serverUrl));
+                    this.socket.connect();
+                } else {
+                    this.setStatus("offline");
+                    this.handlers.onAuthError?.(err);
+                }
+            } else {
+                this.setStatus(this.hasInit ? "reconnecting" : "connecting");
+            }
+        });
+        // The browser knows about lost networks sooner than the socket's heartbeat does.
+        window.addEventListener("offline", () => this.setStatus("offline"));
+        window.addEventListener("online", () => { if (!this.socket.connected) this.setStatus("reconnecting"); });
+        this.socket.on("init", (payload) => {
+            if (payload?.sessionId && payload.sessionId !== this.sessionId) {
+                this.sessionId = payload.sessionId;
+                writeStored(storageKey(SESSION_KEY, this.serverUrl), payload.sessionId);
+            }
+            if (payload?.pageId) this.pageId = payload.pageId;
+            this.hasInit = true;
+            this.handlers.onInit?.(payload);
+            this.flushOutbox();
         });
-        this.socket.on("init", (payload) => this.handlers.onInit?.(payload));
         this.socket.on("draw:progress", (payload) => this.handlers.onProgress?.(payload));
-        this.socket.on("draw:commit", (payload) => this.handlers.onCommit?.(payload));
+        this.socket.on("draw:commit", (payload, version) => this.handlers.onCommit?.(payload, version));
         this.socket.on("state:full", (payload) => this.handlers.onState?.(payload));
+        // Incremental history deltas, each tagged with the resulting version.
+        this.socket.on("op:removed", (payload) => this.handlers.onOpRemoved?.(payload));
+        this.socket.on("op:restored", (payload) => this.handlers.onOpRestored?.(payload));
+        this.socket.on("ops:removedByUser", (payload) => this.handlers.onOpsRemovedByUser?.(payload));
+        this.socket.on("ops:cleared", (payload) => this.handlers.onOpsCleared?.(payload));
         this.socket.on("presence:join", (payload) => this.handlers.onPresenceJoin?.(payload));
         this.socket.on("presence:leave", (payload) => this.handlers.onPresenceLeave?.(payload));
         this.socket.on("cursor:move", (payload) => this.handlers.onCursor?.(payload));
         this.socket.on("reaction", (payload) => this.handlers.onReaction?.(payload));
         this.socket.on("shape:progress", (payload) => this.handlers.onShapeProgress?.(payload));
+        this.socket.on("text:progress", (payload) => this.handlers.onTextProgress?.(payload));
+        this.socket.on("room:permissions", (payload) => this.handlers.onPermissions?.(payload));
+        this.socket.on("checkpoint:created", (payload) => this.handlers.onCheckpoint?.(payload));
+        this.socket.on("pages:update", (payload) => this.handlers.onPages?.(payload));
+        this.socket.on("presence:page", (payload) => this.handlers.onPresencePage?.(payload));
+        this.socket.on("error:message", (payload) => this.handlers.onError?.(payload));
     }
 
+    // Ephemeral events are sent volatile: dropped while offline rather than
+    // buffered and replayed as stale noise after a reconnect.
     /** Send a streaming progress fragment for in-flight drawing. */
-    sendProgress(progress) { this.socket?.emit?.("draw:progress", progress); }
+    sendProgress(progress) { this.socket?.volatile?.emit?.("draw:progress", progress); }
     /** Send a streaming transform fragment for in-flight shape changes. */
-    sendShapeProgress(progress) { this.socket?.emit?.("shape:progress", progress); }
-    /** Send a final operation that becomes part of history. */
-    sendCommit(op) { this.socket?.emit?.("draw:commit", op); }
-    /** Request a global undo. */
+    sendShapeProgress(progress) { this.socket?.volatile?.emit?.("shape:progress", progress); }
+    /** Send a streaming text edit/move fragment. */
+    sendTextProgress(progress) { this.socket?.volatile?.emit?.("text:progress", progress); }
+    /**
+     * Send a final operation that becomes part of history (queued while offline,
+     * and while the outbox is being flushed so commits keep their order).
+     * It is tagged with the current page, so the server refuses it rather than
+     * putting it on another page if we switched in the meantime.
+     */
+    sendCommit(op) {
+        const tagged = this.pageId ? { ...op, pageId: this.pageId } : op;
+        if (this.socket?.connected && !this.flushing) this.socket.emit("draw:commit", tagged);
+        else this.outbox.push(tagged);
+    }
+    /**
+     * Send commits queued while offline, in order, as paced draw:commitBatch
+     * events. Each batch waits for the server's answer; one lost with the
+     * connection is not sent again, as it may have been applied. What is left
+     * when the connection drops stays queued for the next init.
+     */
+    flushOutbox() {
+        if (this.flushing || !this.socket?.connected || this.outbox.length === 0) return;
+        console.log('[client] flushing offline commits', { count: this.outbox.length });
+        this.flushing = true;
+        const next = () => {
+            if (!this.socket.connected || this.outbox.length === 0) {
+                this.flushing = false;
+                return;
+            }
+            const ops = this.outbox.splice(0, OUTBOX_BATCH);
+            this.socket.timeout(OUTBOX_ACK_TIMEOUT_MS).emit("draw:commitBatch", { ops }, (err, res) => {
+                if (err || !res?.ok) console.warn('[client] offline commits not confirmed', { count: ops.length, error: err?.message || res?.error });
+                if (this.outbox.length === 0) this.flushing = false;
+                else setTimeout(next, OUTBOX_INTERVAL_MS);
+            });
+        };
+        next();
+    }
+    /** Undo my most recent operation. */
     sendUndo() { this.socket?.emit?.("op:undo"); }
-    /** Request a global redo. */
+    /** Redo my last undone operation. */
     sendRedo() { this.socket?.emit?.("op:redo"); }
+    /** Ask the server for a full snapshot (used after a version gap). */
+    requestSnapshot() { this.socket?.emit?.("state:request"); }
     /** Broadcast current cursor position (world coordinates). */
-    sendCursor(pos) { this.socket?.emit?.("cursor:move", pos); }
+    sendCursor(pos) { this.socket?.volatile?.emit?.("cursor:move", pos); }
     /** Broadcast a lightweight reaction to the room. */
     sendReaction(emoji) { this.socket?.emit?.("reaction", { emoji }); }
     /** Ask server to delete only my authored operations. */
@@ -78,13 +239,141 @@ export class RealtimeClient {
             cb && cb({ ok: false, error: String(e) });
         }
     }
+    /** Owner only: give a user the "editor" or "viewer" role. */
+    setRole(userId, role, cb) {
+        this.socket?.emit?.("room:setRole", { userId, role }, (res) => cb && cb(res));
+    }
+    /** Save the board as a named checkpoint. Answers { ok, checkpoint, version }. */
+    createCheckpoint(name, cb) {
+        this.socket?.emit?.("checkpoint:create", { name }, (res) => cb && cb(res));
+    }
+    /** The room's checkpoints, oldest first. Answers { ok, checkpoints }. */
+    listCheckpoints(cb) {
+        this.socket?.emit?.("checkpoint:list", (res) => cb && cb(res));
+    }
+    /** Operations added and removed since a checkpoint. Answers { ok, added, removed, unchanged }. */
+    diffCheckpoint(id, cb) {
+        this.socket?.emit?.("checkpoint:diff", { id }, (res) => cb && cb(res));
+    }
+    /** Owner only: replace the board with a checkpoint, for everyone. */
+    restoreCheckpoint(id, cb) {
+        this.socket?.emit?.("checkpoint:restore", { id }, (res) => cb && cb(res));
+    }
+    /** Move to another page. Answers { ok, pageId, snapshot } with the page's board. */
+    switchPage(pageId, cb) {
+        if (!this.socket?.connected) {
+            cb && cb({ ok: false, error: "Not connected" });
+            return;
+        }
+        this.socket.emit("page:switch", { pageId }, (res) => {
+            if (res?.ok) this.pageId = res.pageId;
+            cb && cb(res);
+        });
+    }
+    /** Add a page to the room. Answers { ok, page }. */
+    createPage(name, cb) {
+        this.socket?.emit?.("page:create", { name }, (res) => cb && cb(res));
+    }
+    renamePage(pageId, name, cb) {
+        this.socket?.emit?.("page:rename", { pageId, name }, (res) => cb && cb(res));
+    }
+    /** Owner only: delete a page and everything drawn on it. */
+    deletePage(pageId, cb) {
+        this.socket?.emit?.("page:delete", { pageId }, (res) => cb && cb(res));
+    }
+
+    /** Absolute URL of a per-room HTTP route, e.g. roomUrl("/export.svg"). Valid once `ready` resolves. */
+    roomUrl(path) {
+        return `${this.serverUrl}/rooms/${encodeURIComponent(this.roomId)}${path}`;
+    }
+    /** Like roomUrl, for a route that works on the current page. */
+    pageUrl(path) {
+        if (!this.pageId) return this.roomUrl(path);
+        return this.roomUrl(`${path}${path.includes("?") ? "&" : "?"}page=${encodeURIComponent(this.pageId)}`);
+    }
+    /** Fetch the room's operation log as a board document. */
+    async fetchBoard() {
+        await this.ready;
+        const res = await fetch(this.pageUrl("/operations"));
+        if (!res.ok) throw new Error(`Export failed (${res.status})`);
+        return res.json();
+    }
+    /** Upload a board document; mode is "append" or "replace". */
+    async importBoard(doc, mode = "append") {
+        await this.ready;
+        const headers = { "Content-Type": "application/json" };
+        if (this.sessionId) headers["X-Codraw-Session"] = this.sessionId;
+        const res = await fetch(this.pageUrl(`/import?mode=${encodeURIComponent(mode)}`), {
+            method: "POST",
+            headers,
+            body: JSON.stringify(doc),
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok || !body.ok) throw new Error(body.error || `Import failed (${res.status})`);
+        return body;
+    }
+    /** Upload an image file (PNG, JPEG or SVG). Resolves to { assetId, type }. */
+    async uploadAsset(file) {
+        await this.ready;
+        const headers = { "Content-Type": file.type };
+        if (this.sessionId) headers["X-Codraw-Session"] = this.sessionId;
+        const res = await fetch(this.roomUrl("/assets"), { method: "POST", headers, body: file });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok || !body.ok) throw new Error(body.error || `Upload failed (${res.status})`);
+        return { assetId: body.assetId, type: body.type };
+    }
+    /** Absolute URL an uploaded asset is served from. */
+    assetUrl(assetId) {
+        return `${this.serverUrl}/assets/${encodeURIComponent(assetId)}`;
+    }
+}
+
+/** Create a new room (owned by our session, if we have one). Resolves to { roomId, name }. */
+export async function createRoom({ name = "" } = {}) {
+    const serverUrl = await getServerUrl();
+    const headers = { "Content-Type": "application/json" };
+    const sessionId = readStored(storageKey(SESSION_KEY, serverUrl));
+    if (sessionId) headers["X-Codraw-Session"] = sessionId;
+    const res = await fetch(`${serverUrl}/rooms`, { method: "POST", headers, body: JSON.stringify({ name }) });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.ok) throw new Error(body.error || `Could not create a room (${res.status})`);
+    return { roomId: body.roomId, name: body.name };
+}
+
+/** Public summary of a room, or null if it no longer exists. */
+export async function fetchRoomInfo(roomId) {
+    const serverUrl = await getServerUrl();
+    const res = await fetch(`${serverUrl}/rooms/${encodeURIComponent(roomId)}`);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Room lookup failed (${res.status})`);
+    return res.json();
+}
+
+// The page's own server keeps the plain key, so sessions from before servers were configurable carry over.
+function storageKey(key, serverUrl) {
+    return serverUrl === window.location.origin ? key : `${key}@${serverUrl}`;
+}
+
+function readStored(key) {
+    try { return window.localStorage.getItem(key) || undefined; } catch { return undefined; }
+}
+
+function writeStored(key, value) {
+    try { window.localStorage.setItem(key, value); } catch { /* storage unavailable */ }
+}
+
+function removeStored(key) {
+    try { window.localStorage.removeItem(key); } catch { /* storage unavailable */ }
 }
 
 function createNoopSocket() {
     const noop = () => { };
     return {
+        connected: false,
+        active: false,
         emit: noop,
         on: noop,
+        connect: noop,
         timeout: () => ({ emit: noop }),
     };
 }
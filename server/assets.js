@@ -0,0 +1,99 @@
+// Uploaded images that image operations refer to.
+// Assets are content-addressed: the id is derived from the bytes, so the same
+// screenshot pasted twice (or into another room) is stored once, and a board
+// document keeps working after an import into a different room on this server.
+//
+// Asset store interface (synchronous, like the room storages):
+//   put(data, type) -> assetId
+//   get(assetId)    -> { data: Buffer, type } | null
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Accepted image types and the file extension each is stored under.
+export const ASSET_TYPES = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/svg+xml": "svg",
+};
+
+const ASSET_ID = /^[0-9a-f]{32}$/;
+
+export function isAssetId(value) {
+    return typeof value === "string" && ASSET_ID.test(value);
+}
+
+/**
+ * Image type of an upload judged by its bytes rather than the declared
+ * Content-Type, or null for anything that is not a PNG, JPEG or SVG.
+ * @param {Buffer} data
+ */
+export function detectImageType(data) {
+    if (!Buffer.isBuffer(data) || data.length < 4) return null;
+    if (data.readUInt32BE(0) === 0x89504e47) return "image/png";
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return "image/jpeg";
+    // SVG: markup (after an optional BOM, XML declaration, doctype or comments) whose root is <svg>
+    const head = data.subarray(0, 4096).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+    if (head.startsWith("<") && /<svg[\s>]/i.test(head)) return "image/svg+xml";
+    return null;
+}
+
+function assetIdOf(data) {
+    return crypto.createHash("sha256").update(data).digest("hex").slice(0, 32);
+}
+
+/**
+ * Volatile asset store used when persistence is disabled.
+ */
+export class MemoryAssetStore {
+    constructor() {
+        this.assets = new Map(); // assetId -> { data, type }
+    }
+
+    put(data, type) {
+        const assetId = assetIdOf(data);
+        if (!this.assets.has(assetId)) this.assets.set(assetId, { data: Buffer.from(data), type });
+        return assetId;
+    }
+
+    get(assetId) {
+        if (!isAssetId(assetId)) return null;
+        return this.assets.get(assetId) || null;
+    }
+}
+
+/**
+ * File-backed asset store: one `<assetId>.<ext>` file per asset under `dir`.
+ */
+export class FileAssetStore {
+    /**
+     * @param {Object} opts
+     * @param {string} opts.dir directory holding the asset files
+     */
+    constructor({ dir }) {
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    put(data, type) {
+        const ext = ASSET_TYPES[type];
+        if (!ext) throw new Error("Unsupported asset type");
+        const assetId = assetIdOf(data);
+        const file = path.join(this.dir, `${assetId}.${ext}`);
+        if (!fs.existsSync(file)) {
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(tmp, data);
+            fs.renameSync(tmp, file);
+        }
+        return assetId;
+    }
+
+    get(assetId) {
+        if (!isAssetId(assetId)) return null;
+        for (const [type, ext] of Object.entries(ASSET_TYPES)) {
+            const file = path.join(this.dir, `${assetId}.${ext}`);
+            if (fs.existsSync(file)) return { data: fs.readFileSync(file), type };
+        }
+        return null;
+    }
+}
@@ -0,0 +1,76 @@
+
+// Authentication for socket connections.
+// A verifier is any function (token) => identity | null (sync or async), where
+// identity is { sub, name, avatar?, color? }. The default verifier checks
+// HMAC-signed tokens against a local secret:
+//
+//   token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(secret, first part))
+//   payload = { sub, name, avatar?, color?, exp? }   (exp in seconds since epoch)
+//
+// Connections without a token fall back to anonymous guests unless auth is required.
+import crypto from "crypto";
+
+/**
+ * Sign an identity payload into a token (used by scripts/issue-token.js).
+ */
+export function signToken(payload, secret) {
+    const body = base64url(JSON.stringify(payload));
+    return `${body}.${hmac(body, secret)}`;
+}
+
+/**
+ * Build a verifier for tokens produced by signToken with the same secret.
+ */
+export function createHmacVerifier({ secret }) {
+    if (!secret) throw new Error("A secret is required for token verification");
+    return (token) => {
+        if (typeof token !== "string") return null;
+        const [body, sig] = token.split(".");
+        if (!body || !sig) return null;
+        const expected = Buffer.from(hmac(body, secret));
+        const actual = Buffer.from(sig);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+        } catch {
+            return null;
+        }
+        if (!payload || typeof payload.sub !== "string" || !payload.sub) return null;
+        if (typeof payload.exp === "number" && payload.exp * 1000 < Date.now()) return null;
+        return payload;
+    };
+}
+
+/**
+ * socket.io middleware that resolves handshake.auth.token into socket.data.identity.
+ * @param {Object} opts
+ * @param {((token:string)=>any)|null} opts.verifier pluggable verifier; null disables tokens
+ * @param {boolean} [opts.required] reject connections without a valid token
+ */
+export function createAuthMiddleware({ verifier, required = false }) {
+    return async (socket, next) => {
+        const token = socket.handshake.auth?.token;
+        if (!token) {
+            if (required) return next(new Error("Authentication required"));
+            return next();
+        }
+        if (!verifier) return next(new Error("Token authentication is not configured"));
+        try {
+            const identity = await verifier(token);
+            if (!identity) return next(new Error("Invalid or expired token"));
+            socket.data.identity = identity;
+            next();
+        } catch (err) {
+            next(new Error(err?.message || "Authentication failed"));
+        }
+    };
+}
+
+function hmac(data, secret) {
+    return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function base64url(str) {
+    return Buffer.from(str, "utf8").toString("base64url");
+}
@@ -0,0 +1,87 @@
+
+// Versioned JSON document format for backing up, moving and seeding boards.
+//
+//   {
+//     "format": "codraw-board",
+//     "formatVersion": 1,
+//     "roomId": "lobby",
+//     "exportedAt": "2025-01-01T00:00:00.000Z",
+//     "version": 42,            // DrawingState.version at export time
+//     "operations": [ ... ]     // the room's operation log, in order
+//   }
+//
+// Image operations refer to uploaded assets by id. Asset ids are content hashes
+// shared by every room (see assets.js), so they are kept as-is on import; the
+// image bytes themselves are not part of the document.
+
+import { erasePieceId, sanitizeOperation } from "./drawing-state.js";
+
+export const BOARD_FORMAT = "codraw-board";
+export const BOARD_FORMAT_VERSION = 1;
+
+/**
+ * Build an export document from a room's snapshot.
+ */
+export function toBoardDocument(roomId, snapshot) {
+    return {
+        format: BOARD_FORMAT,
+        formatVersion: BOARD_FORMAT_VERSION,
+        roomId,
+        exportedAt: new Date().toISOString(),
+        version: snapshot.version,
+        operations: snapshot.operations,
+    };
+}
+
+/**
+ * Turn an uploaded document into operations ready for DrawingState.importOperations.
+ * Every op gets a fresh server id (references such as shape:update targetIds are
+ * remapped to match, including ids of the stroke pieces left by erase ops,
+ * the shapes connectors are bound to and the targets and ops of reverts), is
+ * attributed to the importing user and stamped now. Ops are validated and
+ * trimmed to their type's fields by sanitizeOperation, as committed ops are.
+ * @param {any} doc parsed JSON body
+ * @param {{ createId: ()=>string, userId?: string|null }} opts
+ */
+export function prepareImport(doc, { createId, userId = null }) {
+    if (!doc || typeof doc !== "object") throw new Error("Expected a board document");
+    if (doc.format !== BOARD_FORMAT) throw new Error("Unknown document format");
+    if (doc.formatVersion !== BOARD_FORMAT_VERSION) {
+        throw new Error(`Unsupported format version ${doc.formatVersion}`);
+    }
+    if (!Array.isArray(doc.operations)) throw new Error("Document has no operations");
+
+    const idMap = new Map();
+    for (const op of doc.operations) {
+        if (!op || typeof op.id !== "string") continue;
+        const id = createId();
+        idMap.set(op.id, id);
+        if (op.type === "erase" && Array.isArray(op.cuts)) {
+            op.cuts.forEach((cut, c) => {
+                const pieces = Array.isArray(cut?.pieces) ? cut.pieces.length : 0;
+                for (let k = 0; k < pieces; k++) idMap.set(erasePieceId(op.id, c, k), erasePieceId(id, c, k));
+            });
+        }
+    }
+    const timestamp = Date.now();
+    return doc.operations.map((op, i) => {
+        let next;
+        try {
+            next = sanitizeOperation(op);
+        } catch (err) {
+            throw new Error(`Operation ${i}: ${err.message}`);
+        }
+        next.id = idMap.get(op.id) || createId();
+        next.userId = userId;
+        next.timestamp = timestamp;
+        if (typeof next.targetId === "string") next.targetId = idMap.get(next.targetId) || next.targetId;
+        if (typeof next.toId === "string") next.toId = idMap.get(next.toId) || next.toId;
+        if (Array.isArray(next.targetIds)) next.targetIds = next.targetIds.map((id) => idMap.get(id) || id);
+        if (Array.isArray(next.opIds)) next.opIds = next.opIds.map((id) => idMap.get(id) || id);
+        for (const end of [next.from, next.to]) {
+            if (end && end.shapeId !== undefined) end.shapeId = idMap.get(end.shapeId) || end.shapeId;
+        }
+        if (next.cuts) for (const cut of next.cuts) cut.targetId = idMap.get(cut.targetId) || cut.targetId;
+        return next;
+    });
+}
@@ -0,0 +1,39 @@
+// socket.io adapter that shares room broadcasts between server nodes over the
+// bus (see bus.js). Every node still only knows its own sockets: a broadcast is
+// delivered to the local ones and published, and each other node delivers it
+// to its sockets in the same rooms. Socket ids are unique across nodes, so the
+// `except` list (e.g. the sender of socket.to(room)) applies everywhere.
+// Broadcasts flagged local (io.local) stay on this node. What this adapter does
+// not forward: broadcasts expecting acks, fetchSockets and serverSideEmit.
+import { Adapter } from "socket.io-adapter";
+
+/**
+ * Adapter class for `new Server(httpServer, { adapter })`.
+ * @param {import("./bus.js").BusConnection} bus
+ */
+export function createBusAdapter(bus) {
+    return class BusAdapter extends Adapter {
+        constructor(nsp) {
+            super(nsp);
+            this.channel = `socket.io:${nsp.name}`;
+            bus.subscribe(this.channel, ({ packet, rooms, except, flags }) => {
+                super.broadcast(packet, { rooms: new Set(rooms), except: new Set(except), flags });
+            });
+        }
+
+        broadcast(packet, opts) {
+            super.broadcast(packet, opts);
+            if (opts.flags?.local) return;
+            bus.publish(this.channel, {
+                packet,
+                rooms: Array.from(opts.rooms || []),
+                except: Array.from(opts.except || []),
+                flags: opts.flags,
+            });
+        }
+
+        close() {
+            bus.unsubscribe(this.channel);
+        }
+    };
+}
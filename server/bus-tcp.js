@@ -0,0 +1,148 @@
+// A LocalBus (see bus.js) served over TCP, so that several server processes on
+// one machine can share rooms without an external broker:
+//   node server/bus-tcp.js                                   hub on BUS_PORT (default 4100)
+//   BUS_URL=tcp://127.0.0.1:4100 PORT=3001 node server/server.js
+//   BUS_URL=tcp://127.0.0.1:4100 PORT=3002 node server/server.js
+// Frames are newline-delimited JSON. A node first sends { type: "hello", nodeId }
+// and is answered with { type: "welcome" } (or "refused"); after that it sends
+// { type: "call", id, op, args } and gets { type: "result", id, result|error },
+// interleaved with the bus frames addressed to it. A node whose connection
+// drops is detached from the hub, which releases its leases.
+import net from "net";
+import { fileURLToPath } from "url";
+import { nanoid } from "nanoid";
+import { BusConnection, HUB_OPERATIONS, LocalBus } from "./bus.js";
+
+const MAX_FRAME_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Listen for bus connections. Returns the net.Server.
+ * @param {Object} opts
+ * @param {number} opts.port
+ * @param {string} [opts.host]
+ * @param {LocalBus} [opts.bus]
+ */
+export function serveBus({ port, host = "127.0.0.1", bus = new LocalBus() }) {
+    const server = net.createServer((socket) => {
+        let nodeId = null;
+        const send = (frame) => socket.write(JSON.stringify(frame) + "\n");
+        readFrames(socket, (frame) => {
+            if (nodeId === null) {
+                if (frame.type !== "hello") return;
+                try {
+                    bus.attach(frame.nodeId, send);
+                    nodeId = frame.nodeId;
+                    send({ type: "welcome" });
+                } catch (err) {
+                    send({ type: "refused", error: err.message });
+                    socket.end();
+                }
+                return;
+            }
+            if (frame.type !== "call") return;
+            if (!HUB_OPERATIONS.has(frame.op) || !Array.isArray(frame.args)) {
+                send({ type: "result", id: frame.id, error: "Unknown operation" });
+                return;
+            }
+            try {
+                send({ type: "result", id: frame.id, result: bus[frame.op](nodeId, ...frame.args) });
+            } catch (err) {
+                send({ type: "result", id: frame.id, error: err?.message || "Operation failed" });
+            }
+        });
+        socket.on("close", () => {
+            if (nodeId !== null) bus.detach(nodeId);
+        });
+        socket.on("error", () => {}); // followed by close
+    });
+    server.listen(port, host);
+    return server;
+}
+
+/**
+ * Connect to a hub served by serveBus. Resolves once the hub has accepted the node.
+ * @param {string} url tcp://host:port
+ * @param {string} [nodeId]
+ * @returns {Promise<BusConnection>}
+ */
+export function connectBus(url, nodeId = nanoid(8)) {
+    const { hostname, port, protocol } = new URL(url);
+    if (protocol !== "tcp:") throw new Error(`Unsupported bus URL ${url}`);
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: hostname, port: Number(port) });
+        const calls = new Map(); // id -> { resolve, reject }
+        let nextCallId = 1;
+        let closed = false;
+        const send = (frame) => socket.write(JSON.stringify(frame) + "\n");
+        const connection = new BusConnection(nodeId, {
+            call: (op, ...args) => new Promise((resolveCall, rejectCall) => {
+                if (closed) {
+                    rejectCall(new Error("Bus connection closed"));
+                    return;
+                }
+                const id = nextCallId++;
+                calls.set(id, { resolve: resolveCall, reject: rejectCall });
+                send({ type: "call", id, op, args });
+            }),
+            close: () => socket.end(),
+        });
+        readFrames(socket, (frame) => {
+            if (frame.type === "welcome") {
+                resolve(connection);
+            } else if (frame.type === "refused") {
+                reject(new Error(frame.error));
+            } else if (frame.type === "result") {
+                const call = calls.get(frame.id);
+                if (!call) return;
+                calls.delete(frame.id);
+                if (frame.error !== undefined) call.reject(new Error(frame.error));
+                else call.resolve(frame.result);
+            } else {
+                connection.receive(frame);
+            }
+        });
+        socket.on("connect", () => send({ type: "hello", nodeId }));
+        socket.on("error", (err) => reject(err));
+        socket.on("close", () => {
+            closed = true;
+            for (const call of calls.values()) call.reject(new Error("Bus connection closed"));
+            calls.clear();
+            connection.onClose?.();
+        });
+    });
+}
+
+// Split a stream into JSON frames, one per line. Unparseable lines are dropped.
+function readFrames(socket, onFrame) {
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+        buffer += chunk;
+        if (buffer.length > MAX_FRAME_BYTES) {
+            socket.destroy(new Error("Bus frame too large"));
+            return;
+        }
+        let newline;
+        while ((newline = buffer.indexOf("\n")) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            let frame;
+            try {
+                frame = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (frame && typeof frame === "object") onFrame(frame);
+        }
+    });
+}
+
+// Run as a standalone hub
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.BUS_PORT) || 4100;
+    const host = process.env.BUS_HOST || "127.0.0.1";
+    serveBus({ port, host }).on("listening", () => {
+        // eslint-disable-next-line no-console
+        console.log(`Bus hub listening on tcp://${host}:${port}`);
+    });
+}
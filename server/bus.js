@@ -0,0 +1,218 @@
+// Message bus shared by the server nodes of one deployment.
+// Several Node processes can serve the same rooms: each node keeps a replica of
+// the rooms its users are in, while the node holding a room's lease applies all
+// changes to it and publishes them to the others (see rooms.js). socket.io room
+// broadcasts travel over the same bus (see bus-adapter.js).
+//
+// Bus connection interface (what RoomManager and the adapter use):
+//   nodeId                      unique name of this node
+//   publish(channel, message)   deliver to every other node subscribed to channel
+//   subscribe(channel, handler) handler(message, fromNodeId)
+//   unsubscribe(channel)
+//   request(nodeId, message)    -> Promise of that node's answer (see onRequest)
+//   claim(key, ttlMs)           -> Promise of the node now holding the lease on key:
+//                                  this one if it was free, expired or already ours
+//   release(key)                -> Promise
+//   close()
+// plus callbacks set by the user of the connection:
+//   onRequest(message, fromNodeId) -> answer (or a Promise of one)
+//   onNodeDown(nodeId)             another node disconnected; its leases are gone
+//   onClose()                      this connection was lost
+// Everything one node sends reaches each other node in the order it was sent.
+//
+// LocalBus is the hub itself, kept in memory. A single process (the default)
+// connects to its own LocalBus; bus-tcp.js serves one to several processes.
+import { nanoid } from "nanoid";
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/**
+ * In-memory bus hub. The methods taking a nodeId first are the operations a
+ * connection performs on the hub, on behalf of that node.
+ */
+export class LocalBus {
+    constructor() {
+        this.nodes = new Map(); // nodeId -> { channels: Set<string>, deliver(frame) }
+        this.leases = new Map(); // key -> { nodeId, expires }
+    }
+
+    /**
+     * Open an in-process connection for a node.
+     * @param {string} [nodeId]
+     */
+    connect(nodeId = nanoid(8)) {
+        const connection = new BusConnection(nodeId, {
+            call: async (op, ...args) => this[op](nodeId, ...args),
+            close: () => this.detach(nodeId),
+        });
+        // Delivered asynchronously, like over a network, but in order
+        this.attach(nodeId, (frame) => queueMicrotask(() => connection.receive(frame)));
+        return connection;
+    }
+
+    /**
+     * Register a node and how frames reach it.
+     */
+    attach(nodeId, deliver) {
+        if (typeof nodeId !== "string" || !nodeId) throw new Error("Missing nodeId");
+        if (this.nodes.has(nodeId)) throw new Error(`Node ${nodeId} is already connected`);
+        this.nodes.set(nodeId, { channels: new Set(), deliver });
+    }
+
+    /**
+     * Forget a node, drop its leases and tell the others.
+     */
+    detach(nodeId) {
+        if (!this.nodes.delete(nodeId)) return;
+        for (const [key, lease] of this.leases) {
+            if (lease.nodeId === nodeId) this.leases.delete(key);
+        }
+        for (const node of this.nodes.values()) node.deliver({ type: "nodeDown", nodeId });
+    }
+
+    subscribe(nodeId, channel) {
+        this.nodes.get(nodeId)?.channels.add(channel);
+    }
+
+    unsubscribe(nodeId, channel) {
+        this.nodes.get(nodeId)?.channels.delete(channel);
+    }
+
+    publish(nodeId, channel, message) {
+        for (const [id, node] of this.nodes) {
+            if (id !== nodeId && node.channels.has(channel)) node.deliver({ type: "message", channel, message, from: nodeId });
+        }
+    }
+
+    /**
+     * Hand a request or reply frame to one node. Returns false when it is not connected.
+     */
+    route(nodeId, to, frame) {
+        const node = this.nodes.get(to);
+        if (!node) return false;
+        node.deliver({ ...frame, from: nodeId });
+        return true;
+    }
+
+    claim(nodeId, key, ttlMs) {
+        const now = Date.now();
+        const lease = this.leases.get(key);
+        if (!lease || lease.nodeId === nodeId || lease.expires <= now) {
+            this.leases.set(key, { nodeId, expires: now + ttlMs });
+            return nodeId;
+        }
+        return lease.nodeId;
+    }
+
+    release(nodeId, key) {
+        if (this.leases.get(key)?.nodeId === nodeId) this.leases.delete(key);
+    }
+}
+
+// Hub operations a connection may call (bus-tcp.js accepts only these).
+export const HUB_OPERATIONS = new Set(["subscribe", "unsubscribe", "publish", "route", "claim", "release"]);
+
+/**
+ * One node's connection to a bus hub, over a transport:
+ *   call(op, ...args) -> Promise of the hub operation's result
+ *   close()
+ * The transport passes frames from the hub to receive().
+ */
+export class BusConnection {
+    constructor(nodeId, transport) {
+        this.nodeId = nodeId;
+        this.transport = transport;
+        this.handlers = new Map(); // channel -> handler
+        this.pending = new Map(); // requestId -> { resolve, reject, timer }
+        this.nextRequestId = 1;
+        this.onRequest = null;
+        this.onNodeDown = null;
+        this.onClose = null;
+    }
+
+    publish(channel, message) {
+        this.transport.call("publish", channel, message).catch(logFailure);
+    }
+
+    subscribe(channel, handler) {
+        this.handlers.set(channel, handler);
+        this.transport.call("subscribe", channel).catch(logFailure);
+    }
+
+    unsubscribe(channel) {
+        this.handlers.delete(channel);
+        this.transport.call("unsubscribe", channel).catch(logFailure);
+    }
+
+    /**
+     * Ask another node something. Rejects with code ENOTCONNECTED when the node
+     * is not on the bus (the request certainly did not run), or with the error
+     * the node answered with (its message and code).
+     */
+    request(nodeId, message, timeoutMs = REQUEST_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => this.settle(id, { error: `Node ${nodeId} did not answer`, code: "ETIMEDOUT" }), timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            this.transport.call("route", nodeId, { type: "request", id, message }).then(
+                (delivered) => {
+                    if (!delivered) this.settle(id, { error: `Node ${nodeId} is not connected`, code: "ENOTCONNECTED" });
+                },
+                (err) => this.settle(id, { error: err?.message || "Bus unavailable", code: "ENOTCONNECTED" }),
+            );
+        });
+    }
+
+    claim(key, ttlMs) {
+        return this.transport.call("claim", key, ttlMs);
+    }
+
+    release(key) {
+        return this.transport.call("release", key);
+    }
+
+    close() {
+        for (const id of Array.from(this.pending.keys())) this.settle(id, { error: "Bus connection closed", code: "ENOTCONNECTED" });
+        this.transport.close();
+    }
+
+    /**
+     * Handle a frame from the hub.
+     */
+    receive(frame) {
+        if (frame.type === "message") this.handlers.get(frame.channel)?.(frame.message, frame.from);
+        else if (frame.type === "request") this.answer(frame);
+        else if (frame.type === "reply") this.settle(frame.id, frame);
+        else if (frame.type === "nodeDown") this.onNodeDown?.(frame.nodeId);
+    }
+
+    async answer({ id, message, from }) {
+        let reply;
+        try {
+            if (!this.onRequest) throw new Error("Node does not take requests");
+            reply = { type: "reply", id, result: await this.onRequest(message, from) };
+        } catch (err) {
+            reply = { type: "reply", id, error: err?.message || "Request failed", code: err?.code };
+        }
+        this.transport.call("route", from, reply).catch(logFailure);
+    }
+
+    settle(id, { result, error, code }) {
+        const pending = this.pending.get(id);
+        if (!pending) return;
+        this.pending.delete(id);
+        clearTimeout(pending.timer);
+        if (error === undefined) {
+            pending.resolve(result);
+        } else {
+            const err = new Error(error);
+            if (code) err.code = code;
+            pending.reject(err);
+        }
+    }
+}
+
+function logFailure(err) {
+    // eslint-disable-next-line no-console
+    console.error('[bus] operation failed', err?.message);
+}
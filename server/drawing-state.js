@@ -1,45 +1,302 @@
 // In-memory drawing history for a single room.
-// Keeps a linear log of operations and a redo stack.
-// This deliberately avoids persistence to keep the demo simple.
+// Keeps a linear log of operations and one redo stack per author, so undo and
+// redo only ever touch the caller's own operations.
+// Every mutation is reported to an optional journal so a storage backend can
+// append it to a durable log and replay it later (see storage.js), and is kept
+// in a bounded list of recent changes so reconnecting clients can catch up.
+// A revert op puts the board back to how it was after an earlier op (see
+// resolveReverts); being an op itself, it can be undone like any other. It
+// lists the ops it brings back, so it keeps its meaning when its target op is
+// later undone.
+// Checkpoints are named copies of the operation list, kept with the history
+// (and so in the same snapshots and journal) so a room can return to one later.
+import { LIMITS, isColor, isCoordinate, isDimension, isExtent, isId, isPoint, isRotation } from "./validation.js";
+import { isAssetId } from "./assets.js";
+
+// How many recent changes to retain for catch-up before falling back to snapshots.
+const MAX_CHANGES = 1000;
+// Checkpoints each hold a full copy of the operation list, so a room keeps only so many.
+const MAX_CHECKPOINTS = 50;
+
+const SHAPE_TYPES = new Set(["circle", "square", "triangle", "ellipse", "rect", "star", "polygon", "line", "arrow"]);
+// Lines and arrows join two corners of their box, so one side may be zero
+const LINE_SHAPES = new Set(["line", "arrow"]);
+const ARROW_HEADS = new Set(["none", "triangle", "open", "circle", "bar"]);
+const DASH_STYLES = new Set(["solid", "dashed", "dotted"]);
+const CONNECTOR_ANCHORS = new Set(["n", "e", "s", "w"]);
+const SHAPE_OPTIONS = ["flipX", "flipY", "startArrow", "endArrow", "radius", "points", "innerRatio", "sides", "filled", "fillColor", "strokeWidth", "opacity", "dash"];
+// The fields each op type keeps (besides type); see sanitizeOperation.
+const OPERATION_FIELDS = {
+    stroke: ["points", "size", "color", "composite"],
+    shape: ["shape", "x", "y", "size", "width", "height", "color", ...SHAPE_OPTIONS],
+    "shape:update": ["targetId", "x", "y", "width", "height", "color", ...SHAPE_OPTIONS],
+    connector: ["from", "to", "color", ...SHAPE_OPTIONS],
+    image: ["assetId", "x", "y", "width", "height", "rotation"],
+    "image:update": ["targetId", "x", "y", "width", "height", "rotation"],
+    delete: ["targetIds"],
+    revert: ["toId", "opIds"],
+    erase: ["cuts"],
+    order: ["targetIds", "position"],
+    text: ["text", "x", "y", "fontSize", "color"],
+    "text:update": ["targetId", "text", "x", "y", "fontSize", "color"],
+};
+
+/**
+ * Id of the k-th piece an erase op leaves of its i-th cut stroke. Pieces are
+ * derived from the op rather than stored, so every replica names them alike.
+ */
+export function erasePieceId(opId, cutIndex, pieceIndex) {
+    return `${opId}.${cutIndex}.${pieceIndex}`;
+}
+
+/**
+ * The operations a log amounts to once its revert ops are applied: each revert
+ * { toId, opIds } replaces everything before it with the ops it lists (those
+ * in effect right after op toId when it was made, none for toId null) that are
+ * still in the log. Reverts from before opIds was recorded resolve against op
+ * toId itself and have no effect once it has left the history. Logs without
+ * reverts are returned as they are.
+ */
+export function resolveReverts(operations) {
+    const reverts = operations.filter((op) => op.type === "revert");
+    if (reverts.length === 0) return operations;
+    const targets = new Set(reverts.filter((op) => !Array.isArray(op.opIds)).map((op) => op.toId));
+    let effective = [];
+    const seen = []; // every non-revert op so far
+    const at = new Map(); // target op id -> effective ops right after it
+    for (const op of operations) {
+        if (op.type !== "revert") {
+            effective.push(op);
+            seen.push(op);
+        } else if (Array.isArray(op.opIds)) {
+            const kept = new Set(op.opIds);
+            effective = seen.filter((o) => kept.has(o.id));
+        } else if (op.toId === null) {
+            effective = [];
+        } else if (at.has(op.toId)) {
+            effective = at.get(op.toId).slice();
+        }
+        if (targets.has(op.id)) at.set(op.id, effective.slice());
+    }
+    return effective;
+}
+
+export function sanitizeOperation(op) {
+    validateOperation(op);
+    const out = { type: op.type };
+    for (const key of OPERATION_FIELDS[op.type]) {
+        if (op[key] !== undefined) out[key] = op[key];
+    }
+    if (op.type === "stroke") out.points = op.points.map(copyPoint);
+    if (op.type === "connector") {
+        out.from = copyConnectorEnd(op.from);
+        out.to = copyConnectorEnd(op.to);
+    }
+    if (op.type === "delete" || op.type === "order") out.targetIds = op.targetIds.slice();
+    if (op.type === "revert" && op.opIds !== undefined) out.opIds = op.opIds.slice();
+    if (op.type === "erase") {
+        out.cuts = op.cuts.map((cut) => ({ targetId: cut.targetId, pieces: cut.pieces.map((piece) => piece.map(copyPoint)) }));
+    }
+    return out;
+}
+
+// Reverts in appended ops restore points of the document they came from, so
+// their op lists get the ops in effect on the page beforehand added to them;
+// otherwise they would hide those. A revert without opIds gets them worked
+// out within the document first, the way resolveReverts reads it. The
+// journal keeps the ops as given, and replaying rebases them again.
+function rebaseReverts(ops, existing) {
+    if (!ops.some((op) => op.type === "revert")) return ops;
+    const before = opIdsAfter(existing, existing.length - 1);
+    return ops.map((op, i) => {
+        if (op.type !== "revert") return op;
+        let own = op.opIds;
+        if (!Array.isArray(own)) {
+            const target = op.toId === null ? -1 : ops.findIndex((o, j) => j < i && o.id === op.toId);
+            // A target outside the document leaves the revert without effect
+            own = opIdsAfter(ops, op.toId !== null && target === -1 ? i - 1 : target);
+        }
+        const opIds = before.concat(own);
+        if (opIds.length > LIMITS.revertOps) throw new Error(`Operation ${i}: The board has too many elements to restore`);
+        return { ...op, opIds };
+    });
+}
+
+// Ids of the ops in effect right after ops[index] (none for -1), as a revert
+// records them. Within LIMITS.revertOps, the limit validateOperation applies
+// when the op is replayed, or the revert is refused.
+function opIdsAfter(ops, index) {
+    const ids = resolveReverts(ops.slice(0, index + 1)).map((o) => o.id).filter(isId);
+    if (ids.length > LIMITS.revertOps) throw new Error("The board has too many elements to restore");
+    return ids;
+}
+
+function copyPoint(p) {
+    return p.p === undefined ? { x: p.x, y: p.y } : { x: p.x, y: p.y, p: p.p };
+}
+
+function copyConnectorEnd(end) {
+    return end.shapeId !== undefined ? { shapeId: end.shapeId, anchor: end.anchor } : { x: end.x, y: end.y };
+}
+
 export class DrawingState {
     constructor() {
         this.operations = [];
-        this.redoStack = [];
+        this.redoStacks = new Map(); // userId -> [{ op, afterId }]
         this.version = 0;
+        this.journal = null; // (entry) => void, set by RoomManager
+        this.changes = []; // [{ version, kind, ... }] mirroring broadcast deltas
+        this.checkpoints = []; // [{ id, name, userId, createdAt, version, operations }], oldest first
+    }
+
+    /**
+     * Rebuild a state from a stored snapshot plus the log entries written after it.
+     * Entries already covered by the snapshot (version <= snapshot.version) are skipped.
+     */
+    static restore({ snapshot, entries } = {}) {
+        const state = new DrawingState();
+        if (snapshot) {
+            state.operations = Array.isArray(snapshot.operations) ? snapshot.operations : [];
+            state.redoStacks = new Map(Object.entries(snapshot.redoStacks || {}));
+            state.version = Number(snapshot.version) || 0;
+            state.checkpoints = Array.isArray(snapshot.checkpoints) ? snapshot.checkpoints : [];
+        }
+        for (const entry of entries || []) {
+            if (entry.version <= state.version) continue;
+            try {
+                state.applyLogEntry(entry);
+            } catch (err) {
+                // e.g. an op written before validation got stricter; keep the rest of the history
+                // eslint-disable-next-line no-console
+                console.warn('[server] skipping unreplayable log entry', { kind: entry.kind, version: entry.version, error: err?.message });
+            }
+            if (Number.isFinite(entry.version)) state.version = entry.version;
+        }
+        return state;
+    }
+
+    /**
+     * Serializable form used for compaction.
+     */
+    toJSON() {
+        return {
+            version: this.version,
+            operations: this.operations,
+            redoStacks: Object.fromEntries(this.redoStacks),
+            checkpoints: this.checkpoints,
+        };
+    }
+
+    /**
+     * Replay a single journal entry. The journal is detached while replaying.
+     */
+    applyLogEntry(entry) {
+        const journal = this.journal;
+        this.journal = null;
+        try {
+            if (entry.kind === "add") this.addOperation(entry.op);
+            else if (entry.kind === "undo") this.undo(entry.userId);
+            else if (entry.kind === "redo") this.redo(entry.userId);
+            else if (entry.kind === "removeByUser") this.removeByUser(entry.userId);
+            else if (entry.kind === "clearAll") this.clearAll();
+            else if (entry.kind === "import") this.importOperations(entry.ops, { replace: entry.replace });
+            else if (entry.kind === "checkpoint") this.createCheckpoint(entry.checkpoint);
+            else if (entry.kind === "restoreCheckpoint") this.restoreCheckpoint(entry.id);
+        } finally {
+            this.journal = journal;
+        }
+    }
+
+    /**
+     * Report a completed mutation (stamped with the resulting version) to the
+     * journal, and remember the client-facing change for catch-up.
+     */
+    record(entry, change) {
+        this.journal?.({ ...entry, version: this.version });
+        this.changes.push({ ...change, version: this.version });
+        if (this.changes.length > MAX_CHANGES) this.changes.splice(0, this.changes.length - MAX_CHANGES);
+    }
+
+    /**
+     * Changes a client at `version` has missed, in order.
+     * Returns null when they are no longer retained (or the version is unknown),
+     * or when a bulk "reset" change is among them, in which case the caller
+     * should send a full snapshot instead.
+     */
+    changesSince(version) {
+        if (!Number.isInteger(version) || version < 0 || version > this.version) return null;
+        if (version === this.version) return [];
+        const first = this.changes[0];
+        if (!first || first.version > version + 1) return null;
+        const missed = this.changes.filter((c) => c.version > version);
+        if (missed.some((c) => c.kind === "reset")) return null;
+        return missed;
     }
 
     /**
      * Append a validated operation to the history and bump the version.
-     * Clears the redo stack on any new operation.
+     * Clears the author's redo stack; other users keep theirs.
+     * A revert gets the ids of the ops in effect right after its target as opIds.
      */
     addOperation(op) {
         validateOperation(op);
+        if (op.type === "revert") {
+            const index = op.toId === null ? -1 : this.operations.findIndex((o) => o.id === op.toId);
+            if (op.toId !== null && index === -1) throw new Error("Unknown revert target");
+            op.opIds = opIdsAfter(this.operations, index);
+        }
         this.operations.push(op);
-        this.redoStack.length = 0; // clear redo on new op
+        this.redoStacks.delete(op.userId); // clear author's redo on new op
         this.version += 1;
+        this.record({ kind: "add", op }, { kind: "add", op });
     }
 
     /**
-     * Undo the last operation if any. Returns true on success.
-     * We store the undone op on the redo stack.
+     * Undo the caller's most recent operation. Returns the removed op, or null.
+     * Operations by other users stay in place. The undone op goes on the
+     * caller's redo stack together with the id of the op that preceded it,
+     * so redo can put it back at the same position in the history.
      */
-    undo() {
-        if (this.operations.length === 0) return false;
-        const op = this.operations.pop();
-        this.redoStack.push(op);
+    undo(userId) {
+        const index = this.lastIndexByUser(userId);
+        if (index === -1) return null;
+        const [op] = this.operations.splice(index, 1);
+        const afterId = index > 0 ? this.operations[index - 1].id : null;
+        const stack = this.redoStacks.get(userId) || [];
+        stack.push({ op, afterId });
+        this.redoStacks.set(userId, stack);
         this.version += 1;
-        return true;
+        this.record({ kind: "undo", userId }, { kind: "remove", id: op.id });
+        return op;
     }
 
     /**
-     * Redo the last undone operation if any. Returns true on success.
+     * Redo the caller's last undone operation if any.
+     * Returns { op, index } describing where it was reinserted, or null.
      */
-    redo() {
-        if (this.redoStack.length === 0) return false;
-        const op = this.redoStack.pop();
-        this.operations.push(op);
+    redo(userId) {
+        const stack = this.redoStacks.get(userId);
+        if (!stack || stack.length === 0) return null;
+        const { op, afterId } = stack.pop();
+        if (stack.length === 0) this.redoStacks.delete(userId);
+        // Reinsert right after its original predecessor; append if that op is gone.
+        const afterIndex = afterId === null ? -1 : this.operations.findIndex((o) => o.id === afterId);
+        const index = afterId === null ? 0 : (afterIndex === -1 ? this.operations.length : afterIndex + 1);
+        this.operations.splice(index, 0, op);
         this.version += 1;
-        return true;
+        this.record({ kind: "redo", userId }, { kind: "restore", op, index });
+        return { op, index };
+    }
+
+    /**
+     * Index of the most recent operation authored by userId, or -1.
+     */
+    lastIndexByUser(userId) {
+        if (!userId) return -1;
+        for (let i = this.operations.length - 1; i >= 0; i--) {
+            if (this.operations[i].userId === userId) return i;
+        }
+        return -1;
     }
 
     /**
@@ -66,10 +323,11 @@ export class DrawingState {
         }
         const removed = before - remaining.length;
         this.operations = remaining;
-        // Clear redo stack since history changed
-        this.redoStack.length = 0;
+        // Clear the author's redo stack since their history changed
+        this.redoStacks.delete(userId);
         if (removed > 0) {
             this.version += 1;
+            this.record({ kind: "removeByUser", userId }, { kind: "removeByUser", userId });
             // eslint-disable-next-line no-console
             console.log('[server] removed user operations', { userId, removed, version: this.version });
             return removed;
@@ -84,58 +342,281 @@ export class DrawingState {
     clearAll() {
         const removed = this.operations.length;
         this.operations = [];
-        this.redoStack = [];
+        this.redoStacks.clear();
         if (removed > 0) {
             this.version += 1;
+            this.record({ kind: "clearAll" }, { kind: "clear" });
             // eslint-disable-next-line no-console
             console.log('[server] clearAll', { removed, version: this.version });
         }
         return removed;
     }
+
+    /**
+     * Bulk-load operations (board import). All ops are validated before any is
+     * applied, so a bad document leaves the history untouched.
+     * With replace, the existing history (and every redo stack) is discarded.
+     * Otherwise the ops are appended, and reverts among them are rebased so they
+     * keep what was already on the page (see rebaseReverts).
+     * Ops must already carry their final ids. Returns the number imported.
+     */
+    importOperations(ops, { replace = false } = {}) {
+        if (!Array.isArray(ops)) throw new Error("Operations must be an array");
+        ops.forEach((op, i) => {
+            try {
+                validateOperation(op);
+            } catch (err) {
+                throw new Error(`Operation ${i}: ${err.message}`);
+            }
+        });
+        if (replace) {
+            this.operations = ops.slice();
+            this.redoStacks.clear();
+        } else {
+            this.operations.push(...rebaseReverts(ops, this.operations));
+        }
+        this.version += 1;
+        this.record({ kind: "import", ops, replace }, { kind: "reset" });
+        return ops.length;
+    }
+
+    /**
+     * Save the current operations as a named checkpoint and return its summary.
+     * The id and creation time are passed in, so replaying the journal entry
+     * recreates the same checkpoint. Bumps the version like any other change.
+     */
+    createCheckpoint({ id, name, userId = null, createdAt }) {
+        if (!isId(id)) throw new Error("Invalid checkpoint id");
+        if (this.checkpoints.some((c) => c.id === id)) throw new Error("Duplicate checkpoint id");
+        const label = typeof name === "string" ? name.trim() : "";
+        if (!label || label.length > LIMITS.checkpointName) throw new Error("Invalid checkpoint name");
+        if (!Number.isFinite(createdAt)) throw new Error("Invalid checkpoint time");
+        if (this.checkpoints.length >= MAX_CHECKPOINTS) {
+            throw new Error(`A room keeps at most ${MAX_CHECKPOINTS} checkpoints`);
+        }
+        const checkpoint = { id, name: label, userId, createdAt, version: this.version, operations: this.operations.slice() };
+        this.checkpoints.push(checkpoint);
+        this.version += 1;
+        const summary = summarizeCheckpoint(checkpoint);
+        this.record({ kind: "checkpoint", checkpoint: { id, name: label, userId, createdAt } }, { kind: "checkpoint", checkpoint: summary });
+        return summary;
+    }
+
+    /**
+     * Summaries of the room's checkpoints, oldest first (without their operations).
+     */
+    listCheckpoints() {
+        return this.checkpoints.map(summarizeCheckpoint);
+    }
+
+    /**
+     * How the current board differs from a checkpoint, counted in operations:
+     * added ones are in the history now but not in the checkpoint, removed ones
+     * the other way round. Returns null for an unknown checkpoint.
+     */
+    diffCheckpoint(id) {
+        const checkpoint = this.checkpoints.find((c) => c.id === id);
+        if (!checkpoint) return null;
+        const saved = new Set(checkpoint.operations.map((op) => op.id));
+        const current = new Set(this.operations.map((op) => op.id));
+        let added = 0;
+        for (const opId of current) if (!saved.has(opId)) added += 1;
+        let removed = 0;
+        for (const opId of saved) if (!current.has(opId)) removed += 1;
+        return { id, added, removed, unchanged: saved.size - removed };
+    }
+
+    /**
+     * Replace the history with a checkpoint's operations. Redo stacks are
+     * dropped, as the ops they refer to may no longer be in the history; the
+     * checkpoints themselves are kept. Returns the number of operations restored.
+     */
+    restoreCheckpoint(id) {
+        const checkpoint = this.checkpoints.find((c) => c.id === id);
+        if (!checkpoint) throw new Error("Checkpoint not found");
+        this.operations = checkpoint.operations.slice();
+        this.redoStacks.clear();
+        this.version += 1;
+        this.record({ kind: "restoreCheckpoint", id }, { kind: "reset" });
+        return this.operations.length;
+    }
+}
+
+function summarizeCheckpoint({ id, name, userId, createdAt, version, operations }) {
+    return { id, name, userId, createdAt, version, operations: operations.length };
 }
 
 /**
  * Runtime validation for accepted operations.
- * We keep rules minimal but explicit so bad payloads fail fast.
+ * We keep rules minimal but explicit so bad payloads fail fast: numbers must be
+ * finite and within LIMITS, colors are hex strings, and lists are bounded.
  */
 function validateOperation(op) {
-    if (!op) throw new Error("Empty operation");
+    if (!op || typeof op !== "object") throw new Error("Empty operation");
     if (op.type === "stroke") {
         if (!Array.isArray(op.points) || op.points.length < 2) {
             throw new Error("Stroke must contain at least two points");
         }
-        if (typeof op.size !== "number" || op.size <= 0) {
+        if (op.points.length > LIMITS.strokePoints) throw new Error("Stroke has too many points");
+        if (!op.points.every(isPoint)) throw new Error("Invalid stroke point");
+        if (!Number.isFinite(op.size) || op.size <= 0 || op.size > LIMITS.brushSize) {
             throw new Error("Invalid stroke size");
         }
-        if (typeof op.color !== "string") throw new Error("Invalid color");
+        if (!isColor(op.color)) throw new Error("Invalid color");
         if (op.composite !== "source-over" && op.composite !== "destination-out") {
             throw new Error("Invalid composite mode");
         }
         return;
     }
     if (op.type === "shape") {
-        const allowed = new Set(["circle", "square", "triangle"]);
-        if (!allowed.has(op.shape)) throw new Error("Invalid shape type");
-        if (typeof op.x !== "number" || typeof op.y !== "number") {
+        if (!SHAPE_TYPES.has(op.shape)) throw new Error("Invalid shape type");
+        if (!isCoordinate(op.x) || !isCoordinate(op.y)) {
             throw new Error("Invalid shape position");
         }
         // Allow either size (legacy) or width/height (preferred)
-        const hasLegacySize = typeof op.size === "number" && op.size > 0;
-        const hasWH = typeof op.width === "number" && op.width > 0 && typeof op.height === "number" && op.height > 0;
+        const hasLegacySize = isDimension(op.size);
+        const hasWH = LINE_SHAPES.has(op.shape)
+            ? isExtent(op.width) && isExtent(op.height) && (op.width > 0 || op.height > 0)
+            : isDimension(op.width) && isDimension(op.height);
         if (!hasLegacySize && !hasWH) throw new Error("Invalid shape dimensions");
-        if (typeof op.color !== "string") throw new Error("Invalid color");
+        if (!isColor(op.color)) throw new Error("Invalid color");
+        validateShapeOptions(op);
         return;
     }
     if (op.type === "shape:update") {
-        if (typeof op.targetId !== "string" || op.targetId.length === 0) throw new Error("Missing targetId");
+        if (!isId(op.targetId)) throw new Error("Missing targetId");
         // Allow partial updates but require at least one dimension or position change
-        const hasPos = typeof op.x === "number" && typeof op.y === "number";
-        const hasWH = typeof op.width === "number" && op.width > 0 && typeof op.height === "number" && op.height > 0;
-        const hasColor = typeof op.color === "string";
-        if (!hasPos && !hasWH && !hasColor) throw new Error("Empty shape update");
+        const hasPos = isCoordinate(op.x) && isCoordinate(op.y);
+        const hasWH = isExtent(op.width) && isExtent(op.height) && (op.width > 0 || op.height > 0);
+        const hasColor = isColor(op.color);
+        const hasOptions = validateShapeOptions(op);
+        if (!hasPos && !hasWH && !hasColor && !hasOptions) throw new Error("Empty shape update");
+        return;
+    }
+    if (op.type === "connector") {
+        // An arrow whose ends are free points or bound to shapes; arrowheads and style as for shapes
+        validateConnectorEnd(op.from);
+        validateConnectorEnd(op.to);
+        if (!isColor(op.color)) throw new Error("Invalid color");
+        validateShapeOptions(op);
+        return;
+    }
+    if (op.type === "image") {
+        // An uploaded asset (see assets.js) placed in a box, rotated about its center
+        if (!isAssetId(op.assetId)) throw new Error("Invalid image asset");
+        if (!isCoordinate(op.x) || !isCoordinate(op.y)) throw new Error("Invalid image position");
+        if (!isDimension(op.width) || !isDimension(op.height)) throw new Error("Invalid image dimensions");
+        if (op.rotation !== undefined && !isRotation(op.rotation)) throw new Error("Invalid image rotation");
+        return;
+    }
+    if (op.type === "image:update") {
+        if (!isId(op.targetId)) throw new Error("Missing targetId");
+        const hasPos = isCoordinate(op.x) && isCoordinate(op.y);
+        const hasWH = isDimension(op.width) && isDimension(op.height);
+        const hasRotation = isRotation(op.rotation);
+        if (op.rotation !== undefined && !hasRotation) throw new Error("Invalid image rotation");
+        if (!hasPos && !hasWH && !hasRotation) throw new Error("Empty image update");
+        return;
+    }
+    if (op.type === "delete") {
+        validateTargetIds(op.targetIds);
+        return;
+    }
+    if (op.type === "revert") {
+        // toId: the op after which the board is restored, or null for the empty board;
+        // opIds: the ops that restores, filled in by addOperation
+        if (op.toId !== null && !isId(op.toId)) throw new Error("Invalid revert target");
+        if (op.opIds !== undefined) {
+            if (!Array.isArray(op.opIds) || op.opIds.length > LIMITS.revertOps) throw new Error("Invalid revert ops");
+            if (!op.opIds.every(isId)) throw new Error("Invalid revert ops");
+        }
+        return;
+    }
+    if (op.type === "erase") {
+        // Pixel eraser: each cut replaces a stroke with the pieces left of it (possibly none)
+        if (!Array.isArray(op.cuts) || op.cuts.length === 0) throw new Error("Missing cuts");
+        if (op.cuts.length > LIMITS.targetIds) throw new Error("Too many cuts");
+        let total = 0;
+        for (const cut of op.cuts) {
+            if (!cut || !isId(cut.targetId)) throw new Error("Invalid cut target");
+            if (!Array.isArray(cut.pieces) || cut.pieces.length > LIMITS.erasePieces) throw new Error("Invalid cut pieces");
+            for (const piece of cut.pieces) {
+                if (!Array.isArray(piece) || piece.length < 2 || piece.length > LIMITS.strokePoints) throw new Error("Invalid cut piece");
+                if (!piece.every(isPoint)) throw new Error("Invalid cut point");
+                total += piece.length;
+            }
+        }
+        if (total > LIMITS.erasePoints) throw new Error("Erase has too many points");
+        return;
+    }
+    if (op.type === "order") {
+        // Restack elements: "front" puts them on top, "back" at the bottom
+        validateTargetIds(op.targetIds);
+        if (op.position !== "front" && op.position !== "back") throw new Error("Invalid order position");
+        return;
+    }
+    if (op.type === "text") {
+        if (typeof op.text !== "string" || op.text.trim().length === 0) throw new Error("Empty text");
+        if (op.text.length > LIMITS.textLength) throw new Error("Text is too long");
+        if (!isCoordinate(op.x) || !isCoordinate(op.y)) {
+            throw new Error("Invalid text position");
+        }
+        if (!Number.isFinite(op.fontSize) || op.fontSize <= 0 || op.fontSize > LIMITS.fontSize) throw new Error("Invalid font size");
+        if (!isColor(op.color)) throw new Error("Invalid color");
+        return;
+    }
+    if (op.type === "text:update") {
+        if (!isId(op.targetId)) throw new Error("Missing targetId");
+        if (typeof op.text === "string" && op.text.length > LIMITS.textLength) throw new Error("Text is too long");
+        const hasText = typeof op.text === "string" && op.text.trim().length > 0;
+        const hasPos = isCoordinate(op.x) && isCoordinate(op.y);
+        const hasSize = Number.isFinite(op.fontSize) && op.fontSize > 0 && op.fontSize <= LIMITS.fontSize;
+        const hasColor = isColor(op.color);
+        if (!hasText && !hasPos && !hasSize && !hasColor) throw new Error("Empty text update");
         return;
     }
     throw new Error("Unsupported operation type");
 }
 
+// Optional fields of shape and shape:update ops: the per-type geometry options
+// and the style (fill, outline width, opacity, dash). Returns whether any was set.
+function validateShapeOptions(op) {
+    let found = false;
+    const check = (key, ok) => {
+        if (op[key] === undefined) return;
+        if (!ok(op[key])) throw new Error(`Invalid shape ${key}`);
+        found = true;
+    };
+    const isBool = (v) => typeof v === "boolean";
+    const isCount = (max) => (v) => Number.isInteger(v) && v >= 3 && v <= max;
+    check("flipX", isBool);
+    check("flipY", isBool);
+    check("startArrow", (v) => ARROW_HEADS.has(v));
+    check("endArrow", (v) => ARROW_HEADS.has(v));
+    check("radius", isExtent);
+    check("points", isCount(LIMITS.starPoints));
+    check("innerRatio", (v) => Number.isFinite(v) && v > 0 && v < 1);
+    check("sides", isCount(LIMITS.polygonSides));
+    check("filled", isBool);
+    check("fillColor", isColor);
+    check("strokeWidth", (v) => Number.isFinite(v) && v > 0 && v <= LIMITS.shapeStrokeWidth);
+    check("opacity", (v) => Number.isFinite(v) && v > 0 && v <= 1);
+    check("dash", (v) => DASH_STYLES.has(v));
+    return found;
+}
 
+// { shapeId, anchor } binds a connector end to a shape, { x, y } leaves it free.
+function validateConnectorEnd(end) {
+    if (!end || typeof end !== "object") throw new Error("Missing connector end");
+    if (end.shapeId !== undefined) {
+        if (!isId(end.shapeId) || !CONNECTOR_ANCHORS.has(end.anchor)) throw new Error("Invalid connector anchor");
+    } else if (!isCoordinate(end.x) || !isCoordinate(end.y)) {
+        throw new Error("Invalid connector end");
+    }
+}
+
+function validateTargetIds(targetIds) {
+    if (!Array.isArray(targetIds) || targetIds.length === 0) throw new Error("Missing targetIds");
+    if (targetIds.length > LIMITS.targetIds) throw new Error("Too many targetIds");
+    if (!targetIds.every(isId)) throw new Error("Invalid targetIds");
+}
@@ -0,0 +1,673 @@
+// Server-side rendering of a room's operation log for export.
+// buildScene() resolves the log into drawable items the same way the client
+// does in CanvasManager.rebuildElements, and the renderers below turn that into an
+// SVG document or (via raster.js) a PNG image.
+// The PNG rasterizer has no font engine or image decoder, so text only appears
+// in SVG exports and images are drawn there as placeholder boxes.
+import { Raster, parseColor } from "./raster.js";
+import { erasePieceId, resolveReverts } from "./drawing-state.js";
+
+const DEFAULT_PADDING = 16;
+const MAX_PNG_SIDE = 4096;
+// Pixel visits one PNG export may spend (see Raster); about a second of work.
+const MAX_PNG_WORK = 60_000_000;
+// Curves are sampled about every STROKE_SAMPLE_STEP output pixels, but a stroke
+// gets at most MAX_STROKE_SAMPLES samples however far it reaches.
+const STROKE_SAMPLE_STEP = 2;
+const MAX_STROKE_SAMPLES = 4096;
+// SVG outlines of pressure strokes are sampled more sparsely, and only get a
+// round join where leaving it out would show a notch wider than JOIN_GAP.
+const MAX_OUTLINE_SAMPLES = 1024;
+const JOIN_GAP = 0.25;
+const TEXT_FONT_FAMILY = "Inter, system-ui, sans-serif";
+const TEXT_LINE_HEIGHT = 1.3;
+// Pressure p (0..1) scales a stroke point's width to size * (MIN + (1 - MIN) * p),
+// as in CanvasManager.drawStroke.
+const PRESSURE_MIN_WIDTH = 0.25;
+// Shape geometry and styling as in client/shapes.js
+const SHAPE_FIELDS = [
+    "flipX", "flipY", "startArrow", "endArrow", "radius", "points", "innerRatio", "sides",
+    "fillColor", "filled", "strokeWidth", "opacity", "dash",
+];
+const DEFAULT_SHAPE_STROKE_WIDTH = 2;
+const CURVE_SAMPLES = 48;
+const MAX_CURVE_SAMPLES = 512;
+// A dashed outline with more dashes than this gets a proportionally longer pattern.
+const MAX_DASHES = 2048;
+// Stand-in for an image whose bytes are not available (always, in PNG exports)
+const IMAGE_PLACEHOLDER_FILL = "#e5e7eb";
+const IMAGE_PLACEHOLDER_STROKE = "#9ca3af";
+
+/**
+ * Resolve operations into an ordered list of drawable items.
+ * Mirrors the client: every element sits in one stack in creation order, order
+ * ops move elements to the top or bottom, update ops change them in place and
+ * erase ops swap strokes for their remaining pieces. Deleted elements are
+ * dropped, and connector ends bound to a deleted shape stay where they were.
+ * Connectors come out as arrow shapes routed to the final shape positions.
+ * Revert ops are resolved first. Items are returned bottom first.
+ */
+export function buildScene(operations) {
+    const items = new Map(); // element id -> item with its z
+    let top = 0;
+    let bottom = 0;
+    resolveReverts(operations || []).forEach((op, i) => {
+        if (op.type === "delete") {
+            for (const id of op.targetIds || []) {
+                detachConnectors(items, id);
+                items.delete(id);
+            }
+        } else if (op.type === "order") {
+            const ids = (op.targetIds || []).filter((id) => items.has(id));
+            ids.sort((a, b) => items.get(a).z - items.get(b).z);
+            if (op.position === "back") ids.reverse().forEach((id) => { items.get(id).z = --bottom; });
+            else ids.forEach((id) => { items.get(id).z = ++top; });
+        } else if (op.type === "erase") {
+            (op.cuts || []).forEach((cut, c) => {
+                const target = items.get(cut.targetId);
+                if (target?.kind !== "stroke") return;
+                items.delete(cut.targetId);
+                (cut.pieces || []).forEach((points, k) => {
+                    items.set(erasePieceId(op.id, c, k), { ...target, points });
+                });
+            });
+        } else if (op.type === "stroke") {
+            items.set(op.id || `stroke-${i}`, { kind: "stroke", z: ++top, points: op.points, color: op.color, size: op.size, composite: op.composite });
+        } else if (op.type === "shape") {
+            items.set(op.id, { kind: "shape", z: ++top, ...shapeBox(op), shape: op.shape, color: op.color, ...shapeFields(op) });
+        } else if (op.type === "shape:update" && items.get(op.targetId)?.kind === "shape") {
+            const s = items.get(op.targetId);
+            // Lines and arrows may be flat in one direction
+            const minExtent = isLineShape(s) ? 0 : Number.MIN_VALUE;
+            if (Number.isFinite(op.x)) s.x = op.x;
+            if (Number.isFinite(op.y)) s.y = op.y;
+            if (Number.isFinite(op.width) && op.width >= minExtent) s.width = op.width;
+            if (Number.isFinite(op.height) && op.height >= minExtent) s.height = op.height;
+            if (typeof op.color === "string") s.color = op.color;
+            Object.assign(s, shapeFields(op));
+        } else if (op.type === "connector") {
+            items.set(op.id, { kind: "connector", z: ++top, from: { ...op.from }, to: { ...op.to }, color: op.color, ...shapeFields(op) });
+        } else if (op.type === "image") {
+            items.set(op.id, { kind: "image", z: ++top, assetId: op.assetId, x: op.x, y: op.y, width: op.width, height: op.height, rotation: op.rotation || 0 });
+        } else if (op.type === "image:update" && items.get(op.targetId)?.kind === "image") {
+            const img = items.get(op.targetId);
+            if (Number.isFinite(op.x)) img.x = op.x;
+            if (Number.isFinite(op.y)) img.y = op.y;
+            if (Number.isFinite(op.width) && op.width > 0) img.width = op.width;
+            if (Number.isFinite(op.height) && op.height > 0) img.height = op.height;
+            if (Number.isFinite(op.rotation)) img.rotation = op.rotation;
+        } else if (op.type === "text") {
+            items.set(op.id, { kind: "text", z: ++top, text: op.text, x: op.x, y: op.y, fontSize: op.fontSize, color: op.color });
+        } else if (op.type === "text:update" && items.get(op.targetId)?.kind === "text") {
+            const t = items.get(op.targetId);
+            if (typeof op.text === "string") t.text = op.text;
+            if (Number.isFinite(op.x)) t.x = op.x;
+            if (Number.isFinite(op.y)) t.y = op.y;
+            if (Number.isFinite(op.fontSize) && op.fontSize > 0) t.fontSize = op.fontSize;
+            if (typeof op.color === "string") t.color = op.color;
+        }
+    });
+    const scene = [];
+    for (const item of items.values()) {
+        if (item.kind !== "connector") { scene.push(item); continue; }
+        const a = connectorEndPoint(items, item.from), b = connectorEndPoint(items, item.to);
+        if (!a || !b) continue;
+        const { from, to, ...rest } = item;
+        scene.push({ ...rest, kind: "shape", shape: "arrow", ...lineBox(a, b) });
+    }
+    return scene.sort((a, b) => a.z - b.z);
+}
+
+// Point of a connector end: the anchor of the shape it is bound to, or its own position.
+function connectorEndPoint(items, end) {
+    if (typeof end.shapeId === "string") {
+        const s = items.get(end.shapeId);
+        return s?.kind === "shape" && !isLineShape(s) && shapePolygon(s) ? anchorPoint(s, end.anchor) : null;
+    }
+    return Number.isFinite(end.x) && Number.isFinite(end.y) ? { x: end.x, y: end.y } : null;
+}
+
+// Free the connector ends bound to a shape that is being deleted, at their current spot.
+function detachConnectors(items, shapeId) {
+    for (const item of items.values()) {
+        if (item.kind !== "connector") continue;
+        for (const key of ["from", "to"]) {
+            if (item[key].shapeId !== shapeId) continue;
+            const p = connectorEndPoint(items, item[key]);
+            item[key] = p ? { x: p.x, y: p.y } : {};
+        }
+    }
+}
+
+/**
+ * Render operations to a standalone SVG document string. Images are embedded
+ * as data URLs when getAsset can supply their bytes.
+ * @param {Array} operations
+ * @param {{ padding?: number, background?: string, getAsset?: (assetId:string)=>({data:Buffer, type:string}|null) }} [opts]
+ */
+export function renderSvg(operations, { padding = DEFAULT_PADDING, background, getAsset } = {}) {
+    const items = buildScene(operations);
+    const b = sceneBounds(items, padding);
+    const defs = [];
+    // Content drawn so far; an eraser wraps everything before it in a mask.
+    let body = [];
+    for (const item of items) {
+        if (item.kind === "stroke" && item.composite === "destination-out") {
+            const id = `erase${defs.length}`;
+            defs.push(
+                `<mask id="${id}" maskUnits="userSpaceOnUse" x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}">` +
+                `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" fill="#fff"/>` +
+                svgStroke(item, "#000") +
+                `</mask>`
+            );
+            body = [`<g mask="url(#${id})">${body.join("")}</g>`];
+        } else if (item.kind === "stroke") {
+            body.push(svgStroke(item, item.color));
+        } else if (item.kind === "shape") {
+            body.push(svgShape(item));
+        } else if (item.kind === "text") {
+            body.push(svgText(item));
+        } else if (item.kind === "image") {
+            body.push(svgImage(item, getAsset?.(item.assetId)));
+        }
+    }
+    const bg = background
+        ? `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" fill="${escapeXml(background)}"/>`
+        : "";
+    return (
+        `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${b.width}" height="${b.height}" viewBox="${b.x} ${b.y} ${b.width} ${b.height}">` +
+        (defs.length ? `<defs>${defs.join("")}</defs>` : "") +
+        bg +
+        body.join("") +
+        `</svg>\n`
+    );
+}
+
+/**
+ * Render operations to a PNG buffer.
+ * Throws an error with code "ETOOLARGE" when the board takes too much work to draw.
+ * @param {Array} operations
+ * @param {{ padding?: number, background?: string, scale?: number }} [opts]
+ */
+export function renderPng(operations, { padding = DEFAULT_PADDING, background, scale = 1 } = {}) {
+    const items = buildScene(operations);
+    const b = sceneBounds(items, padding);
+    // Keep the output within a sane pixel budget regardless of board extent.
+    const s = Math.min(scale, MAX_PNG_SIDE / b.width, MAX_PNG_SIDE / b.height);
+    const raster = new Raster(Math.max(1, Math.ceil(b.width * s)), Math.max(1, Math.ceil(b.height * s)), { maxWork: MAX_PNG_WORK });
+    const toPx = (p) => ({ x: (p.x - b.x) * s, y: (p.y - b.y) * s });
+    for (const item of items) {
+        if (item.kind === "stroke") {
+            const flat = flattenStroke(item.points, STROKE_SAMPLE_STEP / s);
+            const widths = hasPressure(item.points) ? flat.map((p) => pressureWidth(item.size, p.p) * s) : item.size * s;
+            raster.strokePolyline(flat.map(toPx), widths, parseColor(item.color), item.composite);
+        } else if (item.kind === "shape") {
+            rasterShape(raster, item, toPx, s);
+        } else if (item.kind === "image") {
+            const pts = imageCorners(item).map(toPx);
+            raster.fillPolygon(pts, parseColor(IMAGE_PLACEHOLDER_FILL));
+            raster.strokePolyline([...pts, pts[0]], Math.max(1, s), parseColor(IMAGE_PLACEHOLDER_STROKE), "source-over");
+        }
+    }
+    if (background) raster.fillBehind(parseColor(background));
+    return raster.toPng();
+}
+
+// Type-specific geometry and style fields of a shape (validated with the op).
+function shapeFields(op) {
+    const out = {};
+    for (const key of SHAPE_FIELDS) if (op[key] !== undefined) out[key] = op[key];
+    return out;
+}
+
+// Legacy shapes carry a center + size; newer ones a top-left box.
+function shapeBox(op) {
+    if (Number.isFinite(op.width) && Number.isFinite(op.height)) {
+        return { x: op.x, y: op.y, width: op.width, height: op.height };
+    }
+    const size = Math.max(1, Number(op.size) || 16);
+    return { x: (op.x ?? 0) - size / 2, y: (op.y ?? 0) - size / 2, width: size, height: size };
+}
+
+// World-space bounding box of all items, padded, with a minimum size.
+function sceneBounds(items, padding) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const grow = (x, y, r) => {
+        minX = Math.min(minX, x - r); minY = Math.min(minY, y - r);
+        maxX = Math.max(maxX, x + r); maxY = Math.max(maxY, y + r);
+    };
+    for (const item of items) {
+        if (item.kind === "stroke") {
+            for (const p of item.points || []) grow(p.x, p.y, (item.size || 1) / 2);
+        } else if (item.kind === "text") {
+            // No font metrics here; approximate glyph width as 0.6em
+            const lines = String(item.text).split("\n");
+            const longest = Math.max(...lines.map((l) => l.length));
+            grow(item.x, item.y, 0);
+            grow(item.x + longest * item.fontSize * 0.6, item.y + lines.length * item.fontSize * TEXT_LINE_HEIGHT, 0);
+        } else if (item.kind === "image") {
+            for (const p of imageCorners(item)) grow(p.x, p.y, 1);
+        } else {
+            const w = shapeStrokeWidth(item);
+            const pad = w / 2 + 1 + (item.shape === "arrow" ? arrowHeadSize(w) : 0);
+            grow(item.x, item.y, pad);
+            grow(item.x + item.width, item.y + item.height, pad);
+        }
+    }
+    if (!Number.isFinite(minX)) { minX = 0; minY = 0; maxX = 64; maxY = 64; }
+    const x = Math.floor(minX - padding);
+    const y = Math.floor(minY - padding);
+    return {
+        x, y,
+        width: Math.max(1, Math.ceil(maxX + padding) - x),
+        height: Math.max(1, Math.ceil(maxY + padding) - y),
+    };
+}
+
+// Same smoothing as CanvasManager.drawStroke: quadratic curves through midpoints.
+function strokePathData(points) {
+    const f = (n) => +n.toFixed(2);
+    let d = `M${f(points[0].x)} ${f(points[0].y)}`;
+    for (let i = 1; i < points.length - 1; i++) {
+        const midX = (points[i].x + points[i + 1].x) / 2;
+        const midY = (points[i].y + points[i + 1].y) / 2;
+        d += `Q${f(points[i].x)} ${f(points[i].y)} ${f(midX)} ${f(midY)}`;
+    }
+    const last = points[points.length - 1];
+    return d + `L${f(last.x)} ${f(last.y)}`;
+}
+
+// Sample the smoothed stroke path into a polyline, about one sample every
+// `step` world units, and no closer than maxSamples spread over the whole
+// stroke. Pressure, when recorded, is interpolated along the curve as well.
+function flattenStroke(points, step, maxSamples = MAX_STROKE_SAMPLES) {
+    if (!points || points.length < 2) return [];
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, p: a.p === undefined ? undefined : (a.p + b.p) / 2 });
+    // Each curve's control polygon, whose length bounds the curve's
+    const curves = [];
+    let total = 0;
+    for (let i = 1, start = points[0]; i < points.length - 1; i++) {
+        const ctrl = points[i];
+        const end = mid(points[i], points[i + 1]);
+        const length = Math.hypot(ctrl.x - start.x, ctrl.y - start.y) + Math.hypot(end.x - ctrl.x, end.y - ctrl.y);
+        curves.push({ ctrl, end, length });
+        total += length;
+        start = end;
+    }
+    const spacing = Math.max(step, total / maxSamples);
+    const out = [points[0]];
+    let cur = points[0];
+    for (const { ctrl, end, length } of curves) {
+        const steps = Math.max(2, Math.ceil(length / spacing));
+        for (let k = 1; k <= steps; k++) {
+            const t = k / steps, u = 1 - t;
+            out.push({
+                x: u * u * cur.x + 2 * u * t * ctrl.x + t * t * end.x,
+                y: u * u * cur.y + 2 * u * t * ctrl.y + t * t * end.y,
+                p: cur.p === undefined ? undefined : u * u * cur.p + 2 * u * t * ctrl.p + t * t * end.p,
+            });
+        }
+        cur = end;
+    }
+    out.push(points[points.length - 1]);
+    return out;
+}
+
+function hasPressure(points) {
+    return Number.isFinite(points?.[0]?.p);
+}
+
+function pressureWidth(size, p) {
+    return size * (PRESSURE_MIN_WIDTH + (1 - PRESSURE_MIN_WIDTH) * (Number.isFinite(p) ? p : 1));
+}
+
+function svgStroke(item, color) {
+    if (!item.points || item.points.length < 2) return "";
+    if (hasPressure(item.points)) {
+        return `<path d="${pressureOutlineData(item.points, item.size)}" fill="${escapeXml(color)}"/>`;
+    }
+    return `<path d="${strokePathData(item.points)}" fill="none" stroke="${escapeXml(color)}" stroke-width="${item.size}" stroke-linecap="round" stroke-linejoin="round"/>`;
+}
+
+// Variable-width stroke as filled geometry: a quad between neighbouring
+// samples, plus a disc at both ends and at the joins that turn enough to leave
+// a gap between two quads, all wound the same way so the nonzero fill is their union.
+function pressureOutlineData(points, size) {
+    const f = (n) => +n.toFixed(2);
+    const flat = flattenStroke(points, STROKE_SAMPLE_STEP, MAX_OUTLINE_SAMPLES);
+    const disc = (p) => {
+        const r = pressureWidth(size, p.p) / 2;
+        return `M${f(p.x - r)} ${f(p.y)}a${f(r)} ${f(r)} 0 1 1 ${f(2 * r)} 0a${f(r)} ${f(r)} 0 1 1 ${f(-2 * r)} 0Z`;
+    };
+    let d = disc(flat[0]);
+    let prev = null; // direction of the last quad
+    for (let i = 0; i < flat.length - 1; i++) {
+        const a = flat[i], b = flat[i + 1];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (len === 0) continue;
+        const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+        const ra = pressureWidth(size, a.p) / 2, rb = pressureWidth(size, b.p) / 2;
+        // The notch on the outside of a join is about radius * turn angle wide
+        if (prev && ra * Math.acos(Math.max(-1, Math.min(1, prev.x * ux + prev.y * uy))) > JOIN_GAP) d += disc(a);
+        prev = { x: ux, y: uy };
+        const nx = uy, ny = -ux;
+        d += `M${f(a.x + nx * ra)} ${f(a.y + ny * ra)}L${f(b.x + nx * rb)} ${f(b.y + ny * rb)}` +
+            `L${f(b.x - nx * rb)} ${f(b.y - ny * rb)}L${f(a.x - nx * ra)} ${f(a.y - ny * ra)}Z`;
+    }
+    return d + disc(flat[flat.length - 1]);
+}
+
+function svgShape(s) {
+    const color = escapeXml(s.color || "#1f2937");
+    const w = shapeStrokeWidth(s);
+    const dash = dashArray(s);
+    const outline = `stroke="${color}" stroke-width="${w}"` +
+        (dash.length ? ` stroke-dasharray="${dash.join(" ")}" stroke-linecap="round"` : "");
+    const common = `fill="${isFilled(s) ? escapeXml(s.fillColor) : "none"}" ${outline}`;
+    const f = (n) => +n.toFixed(2);
+    let body = "";
+    if (s.shape === "circle") {
+        const r = Math.min(s.width, s.height) / 2;
+        body = `<circle cx="${s.x + s.width / 2}" cy="${s.y + s.height / 2}" r="${r}" ${common}/>`;
+    } else if (s.shape === "ellipse") {
+        body = `<ellipse cx="${s.x + s.width / 2}" cy="${s.y + s.height / 2}" rx="${s.width / 2}" ry="${s.height / 2}" ${common}/>`;
+    } else if (s.shape === "square") {
+        body = `<rect x="${s.x}" y="${s.y}" width="${s.width}" height="${s.height}" ${common}/>`;
+    } else if (s.shape === "rect") {
+        const r = rectRadius(s);
+        body = `<rect x="${s.x}" y="${s.y}" width="${s.width}" height="${s.height}" rx="${r}" ry="${r}" ${common}/>`;
+    } else if (isLineShape(s)) {
+        const { a, b } = lineEndpoints(s);
+        body = `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" ${outline} stroke-linecap="round"/>`;
+        // Heads are always drawn solid
+        for (const head of arrowHeads(s)) {
+            const d = head.points.map((p, i) => `${i ? "L" : "M"}${f(p.x)} ${f(p.y)}`).join("") + (head.closed ? "Z" : "");
+            body += `<path d="${d}" fill="${head.filled ? color : "none"}" stroke="${color}" stroke-width="${w}" stroke-linecap="round" stroke-linejoin="round"/>`;
+        }
+    } else {
+        const pts = shapePolygon(s);
+        if (!pts) return "";
+        body = `<polygon points="${pts.map((p) => `${f(p.x)},${f(p.y)}`).join(" ")}" ${common} stroke-linejoin="miter"/>`;
+    }
+    return Number.isFinite(s.opacity) && s.opacity < 1 ? `<g opacity="${s.opacity}">${body}</g>` : body;
+}
+
+function svgText(t) {
+    const lines = String(t.text).split("\n");
+    const lh = t.fontSize * TEXT_LINE_HEIGHT;
+    const spans = lines
+        .map((line, i) => `<tspan x="${t.x}" y="${t.y + i * lh}">${escapeXml(line)}</tspan>`)
+        .join("");
+    return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${t.fontSize}" fill="${escapeXml(t.color || "#1f2937")}" dominant-baseline="text-before-edge" xml:space="preserve">${spans}</text>`;
+}
+
+// An image stretched over its box and rotated about the box center, or a
+// placeholder box when its bytes are unavailable.
+function svgImage(img, asset) {
+    const cx = img.x + img.width / 2, cy = img.y + img.height / 2;
+    const transform = img.rotation ? ` transform="rotate(${img.rotation} ${cx} ${cy})"` : "";
+    const box = `x="${img.x}" y="${img.y}" width="${img.width}" height="${img.height}"`;
+    if (!asset) {
+        return `<rect ${box} fill="${IMAGE_PLACEHOLDER_FILL}" stroke="${IMAGE_PLACEHOLDER_STROKE}"${transform}/>`;
+    }
+    const href = `data:${asset.type};base64,${asset.data.toString("base64")}`;
+    return `<image ${box} href="${href}" preserveAspectRatio="none"${transform}/>`;
+}
+
+// Corners of an image box after its rotation (degrees, clockwise about the center).
+function imageCorners(img) {
+    const cx = img.x + img.width / 2, cy = img.y + img.height / 2;
+    const a = ((img.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+        const dx = (sx * img.width) / 2, dy = (sy * img.height) / 2;
+        return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+    });
+}
+
+// Paint a shape the way CanvasManager.drawShape does: fill, outline (cut into
+// dashes when it has a dash style), then solid arrowheads. Opacity applies to each part.
+function rasterShape(raster, s, toPx, scale) {
+    const alpha = Number.isFinite(s.opacity) ? s.opacity : 1;
+    const stroke = withAlpha(parseColor(s.color), alpha);
+    const width = shapeStrokeWidth(s) * scale;
+    let outline;
+    if (isLineShape(s)) {
+        const { a, b } = lineEndpoints(s);
+        outline = [a, b];
+    } else {
+        const pts = shapePolygon(s);
+        if (!pts) return;
+        if (isFilled(s)) raster.fillPolygon(pts.map(toPx), withAlpha(parseColor(s.fillColor), alpha));
+        outline = [...pts, pts[0]];
+    }
+    for (const part of dashPolyline(outline, dashArray(s))) {
+        raster.strokePolyline(part.map(toPx), width, stroke, "source-over");
+    }
+    for (const head of arrowHeads(s)) {
+        const pts = head.points.map(toPx);
+        if (head.filled) raster.fillPolygon(pts, stroke);
+        raster.strokePolyline(head.closed ? [...pts, pts[0]] : pts, width, stroke, "source-over");
+    }
+}
+
+function withAlpha(color, alpha) {
+    return { ...color, a: color.a * alpha };
+}
+
+function shapeStrokeWidth(s) {
+    return Number.isFinite(s.strokeWidth) ? s.strokeWidth : DEFAULT_SHAPE_STROKE_WIDTH;
+}
+
+function isFilled(s) {
+    return !!s.filled && !isLineShape(s) && typeof s.fillColor === "string";
+}
+
+// Dash lengths (on, off, ...) in world units; dotted uses zero-length dashes with round caps.
+function dashArray(s) {
+    const w = shapeStrokeWidth(s);
+    if (s.dash === "dashed") return [w * 4, w * 3];
+    if (s.dash === "dotted") return [0, w * 2];
+    return [];
+}
+
+// Split a polyline into the "on" parts of a dash pattern.
+function dashPolyline(points, pattern) {
+    if (pattern.length === 0) return [points];
+    let length = 0;
+    for (let i = 0; i < points.length - 1; i++) length += Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+    const period = pattern.reduce((sum, v) => sum + v, 0);
+    if (length / period > MAX_DASHES) {
+        const k = length / period / MAX_DASHES;
+        pattern = pattern.map((v) => v * k);
+    }
+    const parts = [];
+    let k = 0;
+    let left = pattern[0];
+    let on = true;
+    let current = [points[0]];
+    for (let i = 0; i < points.length - 1; i++) {
+        let a = points[i];
+        const b = points[i + 1];
+        let len = Math.hypot(b.x - a.x, b.y - a.y);
+        while (left <= len) {
+            const t = len > 0 ? left / len : 0;
+            const p = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+            if (on) { current.push(p); parts.push(current); } else current = [p];
+            on = !on;
+            k = (k + 1) % pattern.length;
+            a = p;
+            len -= left;
+            left = pattern[k];
+        }
+        left -= len;
+        if (on) current.push(b);
+    }
+    if (on && current.length > 1) parts.push(current);
+    return parts;
+}
+
+// Closed outline of a non-line shape as a point list, curves sampled.
+function shapePolygon(s) {
+    const { x, y, width: w, height: h } = s;
+    const cx = x + w / 2, cy = y + h / 2;
+    if (s.shape === "circle") {
+        const r = Math.min(w, h) / 2;
+        return ellipsePoints(cx, cy, r, r, curveSamples(r));
+    }
+    if (s.shape === "ellipse") return ellipsePoints(cx, cy, w / 2, h / 2, curveSamples(Math.max(w, h) / 2));
+    if (s.shape === "square") return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+    if (s.shape === "rect") return roundedRectPoints(x, y, w, h, rectRadius(s));
+    if (s.shape === "triangle") return trianglePoints(s);
+    if (s.shape === "star") {
+        const n = Number.isInteger(s.points) ? s.points : 5;
+        const ratio = Number.isFinite(s.innerRatio) ? s.innerRatio : 0.5;
+        return radialPoints(cx, cy, w / 2, h / 2, n * 2, (i) => (i % 2 === 0 ? 1 : ratio));
+    }
+    if (s.shape === "polygon") {
+        const n = Number.isInteger(s.sides) ? s.sides : 6;
+        return radialPoints(cx, cy, w / 2, h / 2, n, () => 1);
+    }
+    return null;
+}
+
+// Points around an ellipse: about one per unit of radius, within bounds.
+function curveSamples(radius) {
+    return Math.max(CURVE_SAMPLES, Math.min(MAX_CURVE_SAMPLES, Math.ceil(radius)));
+}
+
+function isLineShape(s) {
+    return s.shape === "line" || s.shape === "arrow";
+}
+
+// A line runs between opposite corners of its box; flipX/flipY pick which.
+function lineEndpoints(s) {
+    const left = s.x, right = s.x + s.width, top = s.y, bottom = s.y + s.height;
+    return {
+        a: { x: s.flipX ? right : left, y: s.flipY ? bottom : top },
+        b: { x: s.flipX ? left : right, y: s.flipY ? top : bottom },
+    };
+}
+
+function lineBox(a, b) {
+    return {
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        width: Math.abs(b.x - a.x),
+        height: Math.abs(b.y - a.y),
+        flipX: b.x < a.x,
+        flipY: b.y < a.y,
+    };
+}
+
+const ANCHOR_DIRECTIONS = { n: { x: 0, y: -1 }, e: { x: 1, y: 0 }, s: { x: 0, y: 1 }, w: { x: -1, y: 0 } };
+
+// Outline point straight out from the shape's center in the anchor's direction.
+function anchorPoint(s, anchor) {
+    const d = ANCHOR_DIRECTIONS[anchor] || ANCHOR_DIRECTIONS.e;
+    const c = { x: s.x + s.width / 2, y: s.y + s.height / 2 };
+    const pts = shapePolygon(s) || [];
+    let reach = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        const ex = b.x - a.x, ey = b.y - a.y;
+        const det = ex * d.y - d.x * ey;
+        if (det === 0) continue;
+        const wx = a.x - c.x, wy = a.y - c.y;
+        const t = (ex * wy - wx * ey) / det;
+        const u = (d.x * wy - d.y * wx) / det;
+        if (t >= 0 && u >= 0 && u <= 1 && t > reach) reach = t;
+    }
+    if (reach === 0) reach = Math.abs(d.x) * s.width / 2 + Math.abs(d.y) * s.height / 2;
+    return { x: c.x + d.x * reach, y: c.y + d.y * reach };
+}
+
+function arrowHeadSize(lineWidth) {
+    return Math.max(10, lineWidth * 4);
+}
+
+// Arrowheads of an arrow as { points, closed, filled } outlines.
+function arrowHeads(s) {
+    if (s.shape !== "arrow") return [];
+    const { a, b } = lineEndpoints(s);
+    return [arrowHead(s, s.startArrow || "none", a, b), arrowHead(s, s.endArrow || "triangle", b, a)].filter(Boolean);
+}
+
+function arrowHead(s, style, tip, from) {
+    const len = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (style === "none" || len === 0) return null;
+    const size = arrowHeadSize(shapeStrokeWidth(s));
+    const ux = (tip.x - from.x) / len, uy = (tip.y - from.y) / len;
+    const nx = -uy, ny = ux;
+    const base = { x: tip.x - ux * size, y: tip.y - uy * size };
+    const half = size / 2;
+    const side = (p, k) => ({ x: p.x + nx * half * k, y: p.y + ny * half * k });
+    if (style === "triangle") return { points: [tip, side(base, 1), side(base, -1)], closed: true, filled: true };
+    if (style === "open") return { points: [side(base, 1), tip, side(base, -1)], closed: false, filled: false };
+    if (style === "bar") return { points: [side(tip, 1), side(tip, -1)], closed: false, filled: false };
+    if (style === "circle") {
+        const r = size * 0.3;
+        return { points: ellipsePoints(tip.x, tip.y, r, r, 16), closed: true, filled: true };
+    }
+    return null;
+}
+
+function rectRadius(s) {
+    const r = Number.isFinite(s.radius) ? s.radius : 12;
+    return Math.max(0, Math.min(r, s.width / 2, s.height / 2));
+}
+
+function roundedRectPoints(x, y, w, h, r) {
+    if (r <= 0) return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+    const corners = [
+        { cx: x + w - r, cy: y + r, start: -Math.PI / 2 },
+        { cx: x + w - r, cy: y + h - r, start: 0 },
+        { cx: x + r, cy: y + h - r, start: Math.PI / 2 },
+        { cx: x + r, cy: y + r, start: Math.PI },
+    ];
+    const steps = CURVE_SAMPLES / 4;
+    const pts = [];
+    for (const c of corners) {
+        for (let i = 0; i <= steps; i++) {
+            const angle = c.start + (i / steps) * (Math.PI / 2);
+            pts.push({ x: c.cx + Math.cos(angle) * r, y: c.cy + Math.sin(angle) * r });
+        }
+    }
+    return pts;
+}
+
+// n points around an ellipse starting at the top, radius scaled by k(i).
+function radialPoints(cx, cy, rx, ry, n, k) {
+    const pts = [];
+    for (let i = 0; i < n; i++) {
+        const angle = -Math.PI / 2 + (i * 2 * Math.PI) / n;
+        pts.push({ x: cx + Math.cos(angle) * rx * k(i), y: cy + Math.sin(angle) * ry * k(i) });
+    }
+    return pts;
+}
+
+function ellipsePoints(cx, cy, rx, ry, n) {
+    const pts = [];
+    for (let i = 0; i < n; i++) {
+        const angle = (i / n) * Math.PI * 2;
+        pts.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+    }
+    return pts;
+}
+
+// Upward equilateral triangle inside the box.
+function trianglePoints(s) {
+    const cx = s.x + s.width / 2, cy = s.y + s.height / 2;
+    const size = Math.min(s.width, s.height);
+    const hh = (Math.sqrt(3) / 2) * size;
+    return [
+        { x: cx, y: cy - (2 / 3) * hh },
+        { x: cx - size / 2, y: cy + (1 / 3) * hh },
+        { x: cx + size / 2, y: cy + (1 / 3) * hh },
+    ];
+}
+
+function escapeXml(str) {
+    return String(str).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+}
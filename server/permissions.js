@@ -0,0 +1,25 @@
+
+// Room roles and what each one may do.
+//   owner  - everything, including clearing or rolling back the board and changing roles
+//   editor - draw, edit and undo/redo their own work, clear their own work
+//   viewer - read-only canvas; cursors and reactions only
+// The owner is recorded in room meta (see RoomManager); everyone else gets the
+// role assigned to them there, or the room's default role.
+
+export const ROLES = ["owner", "editor", "viewer"];
+// Roles an owner can hand out. Ownership itself is not transferable this way.
+export const ASSIGNABLE_ROLES = ["editor", "viewer"];
+export const DEFAULT_ROLE = "editor";
+
+const CAPABILITIES = {
+    owner: new Set(["view", "react", "draw", "clearBoard", "manageRoles"]),
+    editor: new Set(["view", "react", "draw"]),
+    viewer: new Set(["view", "react"]),
+};
+
+/**
+ * Whether a role grants an action ("view", "react", "draw", "clearBoard", "manageRoles").
+ */
+export function can(role, action) {
+    return CAPABILITIES[role]?.has(action) ?? false;
+}
@@ -0,0 +1,300 @@
+
+// Minimal software rasterizer and PNG encoder used for server-side export.
+// Only what the board needs: anti-aliased round-capped polylines composited
+// with source-over or destination-out, filled polygons, and a background fill.
+// Pixels are stored premultiplied in a Float32Array (r, g, b, a in 0..1).
+// Drawing only visits pixels near what is drawn, and every visit counts against
+// an optional work budget; a raster that runs out throws an error with code
+// "ETOOLARGE", so one export cannot hold the event loop for long.
+import zlib from "zlib";
+
+export class Raster {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [opts]
+     * @param {number} [opts.maxWork] pixel visits allowed across all drawing calls
+     */
+    constructor(width, height, { maxWork = Infinity } = {}) {
+        this.width = width;
+        this.height = height;
+        this.data = new Float32Array(width * height * 4);
+        this.maxWork = maxWork;
+        this.work = 0;
+        this.mask = null; // per-stroke coverage, allocated on first use and cleared after each stroke
+        this.spanMin = null; // per row: first and last mask column the current stroke touched
+        this.spanMax = null;
+    }
+
+    spend(amount) {
+        this.work += amount;
+        if (this.work > this.maxWork) {
+            const err = new Error("The board is too large to render");
+            err.code = "ETOOLARGE";
+            throw err;
+        }
+    }
+
+    /**
+     * Stroke a polyline with round caps/joins.
+     * Coverage is computed per stroke (max over its segments) and composited
+     * once, so overlapping segments don't double-blend.
+     * @param {{x:number,y:number}[]} points pixel-space points
+     * @param {number|number[]} width line width in pixels, or one per point (tapering between them)
+     * @param {{r:number,g:number,b:number,a:number}} color
+     * @param {"source-over"|"destination-out"} composite
+     */
+    strokePolyline(points, width, color, composite) {
+        if (!points || points.length < 2) return;
+        const halfWidth = (i) => Math.max(0.5, (Array.isArray(width) ? width[i] : width) / 2);
+        let hw = 0;
+        let minY = Infinity, maxY = -Infinity;
+        for (let i = 0; i < points.length; i++) {
+            hw = Math.max(hw, halfWidth(i));
+            minY = Math.min(minY, points[i].y); maxY = Math.max(maxY, points[i].y);
+        }
+        const y0 = Math.max(0, Math.floor(minY - hw - 1));
+        const y1 = Math.min(this.height - 1, Math.ceil(maxY + hw + 1));
+        if (y1 < y0) return;
+        if (!this.mask) {
+            this.mask = new Float32Array(this.width * this.height);
+            this.spanMin = new Int32Array(this.height);
+            this.spanMax = new Int32Array(this.height);
+        }
+        const { mask, spanMin, spanMax } = this;
+        spanMin.fill(this.width, y0, y1 + 1);
+        spanMax.fill(-1, y0, y1 + 1);
+        this.spend(y1 - y0 + 1);
+        for (let i = 0; i < points.length - 1; i++) {
+            coverSegment(this, points[i], points[i + 1], halfWidth(i), halfWidth(i + 1));
+        }
+        for (let y = y0; y <= y1; y++) {
+            const row = y * this.width;
+            if (spanMax[y] >= spanMin[y]) this.spend(spanMax[y] - spanMin[y] + 1);
+            for (let x = spanMin[y]; x <= spanMax[y]; x++) {
+                const k = mask[row + x];
+                if (k <= 0) continue;
+                this.blend(x, y, color, k, composite);
+                mask[row + x] = 0;
+            }
+        }
+    }
+
+    /**
+     * Fill a closed polygon (even-odd rule), source-over.
+     * Edges are anti-aliased by sampling a few sub-scanlines per pixel row and
+     * spreading each span's fractional ends over the pixels they cross.
+     * @param {{x:number,y:number}[]} points pixel-space vertices
+     * @param {{r:number,g:number,b:number,a:number}} color
+     */
+    fillPolygon(points, color) {
+        if (!points || points.length < 3) return;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const p of points) {
+            minX = Math.min(minX, p.x); minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y);
+        }
+        const x0 = Math.max(0, Math.floor(minX));
+        const y0 = Math.max(0, Math.floor(minY));
+        const x1 = Math.min(this.width - 1, Math.ceil(maxX));
+        const y1 = Math.min(this.height - 1, Math.ceil(maxY));
+        if (x1 < x0 || y1 < y0) return;
+        const mw = x1 - x0 + 1;
+        this.spend((y1 - y0 + 1) * (mw + FILL_SUBSAMPLES * points.length));
+        const row = new Float32Array(mw);
+        const xs = [];
+        for (let y = y0; y <= y1; y++) {
+            row.fill(0);
+            for (let sub = 0; sub < FILL_SUBSAMPLES; sub++) {
+                const sy = y + (sub + 0.5) / FILL_SUBSAMPLES;
+                xs.length = 0;
+                for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    const a = points[i], b = points[j];
+                    if ((a.y > sy) !== (b.y > sy)) xs.push(a.x + ((sy - a.y) * (b.x - a.x)) / (b.y - a.y));
+                }
+                xs.sort((a, b) => a - b);
+                for (let k = 0; k + 1 < xs.length; k += 2) {
+                    addSpan(row, xs[k] - x0, xs[k + 1] - x0, 1 / FILL_SUBSAMPLES);
+                }
+            }
+            for (let x = x0; x <= x1; x++) {
+                const k = Math.min(1, row[x - x0]);
+                if (k > 0) this.blend(x, y, color, k, "source-over");
+            }
+        }
+    }
+
+    blend(x, y, color, coverage, composite) {
+        const i = (y * this.width + x) * 4;
+        const d = this.data;
+        const a = color.a * coverage;
+        if (composite === "destination-out") {
+            const keep = 1 - a;
+            d[i] *= keep; d[i + 1] *= keep; d[i + 2] *= keep; d[i + 3] *= keep;
+            return;
+        }
+        const keep = 1 - a;
+        d[i] = color.r * a + d[i] * keep;
+        d[i + 1] = color.g * a + d[i + 1] * keep;
+        d[i + 2] = color.b * a + d[i + 2] * keep;
+        d[i + 3] = a + d[i + 3] * keep;
+    }
+
+    /** Composite an opaque background underneath everything drawn so far. */
+    fillBehind(color) {
+        const d = this.data;
+        for (let i = 0; i < d.length; i += 4) {
+            const keep = 1 - d[i + 3];
+            d[i] += color.r * color.a * keep;
+            d[i + 1] += color.g * color.a * keep;
+            d[i + 2] += color.b * color.a * keep;
+            d[i + 3] += color.a * keep;
+        }
+    }
+
+    /** Encode as an RGBA PNG (un-premultiplying on the way out). */
+    toPng() {
+        const { width, height, data } = this;
+        const raw = Buffer.alloc((width * 4 + 1) * height);
+        let o = 0;
+        for (let y = 0; y < height; y++) {
+            raw[o++] = 0; // filter: none
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const a = data[i + 3];
+                const inv = a > 0 ? 1 / a : 0;
+                raw[o++] = to8(data[i] * inv);
+                raw[o++] = to8(data[i + 1] * inv);
+                raw[o++] = to8(data[i + 2] * inv);
+                raw[o++] = to8(a);
+            }
+        }
+        const ihdr = Buffer.alloc(13);
+        ihdr.writeUInt32BE(width, 0);
+        ihdr.writeUInt32BE(height, 4);
+        ihdr[8] = 8; // bit depth
+        ihdr[9] = 6; // color type RGBA
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk("IHDR", ihdr),
+            pngChunk("IDAT", zlib.deflateSync(raw)),
+            pngChunk("IEND", Buffer.alloc(0)),
+        ]);
+    }
+}
+
+/**
+ * Parse the color strings the board uses (#rgb, #rrggbb, #rrggbbaa, rgb()/rgba()).
+ * Unknown values fall back to the client's default ink.
+ */
+export function parseColor(str) {
+    const s = String(str || "").trim().toLowerCase();
+    let m = /^#([0-9a-f]{3})$/.exec(s);
+    if (m) {
+        const [r, g, b] = m[1].split("").map((c) => parseInt(c + c, 16) / 255);
+        return { r, g, b, a: 1 };
+    }
+    m = /^#([0-9a-f]{6})([0-9a-f]{2})?$/.exec(s);
+    if (m) {
+        const n = parseInt(m[1], 16);
+        return {
+            r: ((n >> 16) & 255) / 255,
+            g: ((n >> 8) & 255) / 255,
+            b: (n & 255) / 255,
+            a: m[2] ? parseInt(m[2], 16) / 255 : 1,
+        };
+    }
+    m = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(s);
+    if (m) {
+        return { r: m[1] / 255, g: m[2] / 255, b: m[3] / 255, a: m[4] === undefined ? 1 : Math.min(1, Number(m[4])) };
+    }
+    return parseColor("#1f2937");
+}
+
+// Sub-scanlines per pixel row when filling polygons
+const FILL_SUBSAMPLES = 4;
+
+// Add `weight` of coverage for the horizontal span [l, r) (in row pixels),
+// with partial coverage for the pixels holding its ends.
+function addSpan(row, l, r, weight) {
+    l = Math.max(0, l);
+    r = Math.min(row.length, r);
+    if (r <= l) return;
+    const il = Math.floor(l), ir = Math.floor(r);
+    if (il === ir) { row[il] += (r - l) * weight; return; }
+    row[il] += (il + 1 - l) * weight;
+    for (let i = il + 1; i < ir; i++) row[i] += weight;
+    if (ir < row.length) row[ir] += (r - ir) * weight;
+}
+
+// Accumulate anti-aliased coverage of one capsule (segment + radius) into the
+// raster's stroke mask. The radius goes linearly from ha at a to hb at b.
+// Only the raster's own pixels are visited, and in each row only those near the
+// part of the segment level with it, so a long diagonal costs its length, not its box.
+function coverSegment(raster, a, b, ha, hb) {
+    const { width, mask, spanMin, spanMax } = raster;
+    const hw = Math.max(ha, hb);
+    const sy0 = Math.max(0, Math.floor(Math.min(a.y, b.y) - hw - 1));
+    const sy1 = Math.min(raster.height - 1, Math.ceil(Math.max(a.y, b.y) + hw + 1));
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    for (let y = sy0; y <= sy1; y++) {
+        const py = y + 0.5;
+        let lo = Math.min(a.x, b.x), hi = Math.max(a.x, b.x);
+        if (dy !== 0) {
+            // Stretch of the segment within reach of this row
+            let t0 = (py - hw - 1 - a.y) / dy, t1 = (py + hw + 1 - a.y) / dy;
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            t0 = Math.max(0, t0); t1 = Math.min(1, t1);
+            if (t0 > t1) continue;
+            const xa = a.x + t0 * dx, xb = a.x + t1 * dx;
+            lo = Math.min(xa, xb); hi = Math.max(xa, xb);
+        }
+        const sx0 = Math.max(0, Math.floor(lo - hw - 1));
+        const sx1 = Math.min(width - 1, Math.ceil(hi + hw + 1));
+        if (sx1 < sx0) continue;
+        raster.spend(sx1 - sx0 + 1);
+        if (sx0 < spanMin[y]) spanMin[y] = sx0;
+        if (sx1 > spanMax[y]) spanMax[y] = sx1;
+        const row = y * width;
+        for (let x = sx0; x <= sx1; x++) {
+            const px = x + 0.5;
+            let t = len2 > 0 ? ((px - a.x) * dx + (py - a.y) * dy) / len2 : 0;
+            t = t < 0 ? 0 : t > 1 ? 1 : t;
+            const ex = px - (a.x + t * dx), ey = py - (a.y + t * dy);
+            const dist = Math.sqrt(ex * ex + ey * ey);
+            const k = Math.min(1, ha + (hb - ha) * t + 0.5 - dist);
+            if (k <= 0) continue;
+            if (k > mask[row + x]) mask[row + x] = k;
+        }
+    }
+}
+
+function to8(v) {
+    return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length, 0);
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body), 0);
+    return Buffer.concat([len, body, crc]);
+}
@@ -0,0 +1,81 @@
+
+// Per-socket rate limiting with token buckets.
+// Every inbound event draws from the bucket configured for its name (or the
+// default one). Events over the limit are dropped, and each drop - like each
+// malformed payload reported via strike() - costs a token from a separate
+// strike bucket. A client that runs that one dry is flooding on purpose or is
+// broken, and gets disconnected.
+
+export class TokenBucket {
+    /**
+     * @param {Object} opts
+     * @param {number} opts.capacity burst size
+     * @param {number} opts.refillPerSec sustained rate
+     */
+    constructor({ capacity, refillPerSec }) {
+        this.capacity = capacity;
+        this.refillPerSec = refillPerSec;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /** Take n tokens if available. Returns false (taking nothing) otherwise. */
+    take(n = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec);
+        this.updatedAt = now;
+        if (this.tokens < n) return false;
+        this.tokens -= n;
+        return true;
+    }
+}
+
+// Limits per event name. Streaming events are sent at up to ~60 Hz by the client.
+export const DEFAULT_EVENT_LIMITS = {
+    "cursor:move": { capacity: 120, refillPerSec: 60 },
+    "draw:progress": { capacity: 120, refillPerSec: 70 },
+    "shape:progress": { capacity: 120, refillPerSec: 70 },
+    "text:progress": { capacity: 120, refillPerSec: 70 },
+    "draw:commit": { capacity: 40, refillPerSec: 15 },
+    // Batches of offline commits; clients send one a second (see RealtimeClient.flushOutbox).
+    "draw:commitBatch": { capacity: 5, refillPerSec: 1 },
+    "reaction": { capacity: 10, refillPerSec: 2 },
+    "state:request": { capacity: 5, refillPerSec: 0.5 },
+    default: { capacity: 20, refillPerSec: 5 },
+};
+
+// Dropped or malformed events tolerated before disconnecting.
+const DEFAULT_STRIKES = { capacity: 30, refillPerSec: 1 };
+
+export class SocketRateLimiter {
+    /**
+     * @param {Object} [opts]
+     * @param {Object} [opts.limits] per-event bucket settings, see DEFAULT_EVENT_LIMITS
+     * @param {{capacity:number, refillPerSec:number}} [opts.strikes]
+     */
+    constructor({ limits = DEFAULT_EVENT_LIMITS, strikes = DEFAULT_STRIKES } = {}) {
+        this.limits = limits;
+        this.buckets = new Map(); // event name -> TokenBucket
+        this.strikes = new TokenBucket(strikes);
+    }
+
+    /**
+     * Account for one inbound event. Returns "ok", "drop" (over the limit) or
+     * "disconnect" (too many strikes).
+     */
+    check(event) {
+        const key = this.limits[event] ? event : "default";
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(this.limits[key]);
+            this.buckets.set(key, bucket);
+        }
+        if (bucket.take()) return "ok";
+        return this.strike();
+    }
+
+    /** Record a bad event. Returns "drop", or "disconnect" once strikes run out. */
+    strike() {
+        return this.strikes.take() ? "drop" : "disconnect";
+    }
+}
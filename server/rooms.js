@@ -1,30 +1,356 @@
 // RoomManager tracks per-room drawing state and connected users.
-// For this MVP we keep everything in memory and keyed by roomId.
+// Rooms are created explicitly (createRoom) and otherwise only opened if they
+// already exist. Live rooms are kept in memory keyed by roomId; when a storage
+// backend is configured, each room's history is loaded from it on first access
+// and every change is appended to the room's log. Rooms nobody has used for a
+// while are evicted from memory again (evictIdle).
+// Each room also has meta (name, owner, per-user roles, activity) that is saved
+// alongside its history; see permissions.js for what each role may do.
+// A room has one or more named pages, listed in its meta, and each page has
+// its own DrawingState: its own log, versions, undo and checkpoints. The pages
+// share the room's storage; journal entries are tagged with their pageId.
+//
+// Several server nodes can serve a room at once when they share a bus (bus.js)
+// and a storage directory. Every node that has the room open keeps a replica;
+// the node holding the room's lease is its only writer. Changes therefore run
+// as named commands (see command/run) on that node, which journals them,
+// persists them and publishes the journal entries for the replicas to replay.
+// Presence and meta changes are published on the same per-room channel.
+// A node that finds no live lease claims the room and reloads it from storage.
+import { EventEmitter } from "events";
+import { nanoid } from "nanoid";
 import { DrawingState } from "./drawing-state.js";
+import { ASSIGNABLE_ROLES, DEFAULT_ROLE } from "./permissions.js";
+import { LocalBus } from "./bus.js";
+import { LIMITS } from "./validation.js";
 
-export class RoomManager {
-    constructor() {
-        this.rooms = new Map(); // roomId -> { state: DrawingState, users: Map<socketId, user> }
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// The page of rooms created before there were pages (their entries carry no pageId)
+const DEFAULT_PAGE_ID = "main";
+const MAX_PAGES = 50;
+
+const roomChannel = (roomId) => `room:${roomId}`;
+const roomLease = (roomId) => `room-owner:${roomId}`;
+
+/**
+ * socket.io room of the sockets showing one page; page-scoped broadcasts go there.
+ */
+export const pageRoom = (roomId, pageId) => `${roomId}:${pageId}`;
+
+/**
+ * Whether a string is acceptable as a roomId (URL- and file-name-safe).
+ */
+export function isValidRoomId(roomId) {
+    return typeof roomId === "string" && ROOM_ID_PATTERN.test(roomId);
+}
+
+/**
+ * Emits "userJoined" / "userLeft" (roomId, user) when users on other nodes turn
+ * out to be present, or are gone with their node, without having broadcast it
+ * themselves.
+ */
+export class RoomManager extends EventEmitter {
+    /**
+     * @param {Object} [opts]
+     * @param {Object} [opts.storage] storage backend (see storage.js); omit for memory only
+     * @param {number} [opts.compactEvery] compact a room's log after this many entries
+     * @param {Object} [opts.bus] bus connection (see bus.js); omit to run as a single node
+     * @param {number} [opts.leaseTtlMs] how long room ownership lasts unless renewed
+     */
+    constructor({ storage = null, compactEvery = 500, bus = null, leaseTtlMs = 15_000 } = {}) {
+        super();
+        // roomId -> { states: Map<pageId, DrawingState>, users: Map<socketId, user>, remoteUsers: Map<socketId, { nodeId, user }>,
+        //             pendingEntries, meta, lastActive, owner: nodeId|null, leaseUntil }
+        // Users carry the pageId their socket is on.
+        this.rooms = new Map();
+        this.storage = storage;
+        this.compactEvery = compactEvery;
+        this.bus = bus || new LocalBus().connect();
+        this.nodeId = this.bus.nodeId;
+        this.leaseTtlMs = leaseTtlMs;
+        this.commands = new Map(); // name -> (roomId, payload) => result
+        this.bus.onRequest = ({ roomId, name, payload }) => this.execute(roomId, name, payload);
+        this.bus.onNodeDown = (nodeId) => this.dropNode(nodeId);
+    }
+
+    /**
+     * Create a new, empty room with a random id. Returns the roomId.
+     * @param {{ name?: string, ownerId?: string|null }} [opts]
+     */
+    createRoom({ name = "", ownerId = null } = {}) {
+        let roomId = nanoid(10);
+        while (this.exists(roomId)) roomId = nanoid(10);
+        const room = this.register(roomId, { states: new Map(), pendingEntries: 0 }, this.loadMeta(null));
+        room.meta.name = name;
+        room.meta.ownerId = ownerId;
+        room.meta.createdAt = room.lastActive;
+        this.saveMeta(roomId, room);
+        return roomId;
+    }
+
+    /**
+     * Whether a room is live or stored.
+     */
+    exists(roomId) {
+        if (this.rooms.has(roomId)) return true;
+        if (!this.storage || !isValidRoomId(roomId)) return false;
+        return this.storage.has(roomId);
+    }
+
+    /**
+     * Get a room's record, loading it from storage on first access.
+     * Returns null for rooms that were never created; nothing is created here.
+     */
+    openRoom(roomId) {
+        const live = this.rooms.get(roomId);
+        if (live) return live;
+        if (!this.exists(roomId)) return null;
+        return this.register(roomId, this.loadState(roomId), this.loadMeta(roomId));
+    }
+
+    // Keep a room in memory and follow its channel. Other nodes answer the
+    // hello with the users they have in the room.
+    register(roomId, loaded, meta) {
+        const room = { users: new Map(), remoteUsers: new Map(), meta, lastActive: Date.now(), owner: null, leaseUntil: 0 };
+        this.attachState(roomId, room, loaded);
+        this.rooms.set(roomId, room);
+        this.bus.subscribe(roomChannel(roomId), (message, from) => this.receive(roomId, message, from));
+        this.bus.publish(roomChannel(roomId), { kind: "hello" });
+        return room;
+    }
+
+    attachState(roomId, room, { states, pendingEntries }) {
+        room.states = states;
+        room.pendingEntries = pendingEntries;
+        this.syncPages(roomId, room);
+    }
+
+    // Match the page states to the pages in the room's meta: new pages start
+    // empty, states of deleted pages are dropped. Journal changes to storage and
+    // to the replicas, tagged with their page. Only the owner changes the
+    // states; replicas replay entries with the journal detached.
+    syncPages(roomId, room) {
+        const pageIds = new Set(room.meta.pages.map((page) => page.id));
+        for (const pageId of room.states.keys()) {
+            if (!pageIds.has(pageId)) room.states.delete(pageId);
+        }
+        for (const pageId of pageIds) {
+            const state = room.states.get(pageId) || new DrawingState();
+            room.states.set(pageId, state);
+            state.journal = (entry) => {
+                const tagged = { ...entry, pageId };
+                room.lastActive = Date.now();
+                if (this.storage) this.persist(roomId, room, tagged);
+                this.bus.publish(roomChannel(roomId), { kind: "entry", entry: tagged });
+            };
+        }
+    }
+
+    /**
+     * Restore a room's page states from storage (or start empty).
+     * Also reports how many uncompacted log entries were replayed.
+     */
+    loadState(roomId) {
+        const empty = { states: new Map(), pendingEntries: 0 };
+        if (!this.storage) return empty;
+        try {
+            const saved = this.storage.load(roomId);
+            if (!saved) return empty;
+            const states = restorePages(saved);
+            // eslint-disable-next-line no-console
+            console.log('[server] room loaded from storage', { roomId, pages: states.size, version: totalVersion(states), ops: totalOperations(states) });
+            return { states, pendingEntries: saved.entries.length };
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to load room, starting empty', { roomId, error: err?.message });
+            return empty;
+        }
+    }
+
+    /**
+     * Load a room's meta from storage, filling in defaults (roomId null: defaults only).
+     */
+    loadMeta(roomId) {
+        let saved = null;
+        if (this.storage && roomId !== null) {
+            try {
+                saved = this.storage.loadMeta(roomId);
+            } catch (err) {
+                // eslint-disable-next-line no-console
+                console.error('[server] failed to load room meta', { roomId, error: err?.message });
+            }
+        }
+        return {
+            name: typeof saved?.name === "string" ? saved.name : "",
+            createdAt: saved?.createdAt ?? null,
+            lastActive: saved?.lastActive ?? null,
+            // Size as of the last time the room was unloaded, for listings.
+            stats: saved?.stats ?? null,
+            ownerId: saved?.ownerId ?? null,
+            roles: { ...(saved?.roles || {}) },
+            defaultRole: ASSIGNABLE_ROLES.includes(saved?.defaultRole) ? saved.defaultRole : DEFAULT_ROLE,
+            pages: Array.isArray(saved?.pages) && saved.pages.length > 0
+                ? saved.pages.map(({ id, name }) => ({ id, name }))
+                : [{ id: DEFAULT_PAGE_ID, name: "Page 1" }],
+        };
+    }
+
+    saveMeta(roomId, room) {
+        this.bus.publish(roomChannel(roomId), { kind: "meta", meta: room.meta });
+        if (!this.storage) return;
+        try {
+            this.storage.saveMeta(roomId, room.meta);
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to save room meta', { roomId, error: err?.message });
+        }
     }
 
     /**
-     * Ensure a room record exists for a given roomId.
-     * Creates a new DrawingState and empty users map on first access.
+     * Append one journal entry and compact once the log grows past the threshold.
      */
-    ensureRoom(roomId) {
-        if (!this.rooms.has(roomId)) {
-            this.rooms.set(roomId, { state: new DrawingState(), users: new Map() });
+    persist(roomId, room, entry) {
+        try {
+            this.storage.append(roomId, entry);
+            room.pendingEntries += 1;
+            if (room.pendingEntries >= this.compactEvery) this.compact(roomId);
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to persist change', { roomId, error: err?.message });
         }
     }
 
     /**
-     * Add a socket to a room and register its user payload.
+     * Fold a room's log into a fresh snapshot of all its pages. No-op when nothing changed.
      */
-    join(socket, roomId, user) {
-        this.ensureRoom(roomId);
+    compact(roomId) {
         const room = this.rooms.get(roomId);
-        room.users.set(socket.id, user);
+        if (!room || !this.storage || room.pendingEntries === 0 || room.owner !== this.nodeId) return;
+        try {
+            const pages = Object.fromEntries(Array.from(room.states, ([pageId, state]) => [pageId, state.toJSON()]));
+            this.storage.compact(roomId, { pages });
+            room.pendingEntries = 0;
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to compact room', { roomId, error: err?.message });
+        }
+    }
+
+    /**
+     * Compact every loaded room. Called periodically and on shutdown.
+     */
+    compactAll() {
+        for (const roomId of this.rooms.keys()) this.compact(roomId);
+    }
+
+    /**
+     * Unload rooms that have had no users on this node and no changes for ttlMs.
+     * The owner compacts their history first and hands the lease back; rooms
+     * that never got any content are deleted outright once no node has users
+     * in them. Without storage only empty rooms are dropped, since unloading
+     * would lose their history. Returns the evicted roomIds.
+     */
+    evictIdle(ttlMs) {
+        const now = Date.now();
+        const evicted = [];
+        for (const [roomId, room] of this.rooms) {
+            if (room.users.size > 0 || now - room.lastActive < ttlMs) continue;
+            const empty = totalVersion(room.states) === 0 && room.meta.pages.length === 1;
+            if (!this.storage && !empty) continue;
+            const owned = room.owner === this.nodeId;
+            if (empty) {
+                if (room.remoteUsers.size === 0 && (owned || room.owner === null)) this.storage?.remove(roomId);
+            } else if (owned) {
+                this.compact(roomId);
+                room.meta.lastActive = room.lastActive;
+                room.meta.stats = { version: totalVersion(room.states), operations: totalOperations(room.states) };
+                this.saveMeta(roomId, room);
+            }
+            if (owned) this.bus.release(roomLease(roomId)).catch(() => {});
+            this.bus.unsubscribe(roomChannel(roomId));
+            this.rooms.delete(roomId);
+            evicted.push(roomId);
+        }
+        if (evicted.length > 0) {
+            // eslint-disable-next-line no-console
+            console.log('[server] evicted idle rooms', { count: evicted.length, live: this.rooms.size });
+        }
+        return evicted;
+    }
+
+    /**
+     * Summary of one room (live or stored), or null if it does not exist.
+     * Stored rooms are described from their meta without loading their history.
+     */
+    describeRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (room) {
+            return {
+                roomId,
+                name: room.meta.name,
+                createdAt: room.meta.createdAt,
+                lastActive: room.lastActive,
+                users: this.getUsers(roomId).length,
+                pages: room.meta.pages.map((page) => ({ ...page })),
+                version: totalVersion(room.states),
+                operations: totalOperations(room.states),
+                loaded: true,
+            };
+        }
+        if (!this.exists(roomId)) return null;
+        const meta = this.loadMeta(roomId);
+        return {
+            roomId,
+            name: meta.name,
+            createdAt: meta.createdAt,
+            lastActive: meta.lastActive,
+            users: 0,
+            pages: meta.pages,
+            version: meta.stats?.version ?? null,
+            operations: meta.stats?.operations ?? null,
+            loaded: false,
+        };
+    }
+
+    /**
+     * Summaries of every live and stored room, most recently active first.
+     */
+    listRooms() {
+        const ids = new Set([...this.rooms.keys(), ...(this.storage?.list() || [])]);
+        return Array.from(ids)
+            .map((roomId) => this.describeRoom(roomId))
+            .filter(Boolean)
+            .sort((a, b) => (b.lastActive ?? 0) - (a.lastActive ?? 0));
+    }
+
+    /**
+     * Add a socket to an existing room, on one of its pages, and register its user payload.
+     */
+    join(socket, roomId, user, pageId) {
+        const room = this.openRoom(roomId);
+        if (!room) throw new Error("Room not found");
+        if (!room.states.has(pageId)) throw new Error("Page not found");
+        const present = { ...user, pageId };
+        room.users.set(socket.id, present);
+        room.lastActive = Date.now();
         socket.join(roomId);
+        socket.join(pageRoom(roomId, pageId));
+        this.bus.publish(roomChannel(roomId), { kind: "join", socketId: socket.id, user: present });
+    }
+
+    /**
+     * Move a socket to another page of its room: it stops getting the old
+     * page's broadcasts, gets the new page's, and its user shows up there.
+     */
+    setPage(socket, roomId, pageId) {
+        const room = this.rooms.get(roomId);
+        const user = room?.users.get(socket.id);
+        if (!user) throw new Error("Not in the room");
+        if (!room.states.has(pageId)) throw new Error("Page not found");
+        socket.leave(pageRoom(roomId, user.pageId));
+        socket.join(pageRoom(roomId, pageId));
+        room.users.set(socket.id, { ...user, pageId });
+        this.bus.publish(roomChannel(roomId), { kind: "page", socketId: socket.id, pageId });
     }
 
     /**
@@ -33,25 +359,344 @@ export class RoomManager {
     leave(socket, roomId) {
         const room = this.rooms.get(roomId);
         if (!room) return;
+        const user = room.users.get(socket.id);
         room.users.delete(socket.id);
+        room.lastActive = Date.now();
         socket.leave(roomId);
+        if (user) socket.leave(pageRoom(roomId, user.pageId));
+        this.bus.publish(roomChannel(roomId), { kind: "leave", socketId: socket.id });
+    }
+
+    /**
+     * Get the DrawingState of a room's page, or null if either does not exist.
+     */
+    getState(roomId, pageId) {
+        return this.openRoom(roomId)?.states.get(pageId) ?? null;
+    }
+
+    /**
+     * The pages of a room, in order: [{ id, name }]. Null if the room does not exist.
+     */
+    getPages(roomId) {
+        return this.openRoom(roomId)?.meta.pages.map((page) => ({ ...page })) ?? null;
+    }
+
+    /**
+     * Add an empty page at the end of a room. Returns it as { id, name }.
+     * Pages live in the room's meta, so like setRole this belongs inside a command.
+     */
+    addPage(roomId, name) {
+        const room = this.openRoom(roomId);
+        if (!room) throw new Error("Room not found");
+        if (room.meta.pages.length >= MAX_PAGES) throw new Error(`A room has at most ${MAX_PAGES} pages`);
+        const page = { id: nanoid(8), name: checkPageName(name) };
+        room.meta.pages.push(page);
+        this.syncPages(roomId, room);
+        this.saveMeta(roomId, room);
+        return { ...page };
+    }
+
+    renamePage(roomId, pageId, name) {
+        const page = this.openRoom(roomId)?.meta.pages.find((p) => p.id === pageId);
+        if (!page) throw new Error("Page not found");
+        page.name = checkPageName(name);
+        this.saveMeta(roomId, this.rooms.get(roomId));
     }
 
     /**
-     * Get the DrawingState for a room (creating the room if needed).
+     * Delete a page and its history. The last page of a room cannot be deleted.
      */
-    getState(roomId) {
-        this.ensureRoom(roomId);
-        return this.rooms.get(roomId).state;
+    removePage(roomId, pageId) {
+        const room = this.openRoom(roomId);
+        if (!room || !room.states.has(pageId)) throw new Error("Page not found");
+        if (room.meta.pages.length === 1) throw new Error("A room needs at least one page");
+        room.meta.pages = room.meta.pages.filter((page) => page.id !== pageId);
+        this.syncPages(roomId, room);
+        this.saveMeta(roomId, room);
     }
 
     /**
-     * Get a simple array of currently present users for a room.
+     * Get a simple array of currently present users for a room, on any node.
+     * A user connected from several sockets (tabs, reconnects) is listed once.
      */
     getUsers(roomId) {
-        this.ensureRoom(roomId);
-        return Array.from(this.rooms.get(roomId).users.values());
+        const room = this.rooms.get(roomId);
+        if (!room) return [];
+        const byId = new Map();
+        for (const { user } of room.remoteUsers.values()) byId.set(user.userId, user);
+        for (const user of room.users.values()) byId.set(user.userId, user);
+        return Array.from(byId.values());
+    }
+
+    /**
+     * Make userId the owner of a room that has none yet. Returns true if claimed.
+     * Like setRole, this changes the room, so it belongs inside a command.
+     */
+    claimOwnership(roomId, userId) {
+        const room = this.openRoom(roomId);
+        if (!room || room.meta.ownerId || !userId) return false;
+        room.meta.ownerId = userId;
+        delete room.meta.roles[userId];
+        this.saveMeta(roomId, room);
+        return true;
+    }
+
+    /**
+     * Effective role of a user in a room: owner, an assigned role, or the default.
+     */
+    getRole(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return DEFAULT_ROLE;
+        if (userId && room.meta.ownerId === userId) return "owner";
+        return room.meta.roles[userId] || room.meta.defaultRole;
+    }
+
+    /**
+     * Assign an editor/viewer role to a user. The owner's role cannot be changed.
+     */
+    setRole(roomId, userId, role) {
+        if (!ASSIGNABLE_ROLES.includes(role)) throw new Error("Invalid role");
+        if (typeof userId !== "string" || !userId) throw new Error("Missing userId");
+        const room = this.openRoom(roomId);
+        if (!room) throw new Error("Room not found");
+        if (room.meta.ownerId === userId) throw new Error("The owner's role cannot be changed");
+        if (role === room.meta.defaultRole) delete room.meta.roles[userId];
+        else room.meta.roles[userId] = role;
+        this.saveMeta(roomId, room);
+    }
+
+    /**
+     * Client-facing view of a room's permissions.
+     */
+    getPermissions(roomId) {
+        const room = this.openRoom(roomId);
+        if (!room) return null;
+        const { ownerId, roles, defaultRole } = room.meta;
+        return { ownerId, roles: { ...roles }, defaultRole };
+    }
+
+    /**
+     * Whether any socket in the room, on any node, belongs to userId.
+     */
+    hasUser(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return false;
+        for (const user of room.users.values()) {
+            if (user.userId === userId) return true;
+        }
+        for (const { user } of room.remoteUsers.values()) {
+            if (user.userId === userId) return true;
+        }
+        return false;
+    }
+
+    // --- Ownership across nodes ---
+
+    /**
+     * Register a command: a change to a room that only its owner may make.
+     * The handler runs on the owning node and its result must be JSON.
+     * @param {string} name
+     * @param {(roomId: string, payload: any) => any} handler
+     */
+    command(name, handler) {
+        this.commands.set(name, handler);
+    }
+
+    /**
+     * Run a command on the node that owns the room, claiming the room first if
+     * no node does. Resolves to the command's result; rejects with its error.
+     */
+    async run(roomId, name, payload) {
+        const owner = await this.ownerOf(roomId);
+        if (owner === this.nodeId) return this.execute(roomId, name, payload);
+        try {
+            return await this.bus.request(owner, { roomId, name, payload });
+        } catch (err) {
+            // The command did not run there: the room moved or its node is gone.
+            if (err.code !== "ENOTOWNER" && err.code !== "ENOTCONNECTED") throw err;
+            const room = this.rooms.get(roomId);
+            if (room?.owner === owner) room.owner = null;
+            const next = await this.ownerOf(roomId);
+            if (next === this.nodeId) return this.execute(roomId, name, payload);
+            return this.bus.request(next, { roomId, name, payload });
+        }
+    }
+
+    /**
+     * Run a command here. Refuses (code ENOTOWNER) unless this node holds the room's lease.
+     */
+    execute(roomId, name, payload) {
+        const room = this.rooms.get(roomId);
+        if (!room || room.owner !== this.nodeId || room.leaseUntil <= Date.now()) {
+            const err = new Error("This node does not own the room");
+            err.code = "ENOTOWNER";
+            throw err;
+        }
+        const handler = this.commands.get(name);
+        if (!handler) throw new Error(`Unknown command ${name}`);
+        room.lastActive = Date.now();
+        return handler(roomId, payload);
+    }
+
+    /**
+     * The node that owns a room, as far as this node knows; asks the bus (and
+     * so claims the room) when that is unknown or this node's lease ran out.
+     */
+    async ownerOf(roomId) {
+        const known = this.openRoom(roomId);
+        if (!known) throw new Error("Room not found");
+        if (known.owner === this.nodeId ? known.leaseUntil > Date.now() : known.owner) return known.owner;
+        const claimedAt = Date.now();
+        const holder = await this.bus.claim(roomLease(roomId), this.leaseTtlMs);
+        const room = this.openRoom(roomId);
+        if (!room) throw new Error("Room not found");
+        this.setOwner(roomId, room, holder, claimedAt);
+        return holder;
+    }
+
+    // Record who owns a room. Gaining it means reloading from storage first,
+    // in case the previous owner stored changes it never got to publish.
+    setOwner(roomId, room, holder, claimedAt) {
+        const wasOwner = room.owner === this.nodeId;
+        room.owner = holder;
+        if (holder !== this.nodeId) {
+            room.leaseUntil = 0;
+            if (wasOwner) {
+                room.pendingEntries = 0; // the new owner compacts from now on
+                // eslint-disable-next-line no-console
+                console.warn('[server] lost room ownership', { roomId, owner: holder });
+            }
+            return;
+        }
+        // Measured from before the claim, so this node stops writing before the bus would hand the room on
+        room.leaseUntil = claimedAt + this.leaseTtlMs;
+        if (!wasOwner && this.storage) {
+            const loaded = this.loadState(roomId);
+            // Both are the same history up to some point, so equal totals mean equal states
+            if (totalVersion(loaded.states) !== totalVersion(room.states)) this.attachState(roomId, room, loaded);
+            else room.pendingEntries = loaded.pendingEntries;
+        }
+    }
+
+    /**
+     * Extend the leases of the rooms this node owns. Call well within leaseTtlMs.
+     */
+    async renewLeases() {
+        for (const [roomId, room] of this.rooms) {
+            if (room.owner !== this.nodeId) continue;
+            const claimedAt = Date.now();
+            const holder = await this.bus.claim(roomLease(roomId), this.leaseTtlMs);
+            const current = this.rooms.get(roomId);
+            if (current) this.setOwner(roomId, current, holder, claimedAt);
+            else if (holder === this.nodeId) await this.bus.release(roomLease(roomId)); // evicted meanwhile
+        }
+    }
+
+    /**
+     * Give up every room this node owns, e.g. on shutdown, so other nodes can take over at once.
+     */
+    async releaseAll() {
+        const owned = Array.from(this.rooms).filter(([, room]) => room.owner === this.nodeId);
+        for (const [, room] of owned) room.owner = null;
+        await Promise.all(owned.map(([roomId]) => this.bus.release(roomLease(roomId))));
+    }
+
+    // A message on a room's channel from another node.
+    receive(roomId, message, from) {
+        const room = this.rooms.get(roomId);
+        if (!room || !message) return;
+        if (message.kind === "entry") {
+            this.replay(roomId, room, message.entry);
+            if (room.owner === null) room.owner = from;
+        } else if (message.kind === "meta") {
+            room.meta = message.meta;
+            this.syncPages(roomId, room);
+        } else if (message.kind === "hello") {
+            for (const [socketId, user] of room.users) {
+                this.bus.publish(roomChannel(roomId), { kind: "join", socketId, user, resync: true });
+            }
+        } else if (message.kind === "join") {
+            // Fresh joins were broadcast by their node; users found through a hello were not.
+            const known = this.hasUser(roomId, message.user.userId);
+            room.remoteUsers.set(message.socketId, { nodeId: from, user: message.user });
+            if (message.resync && !known) this.emit("userJoined", roomId, message.user);
+        } else if (message.kind === "page") {
+            const remote = room.remoteUsers.get(message.socketId);
+            if (remote) remote.user = { ...remote.user, pageId: message.pageId };
+        } else if (message.kind === "leave") {
+            room.remoteUsers.delete(message.socketId);
+        }
+    }
+
+    // Apply a journal entry published by the owner to its page. Entries up to
+    // the page's version are already in it (it was loaded from storage after
+    // they were written); a gap means entries were missed, so storage is read again.
+    replay(roomId, room, entry) {
+        const state = entry && room.states.get(entry.pageId ?? DEFAULT_PAGE_ID);
+        if (!state || !(entry.version > state.version)) return;
+        if (entry.version !== state.version + 1) {
+            // eslint-disable-next-line no-console
+            console.warn('[server] replica fell behind, reloading room', { roomId, pageId: entry.pageId, version: state.version, entry: entry.version });
+            this.attachState(roomId, room, this.loadState(roomId));
+            return;
+        }
+        try {
+            state.applyLogEntry(entry);
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.warn('[server] skipping unreplayable entry', { roomId, kind: entry.kind, version: entry.version, error: err?.message });
+        }
+        state.version = entry.version;
+        room.lastActive = Date.now();
     }
+
+    // Forget the users and ownership of a node that left the bus.
+    dropNode(nodeId) {
+        for (const [roomId, room] of this.rooms) {
+            if (room.owner === nodeId) room.owner = null;
+            for (const [socketId, remote] of room.remoteUsers) {
+                if (remote.nodeId !== nodeId) continue;
+                room.remoteUsers.delete(socketId);
+                if (!this.hasUser(roomId, remote.user.userId)) this.emit("userLeft", roomId, remote.user);
+            }
+        }
+    }
+}
+
+// Rebuild the page states of a stored room: a snapshot of every page plus the
+// log entries written since, each tagged with its page. Rooms stored before
+// there were pages have a plain DrawingState snapshot and untagged entries,
+// which belong to the default page.
+function restorePages({ snapshot, entries }) {
+    const snapshots = snapshot?.pages ?? (snapshot ? { [DEFAULT_PAGE_ID]: snapshot } : {});
+    const entriesByPage = new Map();
+    for (const entry of entries || []) {
+        const pageId = entry.pageId ?? DEFAULT_PAGE_ID;
+        if (!entriesByPage.has(pageId)) entriesByPage.set(pageId, []);
+        entriesByPage.get(pageId).push(entry);
+    }
+    const pageIds = new Set([...Object.keys(snapshots), ...entriesByPage.keys()]);
+    return new Map(Array.from(pageIds, (pageId) => [
+        pageId,
+        DrawingState.restore({ snapshot: snapshots[pageId], entries: entriesByPage.get(pageId) }),
+    ]));
 }
 
+// Changes made to a room across its pages; every change bumps one page's version by one.
+function totalVersion(states) {
+    let total = 0;
+    for (const state of states.values()) total += state.version;
+    return total;
+}
 
+function totalOperations(states) {
+    let total = 0;
+    for (const state of states.values()) total += state.operations.length;
+    return total;
+}
+
+function checkPageName(name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > LIMITS.pageName) throw new Error("Invalid page name");
+    return trimmed;
+}
@@ -0,0 +1,28 @@
+
+// Issue a signed identity token for the local HMAC verifier.
+// Usage: AUTH_SECRET=... node scripts/issue-token.js --sub alice --name "Alice Doe" \
+//            [--avatar https://...] [--color #5c7cfa] [--days 30]
+import { signToken } from "../auth.js";
+
+const args = process.argv.slice(2);
+const opts = {};
+for (let i = 0; i < args.length; i += 2) {
+    const key = args[i]?.replace(/^--/, "");
+    if (key) opts[key] = args[i + 1];
+}
+
+const secret = process.env.AUTH_SECRET;
+if (!secret || !opts.sub || !opts.name) {
+    // eslint-disable-next-line no-console
+    console.error('usage: AUTH_SECRET=... node scripts/issue-token.js --sub <id> --name <name> [--avatar <url>] [--color <hex>] [--days <n>]');
+    process.exit(1);
+}
+
+const payload = { sub: opts.sub, name: opts.name };
+if (opts.avatar) payload.avatar = opts.avatar;
+if (opts.color) payload.color = opts.color;
+const days = Number(opts.days) || 30;
+payload.exp = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+
+// eslint-disable-next-line no-console
+console.log(signToken(payload, secret));
@@ -2,17 +2,67 @@ import express from "express";
 import http from "http";
 import { Server } from "socket.io";
 import { nanoid } from "nanoid";
-import { RoomManager } from "./rooms.js";
+import { RoomManager, isValidRoomId, pageRoom } from "./rooms.js";
+import { FileStorage, MemoryStorage } from "./storage.js";
+import { SessionStore } from "./sessions.js";
+import { createHmacVerifier, createAuthMiddleware } from "./auth.js";
+import { renderSvg, renderPng } from "./export.js";
+import { toBoardDocument, prepareImport } from "./board-document.js";
+import { sanitizeOperation } from "./drawing-state.js";
+import { can } from "./permissions.js";
+import { LIMITS, sanitizeCursor, sanitizeDrawProgress, sanitizeShapeProgress, sanitizeTextProgress, sanitizeReaction, sanitizeSetRole, sanitizeCheckpointName, sanitizeCheckpointRef, sanitizePageName, sanitizePageRef } from "./validation.js";
+import { SocketRateLimiter } from "./rate-limit.js";
+import { ASSET_TYPES, FileAssetStore, MemoryAssetStore, detectImageType } from "./assets.js";
+import { LocalBus } from "./bus.js";
+import { connectBus } from "./bus-tcp.js";
+import { createBusAdapter } from "./bus-adapter.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
 
 const PORT = process.env.PORT || 3000;
+// STORAGE=memory disables persistence; otherwise room logs live under DATA_DIR.
+const STORAGE = process.env.STORAGE || "file";
+const COMPACT_INTERVAL_MS = Number(process.env.COMPACT_INTERVAL_MS) || 60_000;
+// Rooms without users or changes for this long are unloaded (empty ones deleted).
+const ROOM_IDLE_TTL_MS = Number(process.env.ROOM_IDLE_TTL_MS) || 15 * 60_000;
+// Guest sessions unused for this long can no longer be resumed.
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60_000;
+// Bearer token for the GET /rooms admin listing; the listing is disabled without it.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// AUTH_SECRET enables signed identity tokens (see auth.js); AUTH_REQUIRED=1 turns guests away.
+const AUTH_SECRET = process.env.AUTH_SECRET || "";
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === "1" || process.env.AUTH_REQUIRED === "true";
+// Largest image upload accepted by POST /rooms/:roomId/assets.
+const MAX_ASSET_BYTES = Number(process.env.MAX_ASSET_BYTES) || 10 * 1024 * 1024;
+// Server the bundled client should talk to when it is not this one (see client/config.js).
+const PUBLIC_SERVER_URL = process.env.PUBLIC_SERVER_URL || null;
+// Other servers a link may point the bundled client at with ?server= (comma-separated URLs).
+const ALLOWED_SERVER_URLS = (process.env.ALLOWED_SERVER_URLS || "").split(",").map((url) => url.trim()).filter(Boolean);
+// BUS_URL (tcp://host:port, see bus-tcp.js) lets several processes serve the same
+// rooms; they must share DATA_DIR (rooms, assets and guest sessions live there, so
+// a session issued by one process is resumed by any other), and clients must
+// stick to one process per connection (sticky sessions, or websocket-only
+// transports) behind a balancer.
+const BUS_URL = process.env.BUS_URL || "";
+const NODE_ID = process.env.NODE_ID || nanoid(8);
+
+if (BUS_URL && STORAGE === "memory") {
+    throw new Error("BUS_URL needs file storage shared by all nodes; STORAGE=memory cannot be used with it");
+}
+const bus = BUS_URL ? await connectBus(BUS_URL, NODE_ID) : new LocalBus().connect(NODE_ID);
+bus.onClose = () => {
+    // Without the bus this node can no longer tell who owns a room; let the supervisor restart it.
+    // eslint-disable-next-line no-console
+    console.error('[server] lost the bus connection, exiting');
+    process.exit(1);
+};
 
 const app = express();
 const httpServer = http.createServer(app);
 const io = new Server(httpServer, {
     cors: { origin: "*" },
+    adapter: createBusAdapter(bus),
 });
 
 const __filename = fileURLToPath(import.meta.url);
@@ -27,7 +77,441 @@ app.get("/health", (_req, res) => {
     res.json({ ok: true });
 });
 
-const roomManager = new RoomManager();
+// Client configuration; a config.json in the client directory takes precedence.
+app.get("/config.json", (_req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json({ serverUrl: PUBLIC_SERVER_URL, allowedServers: ALLOWED_SERVER_URLS });
+});
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, "data");
+const storage = STORAGE === "memory" ? new MemoryStorage() : new FileStorage({ dir: path.join(DATA_DIR, "rooms") });
+const roomManager = new RoomManager({ storage, bus });
+const sessions = STORAGE === "memory"
+    ? new SessionStore({ ttlMs: SESSION_TTL_MS })
+    : new SessionStore({ dir: path.join(DATA_DIR, "sessions"), legacyFile: path.join(DATA_DIR, "sessions.json"), ttlMs: SESSION_TTL_MS });
+const assets = STORAGE === "memory" ? new MemoryAssetStore() : new FileAssetStore({ dir: path.join(DATA_DIR, "assets") });
+
+if (AUTH_REQUIRED && !AUTH_SECRET) {
+    throw new Error("AUTH_REQUIRED is set but AUTH_SECRET is missing");
+}
+io.use(createAuthMiddleware({
+    verifier: AUTH_SECRET ? createHmacVerifier({ secret: AUTH_SECRET }) : null,
+    required: AUTH_REQUIRED,
+}));
+
+// Connections must name a room that exists; rooms are only created via POST /rooms.
+io.use((socket, next) => {
+    const roomId = socket.handshake.query.roomId;
+    if (!isValidRoomId(roomId)) return next(new Error("Missing or invalid roomId"));
+    if (!roomManager.exists(roomId)) return next(new Error("Room not found"));
+    next();
+});
+
+// Changes to a room run as commands on the node that owns it (see rooms.js),
+// so one writer assigns versions and broadcasts them in order. Other nodes
+// forward the command and get its result back. Board changes are made to one
+// page and broadcast only to the sockets showing it.
+function pageState(roomId, pageId) {
+    const state = roomManager.getState(roomId, pageId);
+    if (!state) throw new Error("Page not found");
+    return state;
+}
+
+function commitOperation(roomId, pageId, userId, op) {
+    const state = pageState(roomId, pageId);
+    const opWithMeta = {
+        ...sanitizeOperation(op),
+        id: nanoid(10),
+        userId,
+        timestamp: Date.now(),
+    };
+    state.addOperation(opWithMeta);
+    // eslint-disable-next-line no-console
+    console.log('[server] draw:commit', { roomId, pageId, userId, opType: op?.type });
+    // The resulting version travels alongside so clients can detect gaps.
+    io.in(pageRoom(roomId, pageId)).emit("draw:commit", opWithMeta, state.version);
+    return { id: opWithMeta.id, version: state.version };
+}
+
+roomManager.command("commit", (roomId, { op, userId, pageId }) => commitOperation(roomId, pageId, userId, op));
+
+// Commits queued by a client while it was offline arrive together. Each op is
+// applied and broadcast on its own; an invalid one is skipped (its id is null)
+// and reported, without holding back the rest.
+roomManager.command("commitBatch", (roomId, { ops, userId, pageId }) => {
+    const ids = [];
+    let error = null;
+    for (const op of ops) {
+        try {
+            ids.push(commitOperation(roomId, pageId, userId, op).id);
+        } catch (err) {
+            ids.push(null);
+            error ??= err?.message || "Invalid operation";
+        }
+    }
+    return { ids, error, version: pageState(roomId, pageId).version };
+});
+
+roomManager.command("undo", (roomId, { userId, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const op = state.undo(userId);
+    if (op) io.in(pageRoom(roomId, pageId)).emit("op:removed", { version: state.version, id: op.id });
+    return { ok: !!op, version: state.version };
+});
+
+roomManager.command("redo", (roomId, { userId, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const restored = state.redo(userId);
+    if (restored) io.in(pageRoom(roomId, pageId)).emit("op:restored", { version: state.version, op: restored.op, index: restored.index });
+    return { ok: !!restored, version: state.version };
+});
+
+roomManager.command("clearUser", (roomId, { userId, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const removed = state.removeByUser(userId);
+    if (removed > 0) {
+        // eslint-disable-next-line no-console
+        console.log('[server] broadcasting state after clearUser', { version: state.version, removed });
+        io.in(pageRoom(roomId, pageId)).emit("ops:removedByUser", { version: state.version, userId });
+    }
+    return { ok: removed > 0, removed, version: state.version };
+});
+
+roomManager.command("clearAll", (roomId, { pageId }) => {
+    const state = pageState(roomId, pageId);
+    const removed = state.clearAll();
+    if (removed > 0) io.in(pageRoom(roomId, pageId)).emit("ops:cleared", { version: state.version });
+    return { ok: removed > 0, removed, version: state.version };
+});
+
+roomManager.command("import", (roomId, { ops, replace, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const imported = state.importOperations(ops, { replace });
+    // eslint-disable-next-line no-console
+    console.log('[server] import', { roomId, pageId, imported, replace, version: state.version });
+    // An import is a bulk change, so everyone gets a fresh snapshot.
+    io.in(pageRoom(roomId, pageId)).emit("state:full", state.getSnapshot());
+    return { imported, version: state.version };
+});
+
+roomManager.command("createCheckpoint", (roomId, { name, userId, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const checkpoint = state.createCheckpoint({ id: nanoid(10), name, userId, createdAt: Date.now() });
+    // eslint-disable-next-line no-console
+    console.log('[server] checkpoint created', { roomId, pageId, userId, checkpointId: checkpoint.id, ops: checkpoint.operations });
+    // Changes nothing on the canvas, but it is a version like any other
+    io.in(pageRoom(roomId, pageId)).emit("checkpoint:created", { version: state.version, checkpoint });
+    return { checkpoint, version: state.version };
+});
+
+roomManager.command("restoreCheckpoint", (roomId, { id, userId, pageId }) => {
+    const state = pageState(roomId, pageId);
+    const restored = state.restoreCheckpoint(id);
+    // eslint-disable-next-line no-console
+    console.log('[server] checkpoint restored', { roomId, pageId, userId, checkpointId: id, restored, version: state.version });
+    io.in(pageRoom(roomId, pageId)).emit("state:full", state.getSnapshot());
+    return { restored, version: state.version };
+});
+
+// The page list is part of the room's meta; everyone in the room gets the new one.
+roomManager.command("addPage", (roomId, { name }) => {
+    const page = roomManager.addPage(roomId, name);
+    io.in(roomId).emit("pages:update", { pages: roomManager.getPages(roomId) });
+    return page;
+});
+
+roomManager.command("renamePage", (roomId, { pageId, name }) => {
+    roomManager.renamePage(roomId, pageId, name);
+    io.in(roomId).emit("pages:update", { pages: roomManager.getPages(roomId) });
+});
+
+roomManager.command("removePage", (roomId, { pageId }) => {
+    roomManager.removePage(roomId, pageId);
+    // eslint-disable-next-line no-console
+    console.log('[server] page removed', { roomId, pageId });
+    io.in(roomId).emit("pages:update", { pages: roomManager.getPages(roomId) });
+});
+
+roomManager.command("claimOwnership", (roomId, { userId }) => {
+    const claimed = roomManager.claimOwnership(roomId, userId);
+    if (claimed) {
+        // eslint-disable-next-line no-console
+        console.log('[server] room ownership claimed', { roomId, userId });
+        io.in(roomId).emit("room:permissions", roomManager.getPermissions(roomId));
+    }
+    return claimed;
+});
+
+roomManager.command("setRole", (roomId, { userId, role }) => {
+    roomManager.setRole(roomId, userId, role);
+    io.in(roomId).emit("room:permissions", roomManager.getPermissions(roomId));
+});
+
+// Users on other nodes that this node learned about late, or lost with their node.
+roomManager.on("userJoined", (roomId, user) => io.local.to(roomId).emit("presence:join", { user }));
+roomManager.on("userLeft", (roomId, user) => io.local.to(roomId).emit("presence:leave", { userId: user.userId }));
+
+// Create a room with a random id. Body: { name? }. The X-Codraw-Session header,
+// when it names a known session, makes that user the owner; otherwise the first
+// user to join claims ownership.
+app.post("/rooms", express.json({ limit: "16kb" }), (req, res) => {
+    const name = typeof req.body?.name === "string" ? req.body.name.trim().slice(0, 80) : "";
+    const creator = sessions.resume(req.get("x-codraw-session"));
+    const roomId = roomManager.createRoom({ name, ownerId: creator?.userId ?? null });
+    // eslint-disable-next-line no-console
+    console.log('[server] room created', { roomId, name, ownerId: creator?.userId ?? null });
+    res.status(201).json({ ok: true, roomId, name });
+});
+
+// Admin listing of every room with its size, user count and last activity.
+app.get("/rooms", (req, res) => {
+    if (!ADMIN_TOKEN) {
+        res.status(404).json({ ok: false, error: "Room listing is disabled" });
+        return;
+    }
+    if (req.get("authorization") !== `Bearer ${ADMIN_TOKEN}`) {
+        res.status(401).json({ ok: false, error: "Unauthorized" });
+        return;
+    }
+    res.json({ ok: true, rooms: roomManager.listRooms() });
+});
+
+// Public summary of a single room; the lobby uses it to show recent rooms.
+app.get("/rooms/:roomId", (req, res) => {
+    const info = isValidRoomId(req.params.roomId) ? roomManager.describeRoom(req.params.roomId) : null;
+    if (!info) {
+        res.status(404).json({ ok: false, error: "Room not found" });
+        return;
+    }
+    const { roomId, name, createdAt, lastActive, users, pages } = info;
+    res.json({ ok: true, roomId, name, createdAt, lastActive, users, pages });
+});
+
+// Resolve :roomId and the page named by ?page= (the room's first page by
+// default) to req.pageId and the page's DrawingState (req.state), or answer 404.
+// The routes below all work on one page.
+function requireRoom(req, res, next) {
+    const { roomId } = req.params;
+    const pages = isValidRoomId(roomId) ? roomManager.getPages(roomId) : null;
+    if (!pages) {
+        res.status(404).json({ ok: false, error: "Room not found" });
+        return;
+    }
+    const pageId = typeof req.query.page === "string" ? req.query.page : pages[0].id;
+    const state = roomManager.getState(roomId, pageId);
+    if (!state) {
+        res.status(404).json({ ok: false, error: "Page not found" });
+        return;
+    }
+    req.pageId = pageId;
+    req.state = state;
+    next();
+}
+
+// Export the full board (not just the visible viewport) as SVG or PNG.
+// Query: ?background=<color>&padding=<px>, plus &scale=<0.1..4> for PNG.
+app.get("/rooms/:roomId/export.svg", requireRoom, (req, res) => {
+    const { operations } = req.state.getSnapshot();
+    const svg = renderSvg(operations, { ...exportOptions(req.query), getAsset: (assetId) => assets.get(assetId) });
+    res.type("image/svg+xml").send(svg);
+});
+
+app.get("/rooms/:roomId/export.png", requireRoom, (req, res) => {
+    const { operations } = req.state.getSnapshot();
+    const scale = Math.max(0.1, Math.min(4, Number(req.query.scale) || 1));
+    let png;
+    try {
+        png = renderPng(operations, { ...exportOptions(req.query), scale });
+    } catch (err) {
+        if (err?.code !== "ETOOLARGE") throw err;
+        res.status(413).json({ ok: false, error: `${err.message}; try a smaller scale or the SVG export` });
+        return;
+    }
+    res.type("image/png").send(png);
+});
+
+// Download a room's operation log as a versioned JSON document.
+app.get("/rooms/:roomId/operations", requireRoom, (req, res) => {
+    const { roomId } = req.params;
+    const doc = toBoardDocument(roomId, req.state.getSnapshot());
+    if (req.query.download) {
+        res.attachment(`${roomId}.codraw.json`);
+    }
+    res.json(doc);
+});
+
+// Import a board document. ?mode=append (default) adds to the history,
+// ?mode=replace discards it first. The X-Codraw-Session header identifies the
+// importing user, who needs the editor role (owner for replace); imported
+// operations are attributed to them.
+app.post("/rooms/:roomId/import", requireRoom, express.json({ limit: "20mb" }), async (req, res) => {
+    const { roomId } = req.params;
+    const replace = req.query.mode === "replace";
+    const importer = sessions.resume(req.get("x-codraw-session"));
+    if (!importer) {
+        res.status(401).json({ ok: false, error: "Unknown session" });
+        return;
+    }
+    const role = roomManager.getRole(roomId, importer.userId);
+    if (!can(role, replace ? "clearBoard" : "draw")) {
+        res.status(403).json({ ok: false, error: `Your role (${role}) cannot ${replace ? "replace" : "import into"} this board` });
+        return;
+    }
+    try {
+        const ops = prepareImport(req.body, { createId: () => nanoid(10), userId: importer.userId });
+        const { imported, version } = await roomManager.run(roomId, "import", { ops, replace, pageId: req.pageId });
+        res.json({ ok: true, imported, version });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err?.message || "Invalid document" });
+    }
+});
+
+// Named checkpoints of the board (see DrawingState.createCheckpoint). Anyone who
+// can open the room may list them and compare them with the board; saving one
+// needs the editor role and restoring one, which replaces the board for
+// everyone, the owner's. The X-Codraw-Session header identifies the user.
+app.get("/rooms/:roomId/checkpoints", requireRoom, (req, res) => {
+    res.json({ ok: true, checkpoints: req.state.listCheckpoints() });
+});
+
+app.post("/rooms/:roomId/checkpoints", requireRoom, express.json({ limit: "16kb" }), async (req, res) => {
+    const { roomId } = req.params;
+    const creator = sessions.resume(req.get("x-codraw-session"));
+    if (!creator) {
+        res.status(401).json({ ok: false, error: "Unknown session" });
+        return;
+    }
+    const role = roomManager.getRole(roomId, creator.userId);
+    if (!can(role, "draw")) {
+        res.status(403).json({ ok: false, error: `Your role (${role}) cannot save checkpoints of this board` });
+        return;
+    }
+    const payload = sanitizeCheckpointName(req.body);
+    if (!payload) {
+        res.status(400).json({ ok: false, error: "Invalid checkpoint name" });
+        return;
+    }
+    try {
+        const { checkpoint, version } = await roomManager.run(roomId, "createCheckpoint", { ...payload, userId: creator.userId, pageId: req.pageId });
+        res.status(201).json({ ok: true, checkpoint, version });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err?.message || "Could not save the checkpoint" });
+    }
+});
+
+// Operations added and removed since the checkpoint: { ok, id, added, removed, unchanged }.
+app.get("/rooms/:roomId/checkpoints/:checkpointId/diff", requireRoom, (req, res) => {
+    const diff = req.state.diffCheckpoint(req.params.checkpointId);
+    if (!diff) {
+        res.status(404).json({ ok: false, error: "Checkpoint not found" });
+        return;
+    }
+    res.json({ ok: true, ...diff });
+});
+
+app.post("/rooms/:roomId/checkpoints/:checkpointId/restore", requireRoom, async (req, res) => {
+    const { roomId, checkpointId } = req.params;
+    const restorer = sessions.resume(req.get("x-codraw-session"));
+    if (!restorer) {
+        res.status(401).json({ ok: false, error: "Unknown session" });
+        return;
+    }
+    const role = roomManager.getRole(roomId, restorer.userId);
+    if (!can(role, "clearBoard")) {
+        res.status(403).json({ ok: false, error: `Your role (${role}) cannot restore checkpoints of this board` });
+        return;
+    }
+    if (!req.state.diffCheckpoint(checkpointId)) {
+        res.status(404).json({ ok: false, error: "Checkpoint not found" });
+        return;
+    }
+    try {
+        const { restored, version } = await roomManager.run(roomId, "restoreCheckpoint", { id: checkpointId, userId: restorer.userId, pageId: req.pageId });
+        res.json({ ok: true, restored, version });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err?.message || "Could not restore the checkpoint" });
+    }
+});
+
+// Upload an image (PNG, JPEG or SVG) as the raw request body, for image
+// operations to refer to. The X-Codraw-Session header identifies the uploader,
+// who needs the editor role in the room. Answers { ok, assetId, type }.
+app.post("/rooms/:roomId/assets", requireRoom, express.raw({ type: Object.keys(ASSET_TYPES), limit: MAX_ASSET_BYTES }), (req, res) => {
+    const { roomId } = req.params;
+    const uploader = sessions.resume(req.get("x-codraw-session"));
+    if (!uploader) {
+        res.status(401).json({ ok: false, error: "Unknown session" });
+        return;
+    }
+    const role = roomManager.getRole(roomId, uploader.userId);
+    if (!can(role, "draw")) {
+        res.status(403).json({ ok: false, error: `Your role (${role}) cannot add images to this board` });
+        return;
+    }
+    // The declared type only selects the body parser; the bytes decide
+    const type = detectImageType(req.body);
+    if (!type) {
+        res.status(415).json({ ok: false, error: "Only PNG, JPEG and SVG images are supported" });
+        return;
+    }
+    const assetId = assets.put(req.body, type);
+    // eslint-disable-next-line no-console
+    console.log('[server] asset uploaded', { roomId, userId: uploader.userId, assetId, type, bytes: req.body.length });
+    res.status(201).json({ ok: true, assetId, type });
+});
+
+// Serve an uploaded image. Ids are content hashes, so responses never change.
+// SVGs are sandboxed so that opening one directly cannot run script on this origin.
+app.get("/assets/:assetId", (req, res) => {
+    const asset = assets.get(req.params.assetId);
+    if (!asset) {
+        res.status(404).json({ ok: false, error: "Asset not found" });
+        return;
+    }
+    res.set({
+        "Cache-Control": "public, max-age=31536000, immutable",
+        "Access-Control-Allow-Origin": "*",
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+    });
+    res.type(asset.type).send(asset.data);
+});
+
+function exportOptions(query) {
+    const padding = Number(query.padding);
+    return {
+        background: typeof query.background === "string" && query.background ? query.background : undefined,
+        padding: Number.isFinite(padding) ? Math.max(0, Math.min(512, padding)) : undefined,
+    };
+}
+
+// Fold growing logs into snapshots in the background, and once more on shutdown.
+const compactTimer = setInterval(() => roomManager.compactAll(), COMPACT_INTERVAL_MS);
+compactTimer.unref();
+const evictTimer = setInterval(() => roomManager.evictIdle(ROOM_IDLE_TTL_MS), Math.min(ROOM_IDLE_TTL_MS, 60_000));
+evictTimer.unref();
+const sessionTimer = setInterval(() => {
+    sessions.prune().catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('[server] failed to prune sessions', err?.message);
+    });
+}, 60 * 60_000);
+sessionTimer.unref();
+const leaseTimer = setInterval(() => {
+    roomManager.renewLeases().catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('[server] failed to renew room leases', err?.message);
+    });
+}, roomManager.leaseTtlMs / 3);
+leaseTimer.unref();
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+        roomManager.compactAll();
+        // Hand owned rooms to other nodes now rather than when their leases run out
+        setTimeout(() => process.exit(0), 1000);
+        roomManager.releaseAll().finally(() => process.exit(0));
+    });
+}
 
 // Basic pleasant color palette
 const USER_COLORS = [
@@ -47,122 +531,393 @@ function assignColor(index) {
     return USER_COLORS[index % USER_COLORS.length];
 }
 
-io.on("connection", (socket) => {
-    // Pick a room; default to "lobby". Clients can pass ?roomId=foo.
-    const roomId = (socket.handshake.query.roomId || "lobby").toString();
-    roomManager.ensureRoom(roomId);
-
-    // Create a lightweight user identity for presence and attribution.
+// Create a lightweight guest identity for presence and attribution.
+function createGuestUser() {
     const userId = nanoid(8);
     const displayName = `Guest-${userId.slice(0, 4)}`;
     const color = assignColor(Math.abs(hashString(userId)));
+    return { userId, displayName, color };
+}
 
+// Map a verified token identity onto the user shape used for presence and attribution.
+function userFromIdentity(identity) {
+    const userId = String(identity.sub);
+    const displayName = typeof identity.name === "string" && identity.name.trim()
+        ? identity.name.trim().slice(0, 64)
+        : userId;
+    const color = typeof identity.color === "string" && /^#[0-9a-f]{6}$/i.test(identity.color)
+        ? identity.color
+        : assignColor(Math.abs(hashString(userId)));
     const user = { userId, displayName, color };
-    roomManager.join(socket, roomId, user);
+    if (typeof identity.avatar === "string" && /^https?:\/\//i.test(identity.avatar)) {
+        user.avatar = identity.avatar;
+    }
+    return user;
+}
+
+io.on("connection", async (socket) => {
+    // The room was checked by the middleware above; clients pass ?roomId=foo.
+    const roomId = socket.handshake.query.roomId;
+    if (!roomManager.openRoom(roomId)) {
+        // Evicted in the moment between the check and the connection.
+        socket.emit("error:message", { message: "Room not found" });
+        socket.disconnect(true);
+        return;
+    }
+
+    // A verified token decides who the user is; otherwise resume the client's
+    // guest session if it sent one, or issue a new guest identity.
+    // auth: { token?, sessionId?, pageId?, version? } where version is the last
+    // version it applied of the page it was on.
+    const auth = socket.handshake.auth || {};
+    const identity = socket.data.identity;
+    let user = sessions.resume(auth.sessionId);
+    let sessionId = auth.sessionId;
+    if (identity) {
+        const verified = userFromIdentity(identity);
+        // A session that belonged to someone else (e.g. the guest before signing in) is not reused.
+        if (!user || user.userId !== verified.userId) sessionId = sessions.create(verified);
+        user = verified;
+    } else if (!user) {
+        user = createGuestUser();
+        sessionId = sessions.create(user);
+    }
+    const { userId, displayName } = user;
+
+    // Every inbound event goes through the rate limiter first; events over the
+    // limit are dropped, and malformed payloads count against the same budget.
+    // Events that arrive while the connection is still being set up (claiming
+    // ownership below may wait on another node) are held, then dispatched in
+    // order once every handler is registered.
+    const limiter = new SocketRateLimiter();
+    let kicked = false;
+    let held = [];
+    const kick = (message) => {
+        if (kicked) return;
+        kicked = true;
+        // eslint-disable-next-line no-console
+        console.warn('[server] disconnecting client', { roomId, userId, reason: message });
+        socket.emit("error:message", { message });
+        socket.disconnect(true);
+    };
+    const reject = (event) => {
+        if (limiter.strike() === "disconnect") kick(`Too many invalid ${event} events`);
+    };
+    socket.use(([event], next) => {
+        if (kicked) return;
+        const verdict = limiter.check(event);
+        if (verdict === "disconnect") kick("Rate limit exceeded");
+        if (verdict !== "ok") return;
+        if (held) held.push(next);
+        else next();
+    });
+
+    // The first user to join a room without an owner becomes its owner.
+    if (!roomManager.getPermissions(roomId)?.ownerId) {
+        try {
+            await roomManager.run(roomId, "claimOwnership", { userId });
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to claim room ownership', { roomId, userId, error: err?.message });
+        }
+        if (socket.disconnected || !roomManager.openRoom(roomId)) return;
+    }
+
+    // Back to the page the client was on, or the room's first page.
+    const pages = roomManager.getPages(roomId);
+    let pageId = pages.some((page) => page.id === auth.pageId) ? auth.pageId : pages[0].id;
+    const wasPresent = roomManager.hasUser(roomId, userId);
+    roomManager.join(socket, roomId, user, pageId);
     // eslint-disable-next-line no-console
-    console.log('[server] user connected', { roomId, userId, displayName });
+    console.log('[server] user connected', { roomId, userId, displayName, role: roomManager.getRole(roomId, userId), authenticated: !!identity, resumed: sessionId === auth.sessionId });
+
+    // Roles are looked up on every event so changes apply to open sockets at once.
+    const allowed = (action) => can(roomManager.getRole(roomId, userId), action);
+    const deny = (what, ack) => {
+        const message = `Your role (${roomManager.getRole(roomId, userId)}) does not allow ${what}`;
+        socket.emit("error:message", { message });
+        if (typeof ack === 'function') ack({ ok: false, error: message });
+    };
 
-    // Send initial snapshot (history) and presence list to the new client.
-    const snapshot = roomManager.getState(roomId).getSnapshot();
+    // Send the presence and page lists plus either the changes the client missed
+    // on its page since its last known version, or the page's full snapshot when
+    // those are not available.
+    const state = roomManager.getState(roomId, pageId);
     const users = roomManager.getUsers(roomId);
-    socket.emit("init", { user, snapshot, users });
-    // Tell everyone else that a user joined.
-    socket.to(roomId).emit("presence:join", { user });
+    const permissions = roomManager.getPermissions(roomId);
+    const room = { roomId, name: roomManager.describeRoom(roomId).name };
+    const changes = sessionId === auth.sessionId && pageId === auth.pageId ? state.changesSince(Number(auth.version)) : null;
+    if (changes) {
+        socket.emit("init", { user, sessionId, room, users, permissions, pages, pageId, version: state.version, changes });
+    } else {
+        socket.emit("init", { user, sessionId, room, users, permissions, pages, pageId, snapshot: state.getSnapshot() });
+    }
+    // Tell everyone else that a user joined (once per user, not per socket).
+    if (!wasPresent) socket.to(roomId).emit("presence:join", { user: { ...user, pageId } });
 
-    // Cursor movement (ephemeral). Broadcast to others in the room.
+    // Cursor movement (ephemeral). Broadcast to others on the same page.
+    // Payloads are rebuilt from known fields; the cursor color is always the user's own.
     socket.on("cursor:move", (payload) => {
-        socket.to(roomId).emit("cursor:move", { userId, ...payload });
+        const cursor = sanitizeCursor(payload);
+        if (!cursor) return reject("cursor:move");
+        socket.to(pageRoom(roomId, pageId)).emit("cursor:move", { userId, ...cursor, color: user.color });
     });
 
     // Progress events are ephemeral and not persisted.
     // Used by clients to render a smooth in-progress stroke.
+    // Viewers' progress is dropped silently (it may race a role change).
     socket.on("draw:progress", (payload) => {
-        socket.to(roomId).emit("draw:progress", { userId, ...payload });
+        if (!allowed("draw")) return;
+        const progress = sanitizeDrawProgress(payload);
+        if (!progress) return reject("draw:progress");
+        socket.to(pageRoom(roomId, pageId)).emit("draw:progress", { userId, ...progress });
     });
 
-    // Shape transform progress (ephemeral)
+    // Shape and image transform progress (ephemeral)
     socket.on("shape:progress", (payload) => {
-        // payload: { id, x?, y?, width?, height? }
-        socket.to(roomId).emit("shape:progress", { userId, ...payload });
+        // payload: { id, x?, y?, width?, height?, flipX?, flipY?, rotation? }
+        if (!allowed("draw")) return;
+        const progress = sanitizeShapeProgress(payload);
+        if (!progress) return reject("shape:progress");
+        socket.to(pageRoom(roomId, pageId)).emit("shape:progress", { userId, ...progress });
     });
 
-    // (text progress removed)
+    // Text edit/move progress (ephemeral): live typing previews and drags.
+    socket.on("text:progress", (payload) => {
+        // payload: { id, x?, y?, fontSize?, text? } or { draft: true, done?, text, x, y, fontSize, color }
+        if (!allowed("draw")) return;
+        const progress = sanitizeTextProgress(payload);
+        if (!progress) return reject("text:progress");
+        socket.to(pageRoom(roomId, pageId)).emit("text:progress", { userId, ...progress });
+    });
 
-    // Commit events become operations in the shared log.
-    socket.on("draw:commit", (op) => {
-        try {
-            const opWithMeta = {
-                ...op,
-                id: nanoid(10),
-                userId,
-                timestamp: Date.now(),
-            };
-            roomManager.getState(roomId).addOperation(opWithMeta);
-            // eslint-disable-next-line no-console
-            console.log('[server] draw:commit', { roomId, userId, opType: op?.type });
-            io.in(roomId).emit("draw:commit", opWithMeta);
-        } catch (err) {
+    // Commit events become operations in the log of the sender's page. An op
+    // may name the page it was drawn on; one that is not the sender's current
+    // page (it switched pages in between) is refused rather than misplaced.
+    // Returns the op without its page, or null when it is refused.
+    const onPage = (payload) => {
+        if (!payload || typeof payload !== "object" || !("pageId" in payload)) return payload;
+        const { pageId: target, ...rest } = payload;
+        if (target === pageId) return rest;
+        socket.emit("error:message", { message: "That change was made on another page" });
+        return null;
+    };
+    // A revert rolls the page back for everyone, so like clearing it, it is the owner's call.
+    const mayCommit = (op) => op?.type !== "revert" || allowed("clearBoard");
+    socket.on("draw:commit", (payload) => {
+        if (!allowed("draw")) return deny("drawing");
+        const op = onPage(payload);
+        if (!op) return;
+        if (!mayCommit(op)) return deny("restoring an earlier version of the board");
+        roomManager.run(roomId, "commit", { op, userId, pageId }).catch((err) => {
             socket.emit("error:message", { message: err?.message || "Invalid operation" });
+            reject("draw:commit");
+        });
+    });
+
+    // A client's offline outbox is flushed as batches of commits: { ops }.
+    // A batch is one event for the rate limiter, so a long offline session is
+    // not mistaken for a flood. Answers { ok, committed } once applied.
+    socket.on("draw:commitBatch", (payload, ack) => {
+        const reply = (res) => { if (typeof ack === 'function') ack(res); };
+        if (!allowed("draw")) return deny("drawing", ack);
+        const list = payload?.ops;
+        if (!Array.isArray(list) || list.length === 0 || list.length > LIMITS.commitBatch) {
+            reply({ ok: false, error: "Invalid commit batch" });
+            return reject("draw:commitBatch");
         }
+        // Reverts the sender may not make are left out; the rest still go in.
+        const ops = list.map(onPage).filter(Boolean);
+        const permitted = ops.filter(mayCommit);
+        if (permitted.length < ops.length) deny("restoring an earlier version of the board");
+        roomManager.run(roomId, "commitBatch", { ops: permitted, userId, pageId }).then(({ ids, error }) => {
+            if (error) {
+                socket.emit("error:message", { message: error });
+                reject("draw:commitBatch");
+            }
+            reply({ ok: true, committed: ids.filter(Boolean).length });
+        }).catch((err) => {
+            socket.emit("error:message", { message: err?.message || "Invalid operation" });
+            reply({ ok: false, error: err?.message || "Invalid operation" });
+        });
     });
 
-    // Global undo simply rewinds the room's operation log by one.
+    // History changes below are broadcast as small deltas tagged with the new
+    // DrawingState.version. Clients that notice a gap ask for a full snapshot.
+    socket.on("state:request", () => {
+        const current = roomManager.getState(roomId, pageId);
+        if (current) socket.emit("state:full", current.getSnapshot());
+    });
+
+    // Failures of commands that have no ack of their own.
+    const report = (err) => socket.emit("error:message", { message: err?.message || "Request failed" });
+
+    // Undo removes the caller's most recent operation; others' work stays put.
     socket.on("op:undo", () => {
-        const state = roomManager.getState(roomId);
-        if (state.undo()) {
-            io.in(roomId).emit("state:full", state.getSnapshot());
-        }
+        if (!allowed("draw")) return deny("undo");
+        roomManager.run(roomId, "undo", { userId, pageId }).catch(report);
     });
 
-    // Global redo reapplies the last undone operation.
+    // Redo reapplies the caller's last undone operation.
     socket.on("op:redo", () => {
-        const state = roomManager.getState(roomId);
-        if (state.redo()) {
-            io.in(roomId).emit("state:full", state.getSnapshot());
-        }
+        if (!allowed("draw")) return deny("redo");
+        roomManager.run(roomId, "redo", { userId, pageId }).catch(report);
     });
 
     // Clear only the caller's authored operations.
     socket.on("op:clearUser", (ack) => {
         // eslint-disable-next-line no-console
         console.log('[server] op:clearUser received', { roomId, userId });
-        const state = roomManager.getState(roomId);
-        const removed = state.removeByUser(userId);
-        if (removed > 0) {
-            // eslint-disable-next-line no-console
-            console.log('[server] broadcasting state after clearUser', { version: state.version, removed });
-            io.in(roomId).emit("state:full", state.getSnapshot());
-            if (typeof ack === 'function') ack({ ok: true, removed, version: state.version });
-        } else {
-            if (typeof ack === 'function') ack({ ok: false, removed: 0, version: state.version });
-        }
+        if (!allowed("draw")) return deny("clearing your work", ack);
+        roomManager.run(roomId, "clearUser", { userId, pageId }).then(
+            (result) => { if (typeof ack === 'function') ack(result); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
     });
 
     // Clear all operations in the room (global reset).
     socket.on("op:clearAll", (ack) => {
         // eslint-disable-next-line no-console
         console.log('[server] op:clearAll received', { roomId, userId });
-        const state = roomManager.getState(roomId);
-        const removed = state.clearAll();
-        if (removed > 0) {
-            io.in(roomId).emit("state:full", state.getSnapshot());
-            if (typeof ack === 'function') ack({ ok: true, removed, version: state.version });
-        } else {
-            if (typeof ack === 'function') ack({ ok: false, removed: 0, version: state.version });
+        if (!allowed("clearBoard")) return deny("clearing the board", ack);
+        roomManager.run(roomId, "clearAll", { pageId }).then(
+            (result) => { if (typeof ack === 'function') ack(result); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    // Checkpoints of the current page: save it under a name, list them, compare
+    // one with the page, and (owner-only) put the page back to one for everyone.
+    socket.on("checkpoint:create", (payload, ack) => {
+        if (!allowed("draw")) return deny("saving checkpoints", ack);
+        const checkpoint = sanitizeCheckpointName(payload);
+        if (!checkpoint) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid checkpoint name" });
+            return reject("checkpoint:create");
+        }
+        roomManager.run(roomId, "createCheckpoint", { ...checkpoint, userId, pageId }).then(
+            (result) => { if (typeof ack === 'function') ack({ ok: true, ...result }); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    socket.on("checkpoint:list", (ack) => {
+        if (typeof ack !== 'function') return reject("checkpoint:list");
+        const current = roomManager.getState(roomId, pageId);
+        ack(current ? { ok: true, checkpoints: current.listCheckpoints() } : { ok: false, error: "Page not found" });
+    });
+
+    socket.on("checkpoint:diff", (payload, ack) => {
+        const ref = sanitizeCheckpointRef(payload);
+        if (!ref || typeof ack !== 'function') return reject("checkpoint:diff");
+        const diff = roomManager.getState(roomId, pageId)?.diffCheckpoint(ref.id);
+        ack(diff ? { ok: true, ...diff } : { ok: false, error: "Checkpoint not found" });
+    });
+
+    socket.on("checkpoint:restore", (payload, ack) => {
+        if (!allowed("clearBoard")) return deny("restoring checkpoints", ack);
+        const ref = sanitizeCheckpointRef(payload);
+        if (!ref) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid checkpoint" });
+            return reject("checkpoint:restore");
+        }
+        roomManager.run(roomId, "restoreCheckpoint", { id: ref.id, userId, pageId }).then(
+            (result) => { if (typeof ack === 'function') ack({ ok: true, ...result }); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    // Show another page. The ack carries the page's snapshot; after it, the
+    // socket only gets that page's changes. Everyone sees where the user went.
+    socket.on("page:switch", (payload, ack) => {
+        const ref = sanitizePageRef(payload);
+        if (!ref || typeof ack !== 'function') return reject("page:switch");
+        const next = roomManager.getState(roomId, ref.pageId);
+        if (!next) return ack({ ok: false, error: "Page not found" });
+        roomManager.setPage(socket, roomId, ref.pageId);
+        pageId = ref.pageId;
+        ack({ ok: true, pageId, snapshot: next.getSnapshot() });
+        socket.to(roomId).emit("presence:page", { userId, pageId });
+    });
+
+    // Editors add and rename pages; deleting one (and its history) is for the owner.
+    socket.on("page:create", (payload, ack) => {
+        if (!allowed("draw")) return deny("adding pages", ack);
+        const page = sanitizePageName(payload);
+        if (!page || page.pageId !== undefined) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid page name" });
+            return reject("page:create");
+        }
+        roomManager.run(roomId, "addPage", page).then(
+            (created) => { if (typeof ack === 'function') ack({ ok: true, page: created }); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    socket.on("page:rename", (payload, ack) => {
+        if (!allowed("draw")) return deny("renaming pages", ack);
+        const page = sanitizePageName(payload);
+        if (!page || page.pageId === undefined) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid page name" });
+            return reject("page:rename");
+        }
+        roomManager.run(roomId, "renamePage", page).then(
+            () => { if (typeof ack === 'function') ack({ ok: true }); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    socket.on("page:delete", (payload, ack) => {
+        if (!allowed("clearBoard")) return deny("deleting pages", ack);
+        const ref = sanitizePageRef(payload);
+        if (!ref) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid page" });
+            return reject("page:delete");
         }
+        roomManager.run(roomId, "removePage", ref).then(
+            () => { if (typeof ack === 'function') ack({ ok: true }); },
+            (err) => { if (typeof ack === 'function') ack({ ok: false, error: err?.message }); },
+        );
+    });
+
+    // Owner-only: assign a user the editor or viewer role.
+    socket.on("room:setRole", (payload, ack) => {
+        if (!allowed("manageRoles")) return deny("changing roles", ack);
+        const change = sanitizeSetRole(payload);
+        if (!change) {
+            if (typeof ack === 'function') ack({ ok: false, error: "Invalid role change" });
+            return reject("room:setRole");
+        }
+        roomManager.run(roomId, "setRole", change).then(() => {
+            // eslint-disable-next-line no-console
+            console.log('[server] room:setRole', { roomId, by: userId, target: change.userId, role: change.role });
+            if (typeof ack === 'function') ack({ ok: true });
+        }, (err) => {
+            const message = err?.message || "Invalid role change";
+            socket.emit("error:message", { message });
+            if (typeof ack === 'function') ack({ ok: false, error: message });
+        });
     });
 
     // Presence teardown on disconnect.
     socket.on("disconnect", () => {
         roomManager.leave(socket, roomId);
-        socket.to(roomId).emit("presence:leave", { userId });
+        if (!roomManager.hasUser(roomId, userId)) {
+            socket.to(roomId).emit("presence:leave", { userId });
+        }
     });
 
     // Reactions (ephemeral, broadcast to all in the room).
-    socket.on("reaction", ({ emoji }) => {
-        if (typeof emoji !== "string" || !emoji) return;
-        io.in(roomId).emit("reaction", { id: nanoid(8), userId, emoji, ts: Date.now() });
+    socket.on("reaction", (payload) => {
+        if (!allowed("react")) return;
+        const reaction = sanitizeReaction(payload);
+        if (!reaction) return reject("reaction");
+        io.in(roomId).emit("reaction", { id: nanoid(8), userId, emoji: reaction.emoji, ts: Date.now() });
     });
+
+    const early = held;
+    held = null;
+    for (const next of early) next();
 });
 
 httpServer.listen(PORT, () => {
@@ -0,0 +1,141 @@
+// SessionStore maps resumable session ids to user identities, so a client that
+// reconnects after a network blip or a reload keeps its userId, name and color
+// (and with them the authorship of its operations).
+// Sessions are optionally kept on disk, one small JSON file each, so they survive
+// restarts alongside persisted room history; issuing one writes only its own
+// file, in the background. A lookup that misses memory reads the session's
+// file, so server processes sharing the directory resume each other's sessions
+// (a client may land on another process after a failover). Sessions unused for
+// `ttlMs` expire, and prune() removes them from memory and disk.
+import fs from "fs";
+import path from "path";
+import { nanoid } from "nanoid";
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60_000;
+// A resumed session's file is rewritten (to keep it from expiring) at most this often.
+const TOUCH_INTERVAL_MS = 60 * 60_000;
+// Session ids name files, so only ids we could have issued are looked up.
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class SessionStore {
+    /**
+     * @param {Object} [opts]
+     * @param {string|null} [opts.dir] directory to keep sessions in; omit for memory only
+     * @param {string|null} [opts.legacyFile] sessions.json from older versions, moved into `dir` once
+     * @param {number} [opts.ttlMs] how long an unused session stays valid
+     */
+    constructor({ dir = null, legacyFile = null, ttlMs = DEFAULT_TTL_MS } = {}) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+        this.sessions = new Map(); // sessionId -> { user, lastSeen, savedAt }
+        if (this.dir) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            if (legacyFile) this.migrate(legacyFile);
+        }
+    }
+
+    /**
+     * Look up the user behind a session id. Returns null for unknown or expired ids.
+     */
+    resume(sessionId) {
+        if (typeof sessionId !== "string" || !SESSION_ID_RE.test(sessionId)) return null;
+        const now = Date.now();
+        let rec = this.sessions.get(sessionId);
+        if (!rec || now - rec.lastSeen > this.ttlMs) rec = this.read(sessionId);
+        if (!rec || now - rec.lastSeen > this.ttlMs) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        rec.lastSeen = now;
+        this.sessions.set(sessionId, rec);
+        if (now - rec.savedAt > TOUCH_INTERVAL_MS) this.write(sessionId, rec);
+        return rec.user;
+    }
+
+    /**
+     * Issue a new session for a user and return its id.
+     */
+    create(user) {
+        const sessionId = nanoid(24);
+        const rec = { user, lastSeen: Date.now(), savedAt: 0 };
+        this.sessions.set(sessionId, rec);
+        this.write(sessionId, rec);
+        return sessionId;
+    }
+
+    /**
+     * Forget sessions that have not been used for `ttlMs`. Resolves to the
+     * number of session files removed.
+     */
+    async prune() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [sessionId, rec] of this.sessions) {
+            if (rec.lastSeen < cutoff) this.sessions.delete(sessionId);
+        }
+        if (!this.dir) return 0;
+        let removed = 0;
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (!name.endsWith(".json")) continue;
+            const file = path.join(this.dir, name);
+            try {
+                // Every write refreshes the file's mtime, so it tells when the session was last kept alive.
+                const { mtimeMs } = await fs.promises.stat(file);
+                if (mtimeMs >= cutoff) continue;
+                await fs.promises.rm(file, { force: true });
+                removed++;
+            } catch {
+                // Removed meanwhile
+            }
+        }
+        return removed;
+    }
+
+    file(sessionId) {
+        return path.join(this.dir, `${sessionId}.json`);
+    }
+
+    read(sessionId) {
+        if (!this.dir) return null;
+        try {
+            const { user, lastSeen } = JSON.parse(fs.readFileSync(this.file(sessionId), "utf8"));
+            if (!user || !Number.isFinite(lastSeen)) return null;
+            return { user, lastSeen, savedAt: lastSeen };
+        } catch {
+            return null;
+        }
+    }
+
+    write(sessionId, rec) {
+        rec.savedAt = rec.lastSeen;
+        if (!this.dir) return;
+        const file = this.file(sessionId);
+        // Write-then-rename; the temp name is unique so concurrent writers never share one.
+        const tmp = `${file}.${nanoid(6)}.tmp`;
+        fs.promises.writeFile(tmp, JSON.stringify({ user: rec.user, lastSeen: rec.lastSeen }))
+            .then(() => fs.promises.rename(tmp, file))
+            .catch((err) => {
+                fs.promises.rm(tmp, { force: true }).catch(() => { });
+                // eslint-disable-next-line no-console
+                console.error('[server] failed to save session', { error: err?.message });
+            });
+    }
+
+    // Sessions used to live in a single JSON object; give each its own file.
+    migrate(legacyFile) {
+        if (!fs.existsSync(legacyFile)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(legacyFile, "utf8"));
+            for (const [sessionId, rec] of Object.entries(data)) {
+                if (!SESSION_ID_RE.test(sessionId) || !rec?.user) continue;
+                const lastSeen = Number.isFinite(rec.lastSeen) ? rec.lastSeen : Date.now();
+                fs.writeFileSync(this.file(sessionId), JSON.stringify({ user: rec.user, lastSeen }));
+                const seconds = lastSeen / 1000;
+                fs.utimesSync(this.file(sessionId), seconds, seconds);
+            }
+            fs.rmSync(legacyFile, { force: true });
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('[server] failed to migrate sessions', { error: err?.message });
+        }
+    }
+}
@@ -0,0 +1,163 @@
+// Pluggable persistence for room history.
+// A storage keeps, per room, a compacted snapshot plus an append-only log of
+// the changes made since that snapshot. DrawingState replays the log on load.
+// Snapshots and entries are opaque here; RoomManager puts all of a room's pages
+// in one snapshot and tags each entry with its page.
+//
+// Storage interface (all methods are synchronous so RoomManager stays simple):
+//   has(roomId)               -> boolean
+//   load(roomId)              -> { snapshot, entries } | null
+//   append(roomId, entry)     -> void
+//   compact(roomId, snapshot) -> void   (write snapshot, truncate log)
+//   loadMeta(roomId)          -> object | null   (room settings such as owner and roles)
+//   saveMeta(roomId, meta)    -> void
+//   remove(roomId)            -> void
+//   list()                    -> string[] of stored roomIds
+import fs from "fs";
+import path from "path";
+
+/**
+ * Volatile storage used when persistence is disabled (and handy for tests).
+ */
+export class MemoryStorage {
+    constructor() {
+        this.rooms = new Map(); // roomId -> { snapshot, entries }
+        this.meta = new Map(); // roomId -> meta
+    }
+
+    has(roomId) {
+        return this.rooms.has(roomId) || this.meta.has(roomId);
+    }
+
+    load(roomId) {
+        const rec = this.rooms.get(roomId);
+        if (!rec) return null;
+        return { snapshot: rec.snapshot, entries: rec.entries.slice() };
+    }
+
+    append(roomId, entry) {
+        const rec = this.ensure(roomId);
+        rec.entries.push(entry);
+    }
+
+    compact(roomId, snapshot) {
+        const rec = this.ensure(roomId);
+        rec.snapshot = snapshot;
+        rec.entries = [];
+    }
+
+    loadMeta(roomId) {
+        return this.meta.get(roomId) || null;
+    }
+
+    saveMeta(roomId, meta) {
+        this.meta.set(roomId, JSON.parse(JSON.stringify(meta)));
+    }
+
+    remove(roomId) {
+        this.rooms.delete(roomId);
+        this.meta.delete(roomId);
+    }
+
+    list() {
+        return Array.from(new Set([...this.rooms.keys(), ...this.meta.keys()]));
+    }
+
+    ensure(roomId) {
+        if (!this.rooms.has(roomId)) this.rooms.set(roomId, { snapshot: null, entries: [] });
+        return this.rooms.get(roomId);
+    }
+}
+
+/**
+ * File-backed storage. Layout under `dir`:
+ *   <encoded roomId>/snapshot.json  last compacted DrawingState of every page
+ *   <encoded roomId>/log.jsonl      one JSON change entry per line
+ *   <encoded roomId>/meta.json      room settings (owner, roles)
+ */
+export class FileStorage {
+    /**
+     * @param {Object} opts
+     * @param {string} opts.dir root directory for room data
+     */
+    constructor({ dir }) {
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    roomDir(roomId) {
+        return path.join(this.dir, encodeURIComponent(roomId));
+    }
+
+    has(roomId) {
+        return fs.existsSync(this.roomDir(roomId));
+    }
+
+    load(roomId) {
+        const dir = this.roomDir(roomId);
+        if (!fs.existsSync(dir)) return null;
+        const snapshotFile = path.join(dir, "snapshot.json");
+        const logFile = path.join(dir, "log.jsonl");
+        const snapshot = fs.existsSync(snapshotFile)
+            ? JSON.parse(fs.readFileSync(snapshotFile, "utf8"))
+            : null;
+        const entries = [];
+        if (fs.existsSync(logFile)) {
+            const lines = fs.readFileSync(logFile, "utf8").split("\n");
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch {
+                    // A torn final line after a crash; everything before it is intact.
+                    // eslint-disable-next-line no-console
+                    console.warn('[storage] skipping unreadable log line', { roomId });
+                }
+            }
+        }
+        return { snapshot, entries };
+    }
+
+    append(roomId, entry) {
+        const dir = this.roomDir(roomId);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, "log.jsonl"), JSON.stringify(entry) + "\n");
+    }
+
+    compact(roomId, snapshot) {
+        const dir = this.roomDir(roomId);
+        fs.mkdirSync(dir, { recursive: true });
+        // Write-then-rename so a crash never leaves a half-written snapshot.
+        // Log entries at or below their page's snapshot version are skipped on
+        // load, so a crash between the rename and the truncate is also harmless.
+        const tmp = path.join(dir, "snapshot.json.tmp");
+        fs.writeFileSync(tmp, JSON.stringify(snapshot));
+        fs.renameSync(tmp, path.join(dir, "snapshot.json"));
+        fs.writeFileSync(path.join(dir, "log.jsonl"), "");
+    }
+
+    loadMeta(roomId) {
+        const file = path.join(this.roomDir(roomId), "meta.json");
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+
+    saveMeta(roomId, meta) {
+        const dir = this.roomDir(roomId);
+        fs.mkdirSync(dir, { recursive: true });
+        const tmp = path.join(dir, "meta.json.tmp");
+        fs.writeFileSync(tmp, JSON.stringify(meta));
+        fs.renameSync(tmp, path.join(dir, "meta.json"));
+    }
+
+    remove(roomId) {
+        fs.rmSync(this.roomDir(roomId), { recursive: true, force: true });
+    }
+
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir, { withFileTypes: true })
+            .filter((d) => d.isDirectory())
+            .map((d) => decodeURIComponent(d.name));
+    }
+}
@@ -0,0 +1,193 @@
+
+// Shape and range checks for everything a client sends.
+// Ephemeral events (cursor, progress, reactions) are rebuilt field by field by
+// the sanitize* helpers, so only known fields ever reach a room broadcast; they
+// return null for payloads that should be dropped. Operations get the same
+// treatment from sanitizeOperation in drawing-state.js, which shares the
+// primitives and limits below.
+
+export const LIMITS = {
+    coordinate: 1_000_000,   // |x|, |y| in world units
+    dimension: 1_000_000,    // shape width/height
+    strokePoints: 10_000,    // points in a committed stroke
+    commitBatch: 100,        // ops in one draw:commitBatch (a flushed offline outbox)
+    progressPoints: 32,      // points in one draw:progress fragment
+    brushSize: 200,
+    fontSize: 512,
+    textLength: 10_000,
+    idLength: 64,
+    targetIds: 5_000,        // ids in one delete op
+    revertOps: 100_000,      // ops a revert brings back
+    erasePieces: 256,        // pieces left of one stroke by an erase op
+    erasePoints: 100_000,    // points across all pieces of one erase op
+    starPoints: 24,          // tips of a star shape
+    polygonSides: 24,        // corners of a polygon shape
+    shapeStrokeWidth: 64,    // outline width of a shape
+    emojiLength: 16,
+    checkpointName: 80,
+    pageName: 40,
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+export function isColor(value) {
+    return typeof value === "string" && HEX_COLOR.test(value);
+}
+
+export function isCoordinate(value) {
+    return Number.isFinite(value) && Math.abs(value) <= LIMITS.coordinate;
+}
+
+export function isDimension(value) {
+    return Number.isFinite(value) && value > 0 && value <= LIMITS.dimension;
+}
+
+/** Width/height of a line or arrow box, which may be flat in one direction. */
+export function isExtent(value) {
+    return Number.isFinite(value) && value >= 0 && value <= LIMITS.dimension;
+}
+
+/** Rotation of an image in degrees, clockwise about its center. */
+export function isRotation(value) {
+    return Number.isFinite(value) && Math.abs(value) <= 360;
+}
+
+export function isId(value) {
+    return typeof value === "string" && value.length > 0 && value.length <= LIMITS.idLength;
+}
+
+/** Pen pressure recorded with a stroke point: optional, 0..1. */
+export function isPressure(value) {
+    return value === undefined || (Number.isFinite(value) && value >= 0 && value <= 1);
+}
+
+export function isPoint(p) {
+    return !!p && typeof p === "object" && isCoordinate(p.x) && isCoordinate(p.y) && isPressure(p.p);
+}
+
+function isComposite(value) {
+    return value === "source-over" || value === "destination-out";
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/** cursor:move -> { x, y } */
+export function sanitizeCursor(payload) {
+    if (!isPlainObject(payload) || !isCoordinate(payload.x) || !isCoordinate(payload.y)) return null;
+    return { x: payload.x, y: payload.y };
+}
+
+/** draw:progress -> { points: [{ x, y, p? }], color, size, composite } */
+export function sanitizeDrawProgress(payload) {
+    if (!isPlainObject(payload) || !Array.isArray(payload.points)) return null;
+    const { points, color, size, composite } = payload;
+    if (points.length === 0 || points.length > LIMITS.progressPoints || !points.every(isPoint)) return null;
+    if (!isColor(color) || !isComposite(composite)) return null;
+    if (!Number.isFinite(size) || size <= 0 || size > LIMITS.brushSize) return null;
+    return { points: points.map((p) => (p.p === undefined ? { x: p.x, y: p.y } : { x: p.x, y: p.y, p: p.p })), color, size, composite };
+}
+
+/**
+ * shape:progress -> { id, x?, y?, width?, height?, flipX?, flipY?, rotation? }
+ * Lines and arrows may have a zero width or height; flips say which corners they join.
+ * Images are moved, resized and rotated through the same event.
+ */
+export function sanitizeShapeProgress(payload) {
+    if (!isPlainObject(payload) || !isId(payload.id)) return null;
+    const out = { id: payload.id };
+    if (payload.x !== undefined || payload.y !== undefined) {
+        if (!isCoordinate(payload.x) || !isCoordinate(payload.y)) return null;
+        out.x = payload.x; out.y = payload.y;
+    }
+    if (payload.width !== undefined || payload.height !== undefined) {
+        if (!isExtent(payload.width) || !isExtent(payload.height)) return null;
+        out.width = payload.width; out.height = payload.height;
+    }
+    for (const key of ["flipX", "flipY"]) {
+        if (payload[key] === undefined) continue;
+        if (typeof payload[key] !== "boolean") return null;
+        out[key] = payload[key];
+    }
+    if (payload.rotation !== undefined) {
+        if (!isRotation(payload.rotation)) return null;
+        out.rotation = payload.rotation;
+    }
+    return out;
+}
+
+/**
+ * text:progress -> { id, x?, y?, fontSize?, text? } for existing texts,
+ * or { draft: true, done?, text?, x?, y?, fontSize?, color? } for a new one being typed.
+ */
+export function sanitizeTextProgress(payload) {
+    if (!isPlainObject(payload)) return null;
+    let out;
+    if (payload.draft === true) {
+        out = { draft: true };
+        if (payload.done === true) return { draft: true, done: true };
+        if (payload.color !== undefined) {
+            if (!isColor(payload.color)) return null;
+            out.color = payload.color;
+        }
+    } else {
+        if (!isId(payload.id)) return null;
+        out = { id: payload.id };
+    }
+    if (payload.x !== undefined || payload.y !== undefined) {
+        if (!isCoordinate(payload.x) || !isCoordinate(payload.y)) return null;
+        out.x = payload.x; out.y = payload.y;
+    }
+    if (payload.fontSize !== undefined) {
+        if (!Number.isFinite(payload.fontSize) || payload.fontSize <= 0 || payload.fontSize > LIMITS.fontSize) return null;
+        out.fontSize = payload.fontSize;
+    }
+    if (payload.text !== undefined) {
+        if (typeof payload.text !== "string" || payload.text.length > LIMITS.textLength) return null;
+        out.text = payload.text;
+    }
+    return out;
+}
+
+/** reaction -> { emoji } */
+export function sanitizeReaction(payload) {
+    if (!isPlainObject(payload)) return null;
+    const { emoji } = payload;
+    if (typeof emoji !== "string" || !emoji || emoji.length > LIMITS.emojiLength) return null;
+    return { emoji };
+}
+
+/** room:setRole -> { userId, role } (the role itself is checked by RoomManager) */
+export function sanitizeSetRole(payload) {
+    if (!isPlainObject(payload) || !isId(payload.userId) || typeof payload.role !== "string") return null;
+    return { userId: payload.userId, role: payload.role };
+}
+
+/** checkpoint:create -> { name } */
+export function sanitizeCheckpointName(payload) {
+    if (!isPlainObject(payload) || typeof payload.name !== "string") return null;
+    const name = payload.name.trim();
+    if (!name || name.length > LIMITS.checkpointName) return null;
+    return { name };
+}
+
+/** checkpoint:diff, checkpoint:restore -> { id } */
+export function sanitizeCheckpointRef(payload) {
+    if (!isPlainObject(payload) || !isId(payload.id)) return null;
+    return { id: payload.id };
+}
+
+/** page:create -> { name }; page:rename -> { pageId, name } (pageId is not checked here) */
+export function sanitizePageName(payload) {
+    if (!isPlainObject(payload) || typeof payload.name !== "string") return null;
+    const name = payload.name.trim();
+    if (!name || name.length > LIMITS.pageName) return null;
+    return payload.pageId === undefined ? { name } : isId(payload.pageId) ? { pageId: payload.pageId, name } : null;
+}
+
+/** page:switch, page:delete -> { pageId } */
+export function sanitizePageRef(payload) {
+    if (!isPlainObject(payload) || !isId(payload.pageId)) return null;
+    return { pageId: payload.pageId };
+}
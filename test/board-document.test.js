@@ -0,0 +1,67 @@
+// Importing a board document gives every op a fresh id and keeps the
+// references between ops pointing at the right ones.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BOARD_FORMAT, BOARD_FORMAT_VERSION, prepareImport, toBoardDocument } from "../server/board-document.js";
+import { DrawingState, erasePieceId } from "../server/drawing-state.js";
+
+const points = [{ x: 0, y: 0 }, { x: 10, y: 10 }];
+
+function documentOf(operations) {
+    return { format: BOARD_FORMAT, formatVersion: BOARD_FORMAT_VERSION, roomId: "source", version: 1, operations };
+}
+
+function importer() {
+    let n = 0;
+    return { createId: () => `new${n++}`, userId: "importer" };
+}
+
+test("ids are replaced and references remapped", () => {
+    const doc = documentOf([
+        { id: "s1", type: "shape", shape: "rect", x: 0, y: 0, width: 10, height: 10, color: "#000000", userId: "old" },
+        { id: "s2", type: "shape", shape: "circle", x: 50, y: 0, width: 10, height: 10, color: "#000000" },
+        { id: "k1", type: "stroke", points, size: 2, color: "#000000", composite: "source-over" },
+        { id: "u1", type: "shape:update", targetId: "s1", x: 5, y: 5 },
+        { id: "c1", type: "connector", from: { shapeId: "s1", anchor: "e" }, to: { shapeId: "s2", anchor: "w" }, color: "#000000" },
+        { id: "e1", type: "erase", cuts: [{ targetId: "k1", pieces: [points, points] }] },
+        { id: "d1", type: "delete", targetIds: [erasePieceId("e1", 0, 1), "s2"] },
+        { id: "o1", type: "order", targetIds: ["s1"], position: "back" },
+    ]);
+    const ops = prepareImport(doc, importer());
+
+    assert.deepEqual(ops.map((op) => op.id), ["new0", "new1", "new2", "new3", "new4", "new5", "new6", "new7"]);
+    assert.ok(ops.every((op) => op.userId === "importer" && Number.isFinite(op.timestamp)));
+    assert.equal(ops[3].targetId, "new0");
+    assert.deepEqual([ops[4].from.shapeId, ops[4].to.shapeId], ["new0", "new1"]);
+    assert.equal(ops[5].cuts[0].targetId, "new2");
+    assert.deepEqual(ops[6].targetIds, [erasePieceId("new5", 0, 1), "new1"]);
+    assert.deepEqual(ops[7].targetIds, ["new0"]);
+    // The source document is left alone
+    assert.equal(doc.operations[3].targetId, "s1");
+});
+
+test("an exported board imports into another room", () => {
+    const source = new DrawingState();
+    source.addOperation({ id: "t1", userId: "alice", type: "text", text: "Hello", x: 0, y: 0, fontSize: 16, color: "#000000" });
+    source.addOperation({ id: "t2", userId: "alice", type: "text:update", targetId: "t1", text: "Hello there" });
+    const doc = JSON.parse(JSON.stringify(toBoardDocument("source", source.getSnapshot())));
+
+    const target = new DrawingState();
+    assert.equal(target.importOperations(prepareImport(doc, importer())), 2);
+    assert.deepEqual(target.operations.map((op) => [op.id, op.targetId]), [["new0", undefined], ["new1", "new0"]]);
+});
+
+test("documents of another format or version are refused", () => {
+    assert.throws(() => prepareImport(null, importer()), /Expected a board document/);
+    assert.throws(() => prepareImport({ ...documentOf([]), format: "other" }, importer()), /Unknown document format/);
+    assert.throws(() => prepareImport({ ...documentOf([]), formatVersion: 99 }, importer()), /Unsupported format version 99/);
+    assert.throws(() => prepareImport({ ...documentOf([]), operations: undefined }, importer()), /no operations/);
+});
+
+test("invalid ops are reported by position", () => {
+    const doc = documentOf([
+        { id: "k1", type: "stroke", points, size: 2, color: "#000000", composite: "source-over" },
+        { id: "k2", type: "stroke", points: [{ x: NaN, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" },
+    ]);
+    assert.throws(() => prepareImport(doc, importer()), /^Error: Operation 1: Invalid stroke point$/);
+});
@@ -0,0 +1,74 @@
+// Checkpoints are named copies of a page's history that it can return to;
+// they are stored with the room and survive a restart.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DrawingState } from "../server/drawing-state.js";
+import { MemoryStorage } from "../server/storage.js";
+import { RoomManager } from "../server/rooms.js";
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+const ids = (state) => state.operations.map((op) => op.id);
+
+test("a checkpoint can be listed, compared and restored", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("a2", "alice"));
+    const summary = state.createCheckpoint({ id: "c1", name: "  before retro cleanup ", userId: "alice", createdAt: 1000 });
+    assert.deepEqual(summary, { id: "c1", name: "before retro cleanup", userId: "alice", createdAt: 1000, version: 2, operations: 2 });
+    assert.equal(state.version, 3);
+
+    state.undo("alice");
+    state.addOperation(stroke("b1", "bob"));
+    state.addOperation(stroke("b2", "bob"));
+    assert.deepEqual(state.diffCheckpoint("c1"), { id: "c1", added: 2, removed: 1, unchanged: 1 });
+    assert.equal(state.diffCheckpoint("nope"), null);
+
+    assert.equal(state.restoreCheckpoint("c1"), 2);
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+    // Redo stacks referred to the replaced history
+    assert.equal(state.redo("alice"), null);
+    assert.deepEqual(state.listCheckpoints(), [summary]);
+    assert.throws(() => state.restoreCheckpoint("nope"), /Checkpoint not found/);
+});
+
+test("checkpoint names, ids and counts are checked", () => {
+    const state = new DrawingState();
+    assert.throws(() => state.createCheckpoint({ id: "c1", name: "  ", createdAt: 1 }), /Invalid checkpoint name/);
+    assert.throws(() => state.createCheckpoint({ id: "", name: "x", createdAt: 1 }), /Invalid checkpoint id/);
+    state.createCheckpoint({ id: "c1", name: "x", createdAt: 1 });
+    assert.throws(() => state.createCheckpoint({ id: "c1", name: "y", createdAt: 1 }), /Duplicate checkpoint id/);
+    for (let i = 2; i <= 50; i++) state.createCheckpoint({ id: `c${i}`, name: "x", createdAt: i });
+    assert.throws(() => state.createCheckpoint({ id: "c51", name: "x", createdAt: 51 }), /at most 50 checkpoints/);
+});
+
+test("catch-up after a restore falls back to a snapshot", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.createCheckpoint({ id: "c1", name: "x", createdAt: 1 });
+    state.addOperation(stroke("a2", "alice"));
+    state.restoreCheckpoint("c1");
+    assert.equal(state.changesSince(2), null);
+});
+
+test("checkpoints are stored with the room and survive a restart", async (t) => {
+    t.mock.method(console, "log", () => { });
+    const storage = new MemoryStorage();
+    const rooms = new RoomManager({ storage, compactEvery: 2 });
+    const roomId = rooms.createRoom();
+    await rooms.ownerOf(roomId);
+    const state = rooms.getState(roomId, "main");
+    state.addOperation(stroke("a1", "alice"));
+    state.createCheckpoint({ id: "c1", name: "first", userId: "alice", createdAt: 1 });
+    state.addOperation(stroke("a2", "alice"));
+    state.createCheckpoint({ id: "c2", name: "second", userId: "alice", createdAt: 2 });
+    state.restoreCheckpoint("c1");
+
+    const loaded = new RoomManager({ storage }).getState(roomId, "main");
+    assert.deepEqual(loaded.listCheckpoints().map((c) => [c.id, c.operations]), [["c1", 1], ["c2", 2]]);
+    assert.deepEqual(ids(loaded), ["a1"]);
+    loaded.restoreCheckpoint("c2");
+    assert.deepEqual(ids(loaded), ["a1", "a2"]);
+});
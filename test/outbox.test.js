@@ -0,0 +1,104 @@
+// Flushing a large offline outbox must stay within the server's rate limits:
+// every queued commit arrives, in order, and the socket is never disconnected.
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RealtimeClient } from "../client/websocket.js";
+import { SocketRateLimiter } from "../server/rate-limit.js";
+
+// A connected socket whose events go through the server's rate limiter.
+function createServerSocket() {
+    const limiter = new SocketRateLimiter();
+    const socket = {
+        connected: true,
+        kicked: false,
+        dropped: 0,
+        received: [], // committed ops, in arrival order
+        emit(event, payload, ack) {
+            const verdict = limiter.check(event);
+            if (verdict === "disconnect") {
+                socket.kicked = true;
+                socket.connected = false;
+            }
+            if (verdict !== "ok") {
+                socket.dropped++;
+                return;
+            }
+            if (event === "draw:commit") socket.received.push(payload);
+            if (event === "draw:commitBatch") {
+                socket.received.push(...payload.ops);
+                Promise.resolve().then(() => ack({ ok: true, committed: payload.ops.length }));
+            }
+        },
+        timeout() {
+            return { emit: (event, payload, ack) => socket.emit(event, payload, (res) => ack(null, res)) };
+        },
+    };
+    return socket;
+}
+
+// The client without its constructor, which would look for a server.
+function createClient() {
+    const client = Object.create(RealtimeClient.prototype);
+    Object.assign(client, { pageId: "p1", outbox: [], flushing: false, socket: { connected: false } });
+    return client;
+}
+
+async function flushAll(client) {
+    client.flushOutbox();
+    for (let i = 0; i < 1000 && client.flushing; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(1000);
+    }
+}
+
+test("a large offline outbox is flushed without being rate limited", async (t) => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    t.after(() => mock.timers.reset());
+    const client = createClient();
+    for (let i = 0; i < 1000; i++) client.sendCommit({ type: "stroke", n: i });
+    assert.equal(client.outbox.length, 1000);
+
+    const socket = createServerSocket();
+    client.socket = socket;
+    await flushAll(client);
+
+    assert.equal(socket.kicked, false);
+    assert.equal(socket.dropped, 0);
+    assert.deepEqual(socket.received.map((op) => op.n), Array.from({ length: 1000 }, (_, i) => i));
+    assert.ok(socket.received.every((op) => op.pageId === "p1"));
+    assert.equal(client.outbox.length, 0);
+});
+
+test("commits made during a flush are sent after the outbox", async (t) => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    t.after(() => mock.timers.reset());
+    const client = createClient();
+    for (let i = 0; i < 250; i++) client.sendCommit({ type: "stroke", n: i });
+
+    const socket = createServerSocket();
+    client.socket = socket;
+    client.flushOutbox();
+    client.sendCommit({ type: "stroke", n: 250 });
+    await flushAll(client);
+    client.sendCommit({ type: "stroke", n: 251 });
+
+    assert.deepEqual(socket.received.map((op) => op.n), Array.from({ length: 252 }, (_, i) => i));
+});
+
+test("what is left when the connection drops stays queued", async (t) => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    t.after(() => mock.timers.reset());
+    const client = createClient();
+    for (let i = 0; i < 250; i++) client.sendCommit({ type: "stroke", n: i });
+
+    const socket = createServerSocket();
+    client.socket = socket;
+    client.flushOutbox();
+    await new Promise((resolve) => setImmediate(resolve));
+    socket.connected = false;
+    mock.timers.tick(1000);
+
+    assert.equal(client.flushing, false);
+    assert.equal(socket.received.length, 100);
+    assert.deepEqual(client.outbox.map((op) => op.n), Array.from({ length: 150 }, (_, i) => i + 100));
+});
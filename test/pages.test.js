@@ -0,0 +1,80 @@
+// A room has one or more pages, each with its own history. Pages are kept in
+// the room's meta and every journal entry is tagged with its page.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryStorage } from "../server/storage.js";
+import { RoomManager } from "../server/rooms.js";
+import { LIMITS } from "../server/validation.js";
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+const ids = (state) => state.operations.map((op) => op.id);
+
+async function setup(t) {
+    t.mock.method(console, "log", () => { });
+    const storage = new MemoryStorage();
+    const rooms = new RoomManager({ storage });
+    const roomId = rooms.createRoom();
+    await rooms.ownerOf(roomId);
+    return { storage, rooms, roomId };
+}
+
+test("a room starts with one page and pages can be added, renamed and removed", async (t) => {
+    const { rooms, roomId } = await setup(t);
+    assert.deepEqual(rooms.getPages(roomId), [{ id: "main", name: "Page 1" }]);
+
+    const page = rooms.addPage(roomId, "  Retro ");
+    assert.equal(page.name, "Retro");
+    assert.deepEqual(rooms.getPages(roomId).map((p) => p.id), ["main", page.id]);
+
+    rooms.renamePage(roomId, page.id, "Actions");
+    assert.equal(rooms.getPages(roomId)[1].name, "Actions");
+
+    rooms.removePage(roomId, "main");
+    assert.deepEqual(rooms.getPages(roomId), [{ id: page.id, name: "Actions" }]);
+    assert.equal(rooms.getState(roomId, "main"), null);
+});
+
+test("page names, unknown pages and the page count are checked", async (t) => {
+    const { rooms, roomId } = await setup(t);
+    assert.throws(() => rooms.addPage(roomId, "   "), /Invalid page name/);
+    assert.throws(() => rooms.addPage(roomId, "x".repeat(LIMITS.pageName + 1)), /Invalid page name/);
+    assert.throws(() => rooms.renamePage(roomId, "nope", "x"), /Page not found/);
+    assert.throws(() => rooms.removePage(roomId, "nope"), /Page not found/);
+    assert.throws(() => rooms.removePage(roomId, "main"), /at least one page/);
+    assert.throws(() => rooms.addPage("nope", "x"), /Room not found/);
+
+    for (let i = 2; i <= 50; i++) rooms.addPage(roomId, `Page ${i}`);
+    assert.throws(() => rooms.addPage(roomId, "one too many"), /at most 50 pages/);
+});
+
+test("each page keeps its own history", async (t) => {
+    const { rooms, roomId } = await setup(t);
+    const page = rooms.addPage(roomId, "Second");
+    rooms.getState(roomId, "main").addOperation(stroke("a1", "alice"));
+    rooms.getState(roomId, page.id).addOperation(stroke("b1", "bob"));
+    rooms.getState(roomId, page.id).undo("alice");
+
+    assert.deepEqual(ids(rooms.getState(roomId, "main")), ["a1"]);
+    assert.deepEqual(ids(rooms.getState(roomId, page.id)), ["b1"]);
+});
+
+test("pages and their histories survive a restart", async (t) => {
+    const { storage, rooms, roomId } = await setup(t);
+    const kept = rooms.addPage(roomId, "Kept");
+    const removed = rooms.addPage(roomId, "Removed");
+    rooms.getState(roomId, "main").addOperation(stroke("a1", "alice"));
+    rooms.getState(roomId, kept.id).addOperation(stroke("k1", "alice"));
+    rooms.getState(roomId, removed.id).addOperation(stroke("r1", "alice"));
+    rooms.renamePage(roomId, kept.id, "Renamed");
+    rooms.removePage(roomId, removed.id);
+
+    const reloaded = new RoomManager({ storage });
+    assert.deepEqual(reloaded.getPages(roomId), [{ id: "main", name: "Page 1" }, { id: kept.id, name: "Renamed" }]);
+    assert.deepEqual(ids(reloaded.getState(roomId, "main")), ["a1"]);
+    assert.deepEqual(ids(reloaded.getState(roomId, kept.id)), ["k1"]);
+    // The removed page's log entries are still on disk but must not bring it back
+    assert.equal(reloaded.getState(roomId, removed.id), null);
+});
@@ -0,0 +1,162 @@
+// Roles are enforced by the server: viewers only watch and react, editors
+// draw and manage their own work, and only the owner may clear, roll back or
+// restore the board, delete pages and change roles.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import net from "net";
+import { fileURLToPath } from "url";
+import { io } from "socket.io-client";
+import { can, ROLES } from "../server/permissions.js";
+
+const SERVER = fileURLToPath(new URL("../server/server.js", import.meta.url));
+const stroke = { type: "stroke", points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+const boardDocument = { format: "codraw-board", formatVersion: 1, operations: [{ id: "x", ...stroke }] };
+
+let server;
+let baseUrl;
+let roomId;
+const sockets = [];
+const users = {}; // role -> { socket, user, sessionId, errors }
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, "127.0.0.1", () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on("error", reject);
+    });
+}
+
+async function waitForServer() {
+    for (let i = 0; i < 100; i++) {
+        try {
+            if ((await fetch(`${baseUrl}/config.json`)).ok) return;
+        } catch {
+            // not listening yet
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error("The server did not start");
+}
+
+async function join() {
+    const socket = io(baseUrl, { query: { roomId }, transports: ["websocket"], reconnection: false });
+    sockets.push(socket);
+    const errors = [];
+    socket.on("error:message", ({ message }) => errors.push(message));
+    const init = await new Promise((resolve) => socket.once("init", resolve));
+    return { socket, user: init.user, sessionId: init.sessionId, errors };
+}
+
+function ack(socket, event, ...args) {
+    return socket.timeout(5000).emitWithAck(event, ...args);
+}
+
+// Resolves with the next error:message a socket gets
+function nextError(client) {
+    const count = client.errors.length;
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = () => {
+            if (client.errors.length > count) resolve(client.errors[count]);
+            else if (Date.now() - started > 5000) reject(new Error("No error:message"));
+            else setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+function post(path, { session, body, type = "application/json" } = {}) {
+    const headers = { "content-type": type };
+    if (session) headers["x-codraw-session"] = session;
+    return fetch(`${baseUrl}${path}`, { method: "POST", headers, body: type === "application/json" ? JSON.stringify(body ?? {}) : body });
+}
+
+before(async () => {
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: String(port), STORAGE: "memory" }, stdio: "ignore" });
+    await waitForServer();
+    ({ roomId } = await post("/rooms").then((res) => res.json()));
+    // The first to join becomes the owner; the others get the default role (editor)
+    users.owner = await join();
+    users.editor = await join();
+    users.viewer = await join();
+    assert.deepEqual(await ack(users.owner.socket, "room:setRole", { userId: users.viewer.user.userId, role: "viewer" }), { ok: true });
+});
+
+after(() => {
+    for (const socket of sockets) socket.close();
+    server?.kill();
+});
+
+test("each role has exactly its capabilities", () => {
+    const table = Object.fromEntries(ROLES.map((role) => [role, ["view", "react", "draw", "clearBoard", "manageRoles"].filter((action) => can(role, action))]));
+    assert.deepEqual(table, {
+        owner: ["view", "react", "draw", "clearBoard", "manageRoles"],
+        editor: ["view", "react", "draw"],
+        viewer: ["view", "react"],
+    });
+    assert.equal(can("nobody", "view"), false);
+});
+
+test("viewers cannot change the board", async () => {
+    const { viewer } = users;
+    let error = nextError(viewer);
+    viewer.socket.emit("draw:commit", stroke);
+    assert.match(await error, /viewer\) does not allow drawing/);
+    error = nextError(viewer);
+    viewer.socket.emit("op:undo");
+    assert.match(await error, /does not allow undo/);
+    assert.equal((await ack(viewer.socket, "draw:commitBatch", { ops: [stroke] })).ok, false);
+    assert.equal((await ack(viewer.socket, "op:clearUser")).ok, false);
+    assert.equal((await ack(viewer.socket, "checkpoint:create", { name: "mine" })).ok, false);
+    assert.equal((await ack(viewer.socket, "page:create", { name: "Mine" })).ok, false);
+});
+
+test("editors cannot clear, roll back or restore the board, delete pages or change roles", async () => {
+    const { editor, owner } = users;
+    const { version } = await ack(owner.socket, "checkpoint:create", { name: "start" });
+    assert.ok(Number.isFinite(version));
+    const { checkpoints } = await ack(editor.socket, "checkpoint:list");
+    const pages = await ack(owner.socket, "page:create", { name: "Spare" });
+
+    assert.equal((await ack(editor.socket, "op:clearAll")).ok, false);
+    assert.equal((await ack(editor.socket, "checkpoint:restore", { id: checkpoints[0].id })).ok, false);
+    assert.equal((await ack(editor.socket, "page:delete", { pageId: pages.page.id })).ok, false);
+    assert.equal((await ack(editor.socket, "room:setRole", { userId: owner.user.userId, role: "viewer" })).ok, false);
+    const error = nextError(editor);
+    editor.socket.emit("draw:commit", { type: "revert", toId: null });
+    assert.match(await error, /editor\) does not allow restoring an earlier version/);
+    // In a batch, the revert is left out and the rest goes in
+    assert.deepEqual(await ack(editor.socket, "draw:commitBatch", { ops: [stroke, { type: "revert", toId: null }] }), { ok: true, committed: 1 });
+});
+
+test("editors draw; owners may clear the board", async () => {
+    const { editor, owner } = users;
+    const committed = new Promise((resolve) => owner.socket.once("draw:commit", resolve));
+    editor.socket.emit("draw:commit", stroke);
+    assert.equal((await committed).userId, editor.user.userId);
+    assert.equal((await ack(owner.socket, "op:clearAll")).ok, true);
+});
+
+test("HTTP routes check the caller's role", async () => {
+    const { owner, editor, viewer } = users;
+    assert.equal((await post(`/rooms/${roomId}/import`, { body: boardDocument })).status, 401);
+    assert.equal((await post(`/rooms/${roomId}/import`, { session: viewer.sessionId, body: boardDocument })).status, 403);
+    assert.equal((await post(`/rooms/${roomId}/import?mode=replace`, { session: editor.sessionId, body: boardDocument })).status, 403);
+    assert.equal((await post(`/rooms/${roomId}/import`, { session: editor.sessionId, body: boardDocument })).status, 200);
+    assert.equal((await post(`/rooms/${roomId}/import?mode=replace`, { session: owner.sessionId, body: boardDocument })).status, 200);
+
+    assert.equal((await post(`/rooms/${roomId}/checkpoints`, { session: viewer.sessionId, body: { name: "mine" } })).status, 403);
+    const created = await post(`/rooms/${roomId}/checkpoints`, { session: editor.sessionId, body: { name: "ours" } });
+    assert.equal(created.status, 201);
+    const { checkpoint } = await created.json();
+    assert.equal((await post(`/rooms/${roomId}/checkpoints/${checkpoint.id}/restore`, { session: editor.sessionId })).status, 403);
+    assert.equal((await post(`/rooms/${roomId}/checkpoints/${checkpoint.id}/restore`, { session: owner.sessionId })).status, 200);
+
+    const png = Buffer.from("89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5d6c0d50000000049454e44ae426082", "hex");
+    assert.equal((await post(`/rooms/${roomId}/assets`, { session: viewer.sessionId, body: png, type: "image/png" })).status, 403);
+    assert.equal((await post(`/rooms/${roomId}/assets`, { session: editor.sessionId, body: png, type: "image/png" })).status, 201);
+});
@@ -0,0 +1,48 @@
+// Each socket gets a token bucket per event; dropped and malformed events cost
+// strikes, and a socket that runs out of them is disconnected.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TokenBucket, SocketRateLimiter } from "../server/rate-limit.js";
+
+test("a bucket allows its burst, then its sustained rate", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const bucket = new TokenBucket({ capacity: 3, refillPerSec: 2 });
+    assert.deepEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+    t.mock.timers.tick(500);
+    assert.deepEqual([bucket.take(), bucket.take()], [true, false]);
+    // Never more than its capacity, however long it waits
+    t.mock.timers.tick(60_000);
+    assert.equal(bucket.take(3), true);
+    assert.equal(bucket.take(), false);
+});
+
+test("events over their limit are dropped, then the socket is disconnected", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const limiter = new SocketRateLimiter({
+        limits: { reaction: { capacity: 2, refillPerSec: 0 }, default: { capacity: 10, refillPerSec: 0 } },
+        strikes: { capacity: 2, refillPerSec: 0 },
+    });
+    const verdicts = Array.from({ length: 5 }, () => limiter.check("reaction"));
+    assert.deepEqual(verdicts, ["ok", "ok", "drop", "drop", "disconnect"]);
+    // Other events have buckets of their own
+    assert.equal(limiter.check("cursor:move"), "ok");
+});
+
+test("malformed payloads count against the same strikes", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const limiter = new SocketRateLimiter({ strikes: { capacity: 1, refillPerSec: 1 } });
+    assert.equal(limiter.strike(), "drop");
+    assert.equal(limiter.strike(), "disconnect");
+    t.mock.timers.tick(1000);
+    assert.equal(limiter.strike(), "drop");
+});
+
+test("a client streaming at 60 Hz stays within the default limits", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const limiter = new SocketRateLimiter();
+    for (let frame = 0; frame < 600; frame++) {
+        assert.equal(limiter.check("cursor:move"), "ok");
+        assert.equal(limiter.check("draw:progress"), "ok");
+        t.mock.timers.tick(1000 / 60);
+    }
+});
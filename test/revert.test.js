@@ -0,0 +1,110 @@
+// A revert keeps restoring the same board when the op it reverted to is undone.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DrawingState, resolveReverts } from "../server/drawing-state.js";
+import { LIMITS } from "../server/validation.js";
+import { prepareImport, toBoardDocument } from "../server/board-document.js";
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+const ids = (state) => resolveReverts(state.operations).map((op) => op.id);
+
+test("restoring, then the target's author undoing, keeps the restore", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("a2", "alice"));
+    state.addOperation(stroke("b1", "bob"));
+    state.addOperation({ type: "revert", id: "r1", userId: "bob", toId: "a2" });
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+
+    // alice's latest op is the one bob restored to
+    assert.equal(state.undo("alice").id, "a2");
+    assert.deepEqual(ids(state), ["a1"]);
+
+    state.redo("alice");
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+});
+
+test("a revert lists the ops in effect right after its target", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("a2", "alice"));
+    state.addOperation({ type: "revert", id: "r1", userId: "bob", toId: "a1" });
+    state.addOperation(stroke("b1", "bob"));
+    // Back to after r1, which had hidden a2; ids sent by the client are ignored
+    state.addOperation({ type: "revert", id: "r2", userId: "bob", toId: "r1", opIds: ["a2"] });
+    assert.deepEqual(state.operations.at(-1).opIds, ["a1"]);
+    assert.deepEqual(ids(state), ["a1"]);
+
+    state.addOperation({ type: "revert", id: "r3", userId: "bob", toId: null });
+    assert.deepEqual(state.operations.at(-1).opIds, []);
+    assert.deepEqual(ids(state), []);
+});
+
+test("replaying the journal restores the same board", () => {
+    const entries = [];
+    const state = new DrawingState();
+    state.journal = (entry) => entries.push(entry);
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("a2", "alice"));
+    state.addOperation(stroke("b1", "bob"));
+    state.addOperation({ type: "revert", id: "r1", userId: "bob", toId: "a2" });
+    state.undo("alice");
+    const replayed = DrawingState.restore({ entries: JSON.parse(JSON.stringify(entries)) });
+    assert.deepEqual(ids(replayed), ["a1"]);
+});
+
+test("reverts without opIds still resolve against their target", () => {
+    const operations = [stroke("a1", "alice"), stroke("a2", "alice"), stroke("b1", "bob"), { type: "revert", id: "r1", toId: "a2" }];
+    assert.deepEqual(resolveReverts(operations).map((op) => op.id), ["a1", "a2"]);
+    assert.deepEqual(resolveReverts(operations.filter((op) => op.id !== "a2")).map((op) => op.id), ["a1", "b1"]);
+});
+
+test("a revert that would list too many ops is refused, live and on replay alike", () => {
+    const entries = [];
+    const state = new DrawingState();
+    state.journal = (entry) => entries.push(entry);
+    const count = LIMITS.revertOps + 1;
+    state.importOperations(Array.from({ length: count }, (_, i) => stroke(`s${i}`, "alice")));
+    assert.throws(() => state.addOperation({ type: "revert", id: "r1", userId: "bob", toId: `s${count - 1}` }), /too many elements/);
+    state.addOperation({ type: "revert", id: "r2", userId: "bob", toId: "s0" });
+    assert.deepEqual(ids(state), ["s0"]);
+
+    const replayed = DrawingState.restore({ entries });
+    assert.equal(replayed.version, state.version);
+    assert.deepEqual(ids(replayed), ["s0"]);
+});
+
+test("reverts in an appended document keep the ops already on the page", () => {
+    const source = new DrawingState();
+    source.addOperation(stroke("x1", "carol"));
+    source.addOperation(stroke("x2", "carol"));
+    source.addOperation({ type: "revert", id: "xr", userId: "carol", toId: "x1" });
+    const doc = JSON.parse(JSON.stringify(toBoardDocument("elsewhere", source.getSnapshot())));
+    // As written before reverts recorded their ops
+    doc.operations.push({ type: "revert", id: "old", toId: null });
+
+    const entries = [];
+    const state = new DrawingState();
+    state.journal = (entry) => entries.push(entry);
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("a2", "alice"));
+    let n = 0;
+    const ops = prepareImport(doc, { createId: () => `n${n++}`, userId: "bob" });
+    state.importOperations(ops);
+    // The document's own board ends empty; the page keeps its strokes
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+
+    state.undo("bob");
+    assert.deepEqual(ids(state), ["a1", "a2", "n0"]);
+    assert.deepEqual(ids(DrawingState.restore({ entries: JSON.parse(JSON.stringify(entries)) })), ["a1", "a2", "n0"]);
+});
+
+test("a replaced page takes the document's reverts as they are", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.importOperations([stroke("n0", "bob"), stroke("n1", "bob"), { type: "revert", id: "n2", userId: "bob", toId: "n0", opIds: ["n0"] }], { replace: true });
+    assert.deepEqual(ids(state), ["n0"]);
+});
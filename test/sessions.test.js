@@ -0,0 +1,92 @@
+// A reconnecting client keeps its identity through its session id, and gets
+// only the changes it missed since the version it last applied.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SessionStore } from "../server/sessions.js";
+import { DrawingState } from "../server/drawing-state.js";
+
+const alice = { userId: "u-alice", displayName: "Alice", color: "#ff0000" };
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "codraw-sessions-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Sessions are written in the background
+async function saved(file) {
+    for (let i = 0; i < 100 && !fs.existsSync(file); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.ok(fs.existsSync(file), `${file} was not written`);
+}
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+test("a session resumes the same user; unknown and malformed ids do not", () => {
+    const sessions = new SessionStore();
+    const sessionId = sessions.create(alice);
+    assert.deepEqual(sessions.resume(sessionId), alice);
+    assert.equal(sessions.resume("nope"), null);
+    assert.equal(sessions.resume("../../etc/passwd"), null);
+    assert.equal(sessions.resume(undefined), null);
+});
+
+test("a session issued by one process is resumed by another sharing the directory", async (t) => {
+    const dir = tempDir(t);
+    const sessionId = new SessionStore({ dir }).create(alice);
+    await saved(path.join(dir, `${sessionId}.json`));
+    assert.deepEqual(new SessionStore({ dir }).resume(sessionId), alice);
+});
+
+test("unused sessions expire and are pruned from disk", async (t) => {
+    const dir = tempDir(t);
+    const sessions = new SessionStore({ dir, ttlMs: 60_000 });
+    const stale = sessions.create(alice);
+    await saved(path.join(dir, `${stale}.json`));
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    t.mock.timers.tick(30_000);
+    const fresh = sessions.create({ ...alice, userId: "u-other" });
+    await saved(path.join(dir, `${fresh}.json`));
+    // The file system keeps the real clock; date the file like the mocked one
+    fs.utimesSync(path.join(dir, `${fresh}.json`), Date.now() / 1000, Date.now() / 1000);
+    t.mock.timers.tick(31_000);
+
+    assert.equal(sessions.resume(stale), null);
+    assert.equal(await sessions.prune(), 1);
+    assert.deepEqual(fs.readdirSync(dir), [`${fresh}.json`]);
+});
+
+test("sessions from the old single sessions.json are moved into their own files", (t) => {
+    const dir = tempDir(t);
+    const legacyFile = path.join(dir, "sessions.json");
+    fs.writeFileSync(legacyFile, JSON.stringify({ abc123: { user: alice, lastSeen: Date.now() }, "bad/id": { user: alice } }));
+    const sessions = new SessionStore({ dir: path.join(dir, "sessions"), legacyFile });
+    assert.equal(fs.existsSync(legacyFile), false);
+    assert.deepEqual(sessions.resume("abc123"), alice);
+    assert.deepEqual(fs.readdirSync(path.join(dir, "sessions")), ["abc123.json"]);
+});
+
+test("a client catches up with only the changes after its version", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("b1", "bob"));
+    state.undo("alice");
+
+    assert.deepEqual(state.changesSince(3), []);
+    assert.deepEqual(state.changesSince(1).map((change) => [change.kind, change.version]), [["add", 2], ["remove", 3]]);
+    assert.equal(state.changesSince(4), null);
+    assert.equal(state.changesSince(-1), null);
+});
+
+test("catch-up falls back to a snapshot after a bulk change", () => {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.importOperations([stroke("n1", "bob")], { replace: true });
+    state.addOperation(stroke("a2", "alice"));
+    assert.equal(state.changesSince(1), null);
+    assert.deepEqual(state.changesSince(2).map((change) => change.kind), ["add"]);
+});
@@ -0,0 +1,86 @@
+// Room history survives restarts: every change is appended to the room's log,
+// the log is folded into a snapshot every so often, and loading replays both.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileStorage, MemoryStorage } from "../server/storage.js";
+import { RoomManager } from "../server/rooms.js";
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "codraw-storage-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const ids = (state) => state.operations.map((op) => op.id);
+
+test("changes are journaled and replayed after a restart", (t) => {
+    const dir = tempDir(t);
+    const rooms = new RoomManager({ storage: new FileStorage({ dir }) });
+    const roomId = rooms.createRoom({ name: "Retro" });
+    const state = rooms.getState(roomId, "main");
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("b1", "bob"));
+    state.addOperation(stroke("a2", "alice"));
+    state.undo("alice");
+
+    const log = fs.readFileSync(path.join(dir, roomId, "log.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(log.map((entry) => entry.kind), ["add", "add", "add", "undo"]);
+    assert.ok(log.every((entry) => entry.pageId === "main"));
+
+    const restarted = new RoomManager({ storage: new FileStorage({ dir }) });
+    const loaded = restarted.getState(roomId, "main");
+    assert.deepEqual(ids(loaded), ["a1", "b1"]);
+    assert.equal(loaded.version, state.version);
+    assert.equal(restarted.describeRoom(roomId).name, "Retro");
+    // The undone op is still on alice's redo stack
+    assert.equal(loaded.redo("alice").op.id, "a2");
+});
+
+test("the log is compacted into a snapshot by the room's owner", async (t) => {
+    const dir = tempDir(t);
+    const rooms = new RoomManager({ storage: new FileStorage({ dir }), compactEvery: 3 });
+    const roomId = rooms.createRoom();
+    await rooms.ownerOf(roomId);
+    const state = rooms.getState(roomId, "main");
+    for (const id of ["s1", "s2", "s3", "s4"]) state.addOperation(stroke(id, "alice"));
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, roomId, "snapshot.json"), "utf8"));
+    assert.deepEqual(snapshot.pages.main.operations.map((op) => op.id), ["s1", "s2", "s3"]);
+    assert.equal(fs.readFileSync(path.join(dir, roomId, "log.jsonl"), "utf8").trim().split("\n").length, 1);
+
+    const loaded = new RoomManager({ storage: new FileStorage({ dir }) }).getState(roomId, "main");
+    assert.deepEqual(ids(loaded), ["s1", "s2", "s3", "s4"]);
+    assert.equal(loaded.version, 4);
+});
+
+test("a torn last log line is skipped", (t) => {
+    const dir = tempDir(t);
+    const storage = new FileStorage({ dir });
+    storage.append("room1", { kind: "add", op: stroke("s1", "alice"), version: 1 });
+    fs.appendFileSync(path.join(dir, "room1", "log.jsonl"), '{"kind":"add","op":{');
+    t.mock.method(console, "warn", () => { });
+    assert.equal(storage.load("room1").entries.length, 1);
+});
+
+test("log entries already in the snapshot are not applied twice", () => {
+    const storage = new MemoryStorage();
+    const rooms = new RoomManager({ storage });
+    const roomId = rooms.createRoom();
+    const state = rooms.getState(roomId, "main");
+    state.addOperation(stroke("s1", "alice"));
+    state.addOperation(stroke("s2", "alice"));
+    // As if the process died between writing the snapshot and truncating the log
+    const { entries } = storage.load(roomId);
+    storage.compact(roomId, { pages: { main: state.toJSON() } });
+    for (const entry of entries) storage.append(roomId, entry);
+
+    const loaded = new RoomManager({ storage }).getState(roomId, "main");
+    assert.deepEqual(ids(loaded), ["s1", "s2"]);
+});
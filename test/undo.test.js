@@ -0,0 +1,65 @@
+// Undo and redo only ever touch the caller's own operations.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DrawingState } from "../server/drawing-state.js";
+
+function stroke(id, userId) {
+    return { type: "stroke", id, userId, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], size: 2, color: "#000000", composite: "source-over" };
+}
+
+const ids = (state) => state.operations.map((op) => op.id);
+
+function board() {
+    const state = new DrawingState();
+    state.addOperation(stroke("a1", "alice"));
+    state.addOperation(stroke("b1", "bob"));
+    state.addOperation(stroke("a2", "alice"));
+    state.addOperation(stroke("b2", "bob"));
+    return state;
+}
+
+test("undo removes the caller's latest op and leaves others' in place", () => {
+    const state = board();
+    assert.equal(state.undo("alice").id, "a2");
+    assert.deepEqual(ids(state), ["a1", "b1", "b2"]);
+    assert.equal(state.undo("alice").id, "a1");
+    assert.equal(state.undo("alice"), null);
+    assert.deepEqual(ids(state), ["b1", "b2"]);
+    assert.equal(state.version, 6);
+});
+
+test("redo puts the op back where it was", () => {
+    const state = board();
+    state.undo("alice");
+    state.addOperation(stroke("b3", "bob"));
+    assert.deepEqual(state.redo("alice"), { op: state.operations[2], index: 2 });
+    assert.deepEqual(ids(state), ["a1", "b1", "a2", "b2", "b3"]);
+    assert.equal(state.redo("alice"), null);
+});
+
+test("redo appends when the op's predecessor is gone", () => {
+    const state = board();
+    state.undo("alice");
+    state.undo("bob");
+    state.undo("bob");
+    state.redo("alice");
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+});
+
+test("a new op clears only its author's redo stack", () => {
+    const state = board();
+    state.undo("alice");
+    state.undo("bob");
+    state.addOperation(stroke("a3", "alice"));
+    assert.equal(state.redo("alice"), null);
+    assert.equal(state.redo("bob").op.id, "b2");
+});
+
+test("clearing one user's work leaves the others'", (t) => {
+    t.mock.method(console, "log", () => { });
+    const state = board();
+    assert.equal(state.removeByUser("bob"), 2);
+    assert.deepEqual(ids(state), ["a1", "a2"]);
+    assert.equal(state.removeByUser("bob"), 0);
+    assert.equal(state.undo("alice").id, "a2");
+});
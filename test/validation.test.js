@@ -0,0 +1,58 @@
+// Inbound payloads are rebuilt from known, range-checked fields; anything else
+// is dropped before it can reach a broadcast or the history.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LIMITS, sanitizeCursor, sanitizeDrawProgress, sanitizeShapeProgress, sanitizeTextProgress, sanitizeReaction, sanitizeSetRole, sanitizePageName } from "../server/validation.js";
+import { sanitizeOperation } from "../server/drawing-state.js";
+
+const point = { x: 1, y: 2 };
+
+test("cursor positions keep only finite, in-range coordinates", () => {
+    assert.deepEqual(sanitizeCursor({ x: 1, y: 2, color: "#fff", userId: "spoof" }), { x: 1, y: 2 });
+    assert.equal(sanitizeCursor({ x: NaN, y: 0 }), null);
+    assert.equal(sanitizeCursor({ x: LIMITS.coordinate + 1, y: 0 }), null);
+    assert.equal(sanitizeCursor([1, 2]), null);
+    assert.equal(sanitizeCursor(null), null);
+});
+
+test("drawing progress is bounded and rebuilt point by point", () => {
+    const progress = { points: [{ x: 1, y: 2, p: 0.5, extra: 1 }], color: "#112233", size: 4, composite: "source-over", html: "<b>" };
+    assert.deepEqual(sanitizeDrawProgress(progress), { points: [{ x: 1, y: 2, p: 0.5 }], color: "#112233", size: 4, composite: "source-over" });
+    assert.equal(sanitizeDrawProgress({ ...progress, points: Array(LIMITS.progressPoints + 1).fill(point) }), null);
+    assert.equal(sanitizeDrawProgress({ ...progress, color: "red; background: url(x)" }), null);
+    assert.equal(sanitizeDrawProgress({ ...progress, size: LIMITS.brushSize + 1 }), null);
+    assert.equal(sanitizeDrawProgress({ ...progress, composite: "copy" }), null);
+    assert.equal(sanitizeDrawProgress({ ...progress, points: [{ x: 1, y: 2, p: 2 }] }), null);
+});
+
+test("shape and text progress keep only the fields that changed", () => {
+    assert.deepEqual(sanitizeShapeProgress({ id: "s1", x: 1, y: 2, fill: "x" }), { id: "s1", x: 1, y: 2 });
+    assert.deepEqual(sanitizeShapeProgress({ id: "s1", width: 0, height: 5, flipX: true }), { id: "s1", width: 0, height: 5, flipX: true });
+    assert.equal(sanitizeShapeProgress({ id: "s1", x: 1 }), null);
+    assert.equal(sanitizeShapeProgress({ id: "s1", rotation: 720 }), null);
+    assert.deepEqual(sanitizeTextProgress({ id: "t1", text: "hi", color: "#000" }), { id: "t1", text: "hi" });
+    assert.deepEqual(sanitizeTextProgress({ draft: true, done: true, text: "x" }), { draft: true, done: true });
+    assert.equal(sanitizeTextProgress({ id: "t1", text: "x".repeat(LIMITS.textLength + 1) }), null);
+});
+
+test("reactions, role changes and page names are checked", () => {
+    assert.deepEqual(sanitizeReaction({ emoji: "🎉", userId: "spoof" }), { emoji: "🎉" });
+    assert.equal(sanitizeReaction({ emoji: "x".repeat(LIMITS.emojiLength + 1) }), null);
+    assert.deepEqual(sanitizeSetRole({ userId: "u1", role: "viewer", extra: 1 }), { userId: "u1", role: "viewer" });
+    assert.equal(sanitizeSetRole({ userId: "", role: "viewer" }), null);
+    assert.deepEqual(sanitizePageName({ name: "  Ideas " }), { name: "Ideas" });
+    assert.equal(sanitizePageName({ name: "x".repeat(LIMITS.pageName + 1) }), null);
+});
+
+test("operations are validated and trimmed to their type's fields", () => {
+    const stroke = { type: "stroke", points: [{ ...point, z: 1 }, point], size: 2, color: "#000000", composite: "source-over", id: "mine", userId: "spoof", pageId: "p" };
+    assert.deepEqual(sanitizeOperation(stroke), { type: "stroke", points: [point, point], size: 2, color: "#000000", composite: "source-over" });
+    assert.throws(() => sanitizeOperation({ ...stroke, points: Array(LIMITS.strokePoints + 1).fill(point) }), /too many points/);
+    assert.throws(() => sanitizeOperation({ ...stroke, color: "blue" }), /Invalid color/);
+    assert.throws(() => sanitizeOperation({ ...stroke, points: [point, { x: Infinity, y: 0 }] }), /Invalid stroke point/);
+    assert.throws(() => sanitizeOperation({ type: "script" }), /Unsupported operation type/);
+
+    const shape = { type: "shape", shape: "star", x: 0, y: 0, width: 10, height: 10, color: "#000000", points: 5, onclick: "x" };
+    assert.deepEqual(sanitizeOperation(shape), { type: "shape", shape: "star", x: 0, y: 0, width: 10, height: 10, color: "#000000", points: 5 });
+    assert.throws(() => sanitizeOperation({ ...shape, points: 99 }), /Invalid shape points/);
+});